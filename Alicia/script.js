@@ -10,22 +10,6 @@ close.addEventListener("click",()=>{
     menu.classList.remove("active")
 });
 
-$(document).ready(function()
-{
-    const apiKey = 'dd683bd7c61e727c6a8d8db2d8ce3fed';
-    const city = 'Kuala Lumpur';
-    const url = `https://api.openweathermap.org/data/2.5/weather?q=${city}&appid=${apiKey}&units=metric`;
-
-    $.getJSON(url, function(data)
-    {
-        $('#temperature').text(`${data.main.temp} °C`);
-    }).fail(function() 
-    {s
-        $('#temperature').text('Failed to retrieve data');
-        $('#condition').text('Please try again later');
-    });
-});
-
 
 // scroll to top function
 window.onscroll = function() {
@@ -59,42 +43,24 @@ window.onclick = function(event) {
     }
 }
 
-//heritage & culture - upcoming events (previous next button)
-let currentPage = 1;
-const eventsPerPage = 3;
-const eventBoxes = document.querySelectorAll('.event-box');
-
-function showPage(page) {
-    const start = (page - 1) * eventsPerPage;
-    const end = start + eventsPerPage;
-    eventBoxes.forEach((box, index) => {
-        box.style.display = (index >= start && index < end) ? 'flex' : 'none';
-    });
-}
-
-function changePage(direction) {
-    const totalPages = Math.ceil(eventBoxes.length / eventsPerPage);
-    currentPage += direction;
-    if (currentPage < 1) currentPage = 1;
-    if (currentPage > totalPages) currentPage = totalPages;
-    showPage(currentPage);
-}
-
-// Initial display
-showPage(currentPage);
-
 /*Show more button*/
 function toggleText(button) {
     var overviewText = document.getElementById('overview-text');
     if (overviewText.style.maxHeight) {
         overviewText.style.maxHeight = null;
-        button.textContent = 'Show More';
+        setToggleLabel(button, 'attraction-show-more', 'Show More');
     } else {
         overviewText.style.maxHeight = overviewText.scrollHeight + 'px';
-        button.textContent = 'Show Less';
+        setToggleLabel(button, 'attraction-show-less', 'Show Less');
     }
 }
 
+// Switch the button's translation key too, so changing language keeps the right label
+function setToggleLabel(button, key, text) {
+    button.dataset.i18n = key;
+    button.textContent = window.i18n ? window.i18n.t(key, text) : text;
+}
+
 
 
 // Function to set a cookie
@@ -1,9 +1,9 @@
 // Unsplash API Integration for Blog Manager using jQuery AJAX
 class UnsplashImageManager {
     constructor() {
-        // Your Unsplash API credentials - Replace with your actual keys from the dashboard
-        this.accessKey = 'N4sQoVRKOOfE9rXQO-QGU0W7Ez7XHvVdU-JMRjmxEbk'; // Replace with your Access Key from Unsplash dashboard
-        this.baseURL = 'https://api.unsplash.com';
+        // Requests go through the API proxy (XinEn/server/apiProxy.js), which holds the Unsplash access key
+        this.apiURL = 'https://api.unsplash.com';
+        this.baseURL = `${API_PROXY_URL}/api`;
         this.cache = new Map(); // Cache images to avoid repeated API calls
     }
 
@@ -22,11 +22,8 @@ class UnsplashImageManager {
 
         return new Promise((resolve, reject) => {
             $.ajax({
-                url: `${this.baseURL}/search/photos`,
+                url: `${this.baseURL}/photos/search`,
                 method: 'GET',
-                headers: {
-                    'Authorization': `Client-ID ${this.accessKey}`
-                },
                 data: {
                     query: query,
                     per_page: count,
@@ -68,11 +65,9 @@ class UnsplashImageManager {
     async triggerDownload(downloadUrl) {
         return new Promise((resolve, reject) => {
             $.ajax({
-                url: downloadUrl,
+                // Download links point at api.unsplash.com; the proxy serves the same /photos/:id/download path
+                url: downloadUrl.replace(this.apiURL, this.baseURL),
                 method: 'GET',
-                headers: {
-                    'Authorization': `Client-ID ${this.accessKey}`
-                },
                 success: () => {
                     console.log('Download tracked via jQuery AJAX');
                     resolve();
@@ -117,33 +112,64 @@ class UnsplashImageManager {
     }
 }
 
-// Enhanced Blog Manager Class with In-Memory Storage ONLY
+// Enhanced Blog Manager Class with IndexedDB Storage
 class BlogManager {
     constructor() {
-        // ALL DATA STORED IN MEMORY ONLY - NO localStorage
+        // Posts and view counts are persisted in IndexedDB and reloaded in init()
+        this.storage = new BlogStorage();
         this.posts = [];
         this.viewCounts = {};
+        this.i18n = window.i18n || new I18n(); // Dates, counts and plurals in the visitor's language
+        this.trash = new TrashBin({ retentionDays: 30, i18n: this.i18n }); // Deleted posts can be restored until they expire
+        this.trashEntries = [];
         this.formDraft = null;
         
         this.currentEditIndex = null;
         this.currentPostType = '';
         this.currentPostId = '';
         this.unsplashManager = new UnsplashImageManager();
+        this.imageProcessor = new ImageProcessor(); // Resizes, re-encodes and strips GPS data from featured images
         this.selectedImageAttribution = null;
         this.init();
     }
 
     async init() {
         console.log('🚀 Initializing BlogManager...');
-        this.renderPosts();
         this.setupEventListeners();
-        this.updateStats();
         this.setupMobileMenu();
-        this.loadStoredData();
         this.setupFormAutoSave();
+        await this.loadPersistedData();
+        this.renderPosts();
+        this.updateStats();
+        this.loadStoredData();
+        this.localizeDefaultPosts();
+        this.openPostFromUrl();
         console.log('✅ BlogManager initialized successfully');
     }
 
+    // Open the post named by ?post=<id> (add &source=default for the built-in posts), as linked from the site-wide search
+    openPostFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const postId = params.get('post');
+        if (!postId) return;
+
+        let card = null;
+        if (params.get('source') === 'default') {
+            card = [...document.querySelectorAll('#defaultPostsContainer .blog-post')].find(post => post.dataset.id === postId) || null;
+        } else {
+            const index = this.posts.findIndex(post => post.id === postId);
+            if (index !== -1) card = document.querySelector(`#userPostsContainer .blog-post[data-id="${index}"]`);
+        }
+
+        if (!card) {
+            console.log(`⚠️ Linked post ${postId} not found`);
+            this.showNotification('That post is no longer available', 'info');
+            return;
+        }
+        card.scrollIntoView({ block: 'center' });
+        this.openPostDetail(card, params.get('source') === 'default' ? 'default' : 'user');
+    }
+
     setupMobileMenu() {
         const bar = document.querySelector('.bar');
         const menu = document.querySelector('.menu');
@@ -271,6 +297,25 @@ class BlogManager {
             sortSelect.onchange = (e) => this.handleSort(e);
         }
         
+        const openTrashBtn = document.getElementById('openTrash');
+        const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+        if (openTrashBtn) {
+            openTrashBtn.onclick = () => this.openTrashModal();
+        }
+        if (emptyTrashBtn) {
+            emptyTrashBtn.onclick = () => this.emptyTrash();
+        }
+        
+        // Dates and counts are written into the posts, so a language switch redraws them
+        document.addEventListener('languagechanged', () => {
+            this.renderPosts();
+            this.updateStats();
+            this.loadStoredData();
+            this.localizeDefaultPosts();
+            this.renderTrash();
+            if (postExcerpt) this.updateWordCount({ target: postExcerpt });
+        });
+        
         // Window click handler for modal close
         window.onclick = (e) => { 
             if (e.target.classList.contains('modal')) {
@@ -407,8 +452,8 @@ class BlogManager {
                 }
                 
                 // Show notification that draft was restored
-                const savedTime = new Date(formData.savedAt).toLocaleString();
-                this.showNotification(`Draft restored from ${savedTime}`, 'success');
+                const savedTime = this.i18n.formatDate(formData.savedAt, { dateStyle: 'medium', timeStyle: 'short' });
+                this.showNotification(this.i18n.format('blog-draft-restored', { time: savedTime }, 'Draft restored from {time}'), 'success');
                 
                 return true;
             } catch (error) {
@@ -530,7 +575,7 @@ class BlogManager {
     }
 
     // Form submit handler
-    handleSubmit(e) {
+    async handleSubmit(e) {
         console.log('🚀 HANDLE SUBMIT CALLED!');
         e.preventDefault();
         
@@ -547,28 +592,28 @@ class BlogManager {
         
         if (imageFile && imageFile.size > 0) {
             console.log('📸 Processing image file...');
-            const reader = new FileReader();
-            reader.onload = (readerEvent) => {
-                console.log('📸 Image loaded, creating post data...');
-                const postData = this.createPostData(formData, readerEvent.target.result);
-                
-                if (this.currentEditIndex !== null) {
-                    console.log('✏️ Updating existing post...');
-                    this.updatePost(this.currentEditIndex, postData);
-                } else {
-                    console.log('➕ Creating new post...');
-                    this.createPost(postData);
-                }
-                this.closeModals();
-            };
-            
-            reader.onerror = (error) => {
-                console.error('❌ Error reading image file:', error);
+            let processed;
+            try {
+                processed = await this.processPostImage(imageFile);
+            } catch (error) {
+                console.error('❌ Error processing image file:', error);
                 const formError = document.getElementById('formError');
-                if (formError) formError.textContent = 'Error reading image file.';
-            };
+                if (formError) formError.textContent = 'Error processing image file.';
+                return;
+            }
+            
+            console.log('📸 Image processed, creating post data...');
+            const postData = this.createPostData(formData, processed.image);
+            postData.thumbnail = processed.thumbnail;
             
-            reader.readAsDataURL(imageFile);
+            if (this.currentEditIndex !== null) {
+                console.log('✏️ Updating existing post...');
+                this.updatePost(this.currentEditIndex, postData);
+            } else {
+                console.log('➕ Creating new post...');
+                this.createPost(postData);
+            }
+            this.closeModals();
         } else if (this.currentEditIndex !== null) {
             console.log('✏️ Updating post without new image...');
             const postData = this.createPostData(formData);
@@ -584,9 +629,24 @@ class BlogManager {
         }
     }
 
+    /**
+     * Downscale and re-encode a featured image, returning data URLs for the post and its card thumbnail
+     * @param {File} file - Selected image file
+     * @returns {Promise<{image: string, thumbnail: string}>} Data URLs
+     */
+    async processPostImage(file) {
+        const processed = await this.imageProcessor.process(file);
+        console.log(`📸 Image reduced from ${Math.round(processed.originalSize / 1024)}KB to ${Math.round(processed.blob.size / 1024)}KB`);
+        return {
+            image: await this.imageProcessor.blobToDataURL(processed.blob),
+            thumbnail: await this.imageProcessor.blobToDataURL(processed.thumbnail)
+        };
+    }
+
     createPostData(formData, image = null) {
         console.log('📄 Creating post data from form...');
         const postData = {
+            id: `user_post_${Date.now()}`,
             author: formData.get('authorName')?.trim() || '',
             category: formData.get('postCategory') || '',
             title: formData.get('postTitle')?.trim() || '',
@@ -658,9 +718,9 @@ class BlogManager {
             if (formError) formError.textContent = 'Please upload PNG or JPG only.';
             return false;
         }
-        if (file.size > 5 * 1024 * 1024) {
+        if (file.size > this.imageProcessor.options.maxInputSize) {
             const formError = document.getElementById('formError');
-            if (formError) formError.textContent = 'Image must be less than 5MB.';
+            if (formError) formError.textContent = `Image must be less than ${this.imageProcessor.getMaxInputSizeLabel()}.`;
             return false;
         }
         return true;
@@ -676,6 +736,7 @@ class BlogManager {
         }
         
         this.posts.unshift(postData);
+        this.storage.savePost(postData);
         this.renderPosts();
         this.updateStats();
         this.showNotification('Post published successfully!', 'success');
@@ -702,9 +763,12 @@ class BlogManager {
         this.posts[index] = { 
             ...existingPost, 
             ...postData,
+            id: existingPost.id,
+            date: existingPost.date,
             views: existingPost.views || 0,
             dateEdited: new Date().toISOString()
         };
+        this.storage.savePost(this.posts[index]);
         this.renderPosts();
         this.showNotification('Post updated successfully!', 'success');
     }
@@ -713,14 +777,107 @@ class BlogManager {
         if (!this.posts[index]) return;
         
         const post = this.posts[index];
-        if (confirm(`Are you sure you want to delete "${post.title}"?`)) {
-            this.posts.splice(index, 1);
-            this.renderPosts();
-            this.updateStats();
-            this.showNotification('Post deleted successfully!', 'error');
+        const entry = this.trash.createEntry(post);
+        this.posts.splice(index, 1);
+        this.trashEntries.unshift(entry);
+        this.storage.trashPost(entry);
+        this.renderPosts();
+        this.updateStats();
+        this.updateTrashCount();
+        console.log(`🗑️ Moved post ${post.id} to trash`);
+        this.showNotification(`"${this.escapeHtml(post.title)}" moved to trash`, 'error', {
+            label: 'Undo',
+            onClick: () => this.restorePost(post.id)
+        });
+    }
+
+    /**
+     * Put a trashed post back among the user's posts
+     * @param {string} id - Post id
+     */
+    restorePost(id) {
+        const entry = this.trashEntries.find(trashed => trashed.id === id);
+        if (!entry) return;
+        
+        this.trashEntries = this.trashEntries.filter(trashed => trashed !== entry);
+        this.posts.push(entry.item);
+        this.posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+        this.storage.restorePost(entry.item);
+        this.renderPosts();
+        this.updateStats();
+        this.updateTrashCount();
+        this.renderTrash();
+        this.showNotification(`"${this.escapeHtml(entry.item.title)}" restored`, 'success');
+    }
+
+    purgePost(id) {
+        const entry = this.trashEntries.find(trashed => trashed.id === id);
+        if (!entry || !confirm(`Permanently delete "${entry.item.title}"? This cannot be undone.`)) return;
+        
+        this.purgeTrashEntries([entry]);
+        this.renderTrash();
+        this.showNotification('Post deleted permanently', 'success');
+    }
+
+    emptyTrash() {
+        const count = this.trashEntries.length;
+        if (count === 0 || !confirm(`Permanently delete ${count} post${count === 1 ? '' : 's'} in the trash? This cannot be undone.`)) return;
+        
+        this.purgeTrashEntries([...this.trashEntries]);
+        this.renderTrash();
+        this.showNotification('Trash emptied', 'success');
+    }
+
+    purgeTrashEntries(entries) {
+        this.trashEntries = this.trashEntries.filter(entry => !entries.includes(entry));
+        entries.forEach(entry => this.storage.purgeTrashedPost(entry.id));
+        this.updateTrashCount();
+    }
+
+    // Drop posts that have been in the trash longer than the retention period
+    purgeExpiredTrash() {
+        const { expired } = this.trash.partition(this.trashEntries);
+        if (expired.length > 0) {
+            console.log(`🧹 Purging ${expired.length} expired post(s) from the trash`);
+            this.purgeTrashEntries(expired);
         }
     }
 
+    openTrashModal() {
+        this.purgeExpiredTrash();
+        this.renderTrash();
+        document.getElementById('trashModal').style.display = 'block';
+        document.body.style.overflow = 'hidden';
+    }
+
+    renderTrash() {
+        const list = document.getElementById('trashList');
+        if (!list) return;
+        
+        document.getElementById('trashHint').textContent = this.trashEntries.length > 0
+            ? this.i18n.format('blog-trash-hint', { days: this.trash.retentionDays },
+                'Deleted posts are kept for {days, plural, one {# day} other {# days}}, then removed automatically.')
+            : this.i18n.t('trash-hint-empty', 'The trash is empty.');
+        document.getElementById('emptyTrashBtn').disabled = this.trashEntries.length === 0;
+        
+        list.innerHTML = this.trashEntries.map(entry => `
+            <li class="trash-item">
+                <img src="${entry.item.thumbnail || entry.item.image || ''}" alt="">
+                <div class="trash-item-info">
+                    <strong>${this.escapeHtml(entry.item.title || '')}</strong>
+                    <span title="${this.formatDate(entry.deletedAt)}">${this.i18n.format('trash-deleted', { when: this.i18n.formatRelativeTime(entry.deletedAt) }, 'Deleted {when}')} &middot; ${this.trash.describeExpiry(entry)}</span>
+                </div>
+                <button class="btn-edit" onclick="blogManager.restorePost('${entry.id}')"><i class="fas fa-undo"></i> Restore</button>
+                <button class="btn-delete" onclick="blogManager.purgePost('${entry.id}')"><i class="fas fa-trash"></i></button>
+            </li>
+        `).join('');
+    }
+
+    updateTrashCount() {
+        const trashCount = document.getElementById('trashCount');
+        if (trashCount) trashCount.textContent = this.trashEntries.length;
+    }
+
     renderPosts() {
         const container = document.getElementById('userPostsContainer');
         if (!container) {
@@ -734,13 +891,13 @@ class BlogManager {
         }
         
         container.innerHTML = this.posts.map((post, index) => {
-            const editedText = post.dateEdited ? ' (edited)' : '';
+            const editedText = post.dateEdited ? ` ${this.i18n.t('edited', '(edited)')}` : '';
             const displayDate = post.dateEdited ? this.formatDate(post.dateEdited) : this.formatDate(post.date);
             
             return `
             <article class="blog-post user-post" data-category="${post.category || ''}" data-id="${index}" data-date="${post.date}">
                 <div class="post-image">
-                    <img src="${post.image || ''}" alt="${this.escapeHtml(post.title || '')}">
+                    <img src="${post.thumbnail || post.image || ''}" alt="${this.escapeHtml(post.title || '')}" loading="lazy">
                     <div class="post-category">${this.capitalizeFirst(post.category || '')}</div>
                     <div class="post-date">${displayDate}${editedText}</div>
                 </div>
@@ -748,8 +905,8 @@ class BlogManager {
                     <h3>${this.escapeHtml(post.title || '')}</h3>
                     <div class="post-meta">
                         <span><i class="fas fa-user"></i> ${this.escapeHtml(post.author || '')}</span>
-                        <span><i class="fas fa-clock"></i> ${this.calculateReadTime(post.content || post.excerpt || '')} min</span>
-                        <span><i class="fas fa-eye"></i> <span class="view-count">${post.views || 0}</span> views</span>
+                        <span class="read-time"><i class="fas fa-clock"></i> ${this.formatReadTime(this.calculateReadTime(post.content || post.excerpt || ''))}</span>
+                        <span><i class="fas fa-eye"></i> <span class="view-count">${this.formatViews(post.views || 0)}</span></span>
                     </div>
                     <p class="post-excerpt">${this.escapeHtml(post.excerpt || '')}</p>
                     <div class="post-tags">${(post.tags || []).map(tag => `<span class="tag">#${this.escapeHtml(tag)}</span>`).join('')}</div>
@@ -919,7 +1076,7 @@ class BlogManager {
         const counter = document.getElementById('excerptCounter');
         
         if (counter) {
-            counter.textContent = `${wordCount} words`;
+            counter.textContent = this.i18n.format('blog-word-count', { count: wordCount }, '{count, plural, one {# word} other {# words}}');
             counter.style.color = '#059669';
         }
     }
@@ -935,9 +1092,10 @@ class BlogManager {
         if (type === 'user') {
             if (this.posts[postId]) {
                 this.posts[postId].views = (this.posts[postId].views || 0) + 1;
+                this.storage.savePost(this.posts[postId]);
                 const viewCountElement = post.querySelector('.view-count');
                 if (viewCountElement) {
-                    viewCountElement.textContent = this.posts[postId].views;
+                    viewCountElement.textContent = this.formatViews(this.posts[postId].views);
                 }
                 
                 // Show full content for user posts
@@ -952,9 +1110,10 @@ class BlogManager {
             const currentViews = parseInt(this.viewCounts[viewKey] || '0');
             const newViews = currentViews + 1;
             this.viewCounts[viewKey] = newViews;
+            this.storage.saveViewCounts(this.viewCounts);
             const viewCountElement = post.querySelector('.view-count');
             if (viewCountElement) {
-                viewCountElement.textContent = newViews;
+                viewCountElement.textContent = this.formatViews(newViews);
             }
             
             // Show excerpt for default posts
@@ -981,7 +1140,9 @@ class BlogManager {
         const tags = post.querySelectorAll('.post-tags .tag');
         
         if (detailTitle && h3) detailTitle.textContent = h3.textContent;
-        if (detailImage && img) detailImage.src = img.src;
+        // User post cards show a thumbnail, so the detail view loads the full image instead
+        const fullImage = type === 'user' && this.posts[postId] ? this.posts[postId].image : null;
+        if (detailImage && img) detailImage.src = fullImage || img.src;
         if (detailAuthor && metaSpan) detailAuthor.innerHTML = metaSpan.innerHTML;
         if (detailDate && dateSpan) detailDate.innerHTML = `<i class="fas fa-calendar"></i> ${dateSpan.textContent}`;
         if (detailCategory && categoryDiv) detailCategory.innerHTML = `<i class="fas fa-tag"></i> ${categoryDiv.textContent}`;
@@ -1005,25 +1166,30 @@ class BlogManager {
         ).join('');
     }
 
+    async loadPersistedData() {
+        this.posts = await this.storage.loadPosts();
+        this.viewCounts = await this.storage.loadViewCounts();
+        this.trashEntries = await this.storage.loadTrash();
+        this.purgeExpiredTrash();
+        this.updateTrashCount();
+        console.log(`📁 Loaded ${this.posts.length} saved post(s) and ${this.trashEntries.length} trashed post(s) from IndexedDB`);
+    }
+
     loadStoredData() {
-        // Keep view counts in memory only - no localStorage
+        // Apply view counts loaded from IndexedDB to the default posts
         document.querySelectorAll('#defaultPostsContainer .blog-post').forEach(post => {
             const postId = post.dataset.id;
             const viewKey = `default_${postId}_views`;
             const savedViews = this.viewCounts[viewKey] || 0;
             const viewCountElement = post.querySelector('.view-count');
             if (viewCountElement) {
-                viewCountElement.textContent = savedViews;
+                viewCountElement.textContent = this.formatViews(savedViews);
             }
         });
     }
 
     formatDate(dateString) {
-        try {
-            return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-        } catch (error) {
-            return 'Invalid Date';
-        }
+        return this.i18n.formatDate(dateString, { month: 'short', day: 'numeric', year: 'numeric' }) || 'Invalid Date';
     }
 
     calculateReadTime(content) {
@@ -1031,6 +1197,29 @@ class BlogManager {
         return Math.max(1, Math.ceil(content.split(' ').length / 200));
     }
 
+    formatReadTime(minutes) {
+        return this.i18n.format('read-time', { minutes }, '{minutes, number} min read');
+    }
+
+    formatViews(views) {
+        return this.i18n.format('views-count', { count: views }, '{count, plural, one {# view} other {# views}}');
+    }
+
+    // The built-in posts come with English dates and read times in blog.html; rewrite them for the current language
+    localizeDefaultPosts() {
+        document.querySelectorAll('#defaultPostsContainer .blog-post:not(.user-post)').forEach(post => {
+            const dateElement = post.querySelector('.post-date');
+            if (dateElement) {
+                if (!post.dataset.date) post.dataset.date = this.convertDateTextToISO(dateElement.textContent);
+                dateElement.textContent = this.formatDate(post.dataset.date);
+            }
+            const readTime = post.querySelector('.read-time[data-minutes]');
+            if (readTime) {
+                readTime.innerHTML = `<i class="fas fa-clock"></i> ${this.formatReadTime(Number(readTime.dataset.minutes))}`;
+            }
+        });
+    }
+
     capitalizeFirst(str) { 
         return str ? str.charAt(0).toUpperCase() + str.slice(1) : '';
     }
@@ -1042,7 +1231,13 @@ class BlogManager {
         return div.innerHTML;
     }
 
-    showNotification(message, type) {
+    /**
+     * Show a toast message
+     * @param {string} message - Message (may contain HTML)
+     * @param {string} type - 'success' or 'error'
+     * @param {{label: string, onClick: Function}} [action] - Optional button, e.g. Undo; the toast stays up longer
+     */
+    showNotification(message, type, action = null) {
         console.log(`📢 Notification: ${message} (${type})`);
         
         const notification = document.createElement('div');
@@ -1064,12 +1259,24 @@ class BlogManager {
             box-shadow: 0 4px 12px rgba(0,0,0,0.15);
         `;
         
-        document.body.appendChild(notification);
-        setTimeout(() => notification.style.transform = 'translateX(0)', 100);
-        setTimeout(() => { 
+        const dismiss = () => {
             notification.style.transform = 'translateX(100%)';
             setTimeout(() => notification.remove(), 300);
-        }, 3000);
+        };
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'notification-action';
+            actionBtn.textContent = action.label;
+            actionBtn.onclick = () => {
+                action.onClick();
+                dismiss();
+            };
+            notification.appendChild(actionBtn);
+        }
+        
+        document.body.appendChild(notification);
+        setTimeout(() => notification.style.transform = 'translateX(0)', 100);
+        setTimeout(dismiss, action ? 6000 : 3000);
     }
 
     clearFormAndDraft() {
@@ -1104,7 +1311,7 @@ class BlogManager {
 // RESTful API Manager using jQuery AJAX (ALL CRUD operations)
 class APIManager {
     constructor() {
-        this.baseURL = 'https://jsonplaceholder.typicode.com';
+        this.baseURL = `${API_PROXY_URL}/api`; // The proxy forwards /posts to JSONPlaceholder and caches reads
     }
 
     // GET - Fetch posts using jQuery AJAX
@@ -0,0 +1,261 @@
+// IndexedDB persistence layer for BlogManager posts, trashed posts and view counts
+class BlogStorage {
+    constructor() {
+        this.dbName = 'marvelousMalaysiaBlog';
+        this.dbVersion = 2; // Bump when object stores or indexes change
+        this.postSchemaVersion = 1; // Bump when the shape of a saved post changes
+        this.db = null;
+        this.available = typeof indexedDB !== 'undefined';
+
+        // Record migrations keyed by the version they upgrade FROM.
+        // Each step receives a post and returns it in the next version's shape.
+        this.postMigrations = {
+            // v0 -> v1: posts saved before versioning had no id and loose field types
+            0: (post) => ({
+                ...post,
+                id: post.id || `user_post_${new Date(post.date || Date.now()).getTime()}_${Math.random().toString(36).slice(2, 7)}`,
+                tags: Array.isArray(post.tags) ? post.tags : String(post.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag),
+                views: parseInt(post.views) || 0,
+                date: post.date || new Date().toISOString(),
+                content: post.content || post.excerpt || ''
+            })
+        };
+    }
+
+    /**
+     * Open (and upgrade if needed) the blog database
+     * @returns {Promise<IDBDatabase|null>} Database handle, or null if IndexedDB is unavailable
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) {
+            console.log('⚠️ IndexedDB not available, posts will be kept in memory only');
+            return null;
+        }
+
+        return new Promise((resolve) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                // Fall through so a fresh install runs every step in order
+                switch (event.oldVersion) {
+                    case 0:
+                        db.createObjectStore('posts', { keyPath: 'id' }).createIndex('date', 'date');
+                        db.createObjectStore('meta');
+                        // falls through
+                    case 1:
+                        // Deleted posts wait here until restored or purged
+                        db.createObjectStore('trash', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let another tab upgrade the schema without being blocked by us
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                console.error('❌ Error opening blog database:', request.error);
+                this.available = false;
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result, or null if storage is unavailable
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Bring a stored post up to the current schema version
+     * @param {Object} post - Post as read from the database
+     * @returns {Object} Migrated post
+     */
+    migratePost(post) {
+        let migrated = { ...post };
+        let version = migrated.schemaVersion || 0;
+
+        while (version < this.postSchemaVersion) {
+            const step = this.postMigrations[version];
+            if (step) migrated = step(migrated);
+            version++;
+        }
+
+        migrated.schemaVersion = this.postSchemaVersion;
+        return migrated;
+    }
+
+    /**
+     * Load every saved post, migrated and sorted newest first
+     * @returns {Promise<Array>} Array of post objects
+     */
+    async loadPosts() {
+        try {
+            const stored = await this.run('posts', 'readonly', store => store.getAll()) || [];
+            const posts = stored.map(post => this.migratePost(post));
+
+            // Write back any records that were upgraded so migrations only run once
+            const outdated = posts.filter((post, index) => stored[index].schemaVersion !== this.postSchemaVersion);
+            if (outdated.length > 0) {
+                console.log(`🔄 Migrating ${outdated.length} saved post(s) to schema v${this.postSchemaVersion}`);
+                await Promise.all(outdated.map(post => this.savePost(post)));
+            }
+
+            return posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+        } catch (error) {
+            console.error('❌ Error loading posts from IndexedDB:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Insert or replace a post (including its data-URL image)
+     * @param {Object} post - Post object with an id
+     */
+    async savePost(post) {
+        try {
+            await this.run('posts', 'readwrite', store => store.put({ ...post, schemaVersion: this.postSchemaVersion }));
+        } catch (error) {
+            console.error('❌ Error saving post to IndexedDB:', error);
+        }
+    }
+
+    /**
+     * Remove a post permanently
+     * @param {string} id - Post id
+     */
+    async deletePost(id) {
+        try {
+            await this.run('posts', 'readwrite', store => store.delete(id));
+        } catch (error) {
+            console.error('❌ Error deleting post from IndexedDB:', error);
+        }
+    }
+
+    /**
+     * Move a record between two stores in one transaction, so it is never lost or duplicated
+     * @param {string} fromStore - Store to delete the record from
+     * @param {string} toStore - Store to write the record to
+     * @param {string} id - Key of the record in fromStore
+     * @param {Object} record - Record to write into toStore
+     * @returns {Promise<void>}
+     */
+    async moveRecord(fromStore, toStore, id, record) {
+        const db = await this.open();
+        if (!db) return;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([fromStore, toStore], 'readwrite');
+            transaction.objectStore(fromStore).delete(id);
+            transaction.objectStore(toStore).put(record);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Load trashed posts, migrating the posts they hold
+     * @returns {Promise<Array>} Trash entries ({ id, item, deletedAt }), most recently deleted first
+     */
+    async loadTrash() {
+        try {
+            const entries = await this.run('trash', 'readonly', store => store.getAll()) || [];
+            return entries
+                .map(entry => ({ ...entry, item: this.migratePost(entry.item) }))
+                .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+        } catch (error) {
+            console.error('❌ Error loading trash from IndexedDB:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Move a post into the trash
+     * @param {Object} entry - Trash entry from TrashBin.createEntry()
+     */
+    async trashPost(entry) {
+        try {
+            const item = { ...entry.item, schemaVersion: this.postSchemaVersion };
+            await this.moveRecord('posts', 'trash', entry.id, { ...entry, item });
+        } catch (error) {
+            console.error('❌ Error moving post to trash:', error);
+        }
+    }
+
+    /**
+     * Move a trashed post back into the posts store
+     * @param {Object} post - Post to restore
+     */
+    async restorePost(post) {
+        try {
+            await this.moveRecord('trash', 'posts', post.id, { ...post, schemaVersion: this.postSchemaVersion });
+        } catch (error) {
+            console.error('❌ Error restoring post from trash:', error);
+        }
+    }
+
+    /**
+     * Permanently remove a trashed post
+     * @param {string} id - Post id
+     */
+    async purgeTrashedPost(id) {
+        try {
+            await this.run('trash', 'readwrite', store => store.delete(id));
+        } catch (error) {
+            console.error('❌ Error purging post from trash:', error);
+        }
+    }
+
+    /**
+     * Load view counts for the built-in (default) posts
+     * @returns {Promise<Object>} Map of view key to count
+     */
+    async loadViewCounts() {
+        try {
+            return await this.run('meta', 'readonly', store => store.get('viewCounts')) || {};
+        } catch (error) {
+            console.error('❌ Error loading view counts from IndexedDB:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save view counts for the built-in (default) posts
+     * @param {Object} viewCounts - Map of view key to count
+     */
+    async saveViewCounts(viewCounts) {
+        try {
+            await this.run('meta', 'readwrite', store => store.put(viewCounts, 'viewCounts'));
+        } catch (error) {
+            console.error('❌ Error saving view counts to IndexedDB:', error);
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BlogStorage };
+}
@@ -0,0 +1,136 @@
+// Named albums (e.g. "Sabah trip June 2024") grouping gallery items.
+// Albums store ordered item ids, so one photo or video can belong to several albums.
+class GalleryAlbums {
+    /**
+     * @param {GalleryStorage} storage - Versioned localStorage wrapper the albums are saved through
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.albums = storage.load(storage.keys.albums) || [];
+    }
+
+    save() {
+        return this.storage.save(this.storage.keys.albums, this.albums);
+    }
+
+    get(albumId) {
+        return this.albums.find(album => album.id === albumId) || null;
+    }
+
+    /**
+     * Create an album
+     * @param {{name: string, description: string}} details - Album name and description
+     * @returns {Object} The new album
+     */
+    create({ name, description = '' }) {
+        const now = new Date().toISOString();
+        const album = {
+            id: `album_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            name,
+            description,
+            coverId: null, // Falls back to the first item when unset
+            itemIds: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        this.albums.unshift(album);
+        this.save();
+        return album;
+    }
+
+    /**
+     * Change an album's details
+     * @param {string} albumId - Album id
+     * @param {Object} changes - Fields to update (name, description, coverId, itemIds)
+     * @returns {Object|null} Updated album, or null if it does not exist
+     */
+    update(albumId, changes) {
+        const album = this.get(albumId);
+        if (!album) return null;
+
+        Object.assign(album, changes, { updatedAt: new Date().toISOString() });
+        this.save();
+        return album;
+    }
+
+    remove(albumId) {
+        this.albums = this.albums.filter(album => album.id !== albumId);
+        this.save();
+    }
+
+    /**
+     * Add an item to an album, or remove it if it is already there
+     * @param {string} albumId - Album id
+     * @param {string} itemId - Gallery item id
+     * @returns {boolean} Whether the item is now in the album
+     */
+    toggleItem(albumId, itemId) {
+        const album = this.get(albumId);
+        if (!album) return false;
+
+        const isMember = album.itemIds.includes(itemId);
+        const itemIds = isMember ? album.itemIds.filter(id => id !== itemId) : [...album.itemIds, itemId];
+        this.update(albumId, {
+            itemIds,
+            coverId: isMember && album.coverId === itemId ? null : album.coverId
+        });
+        return !isMember;
+    }
+
+    /**
+     * Move an item one place earlier or later in an album
+     * @param {string} albumId - Album id
+     * @param {string} itemId - Gallery item id
+     * @param {number} direction - -1 for earlier, 1 for later
+     */
+    moveItem(albumId, itemId, direction) {
+        const album = this.get(albumId);
+        if (!album) return;
+
+        const index = album.itemIds.indexOf(itemId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= album.itemIds.length) return;
+
+        const itemIds = [...album.itemIds];
+        [itemIds[index], itemIds[target]] = [itemIds[target], itemIds[index]];
+        this.update(albumId, { itemIds });
+    }
+
+    /**
+     * Albums an item belongs to
+     * @param {string} itemId - Gallery item id
+     * @returns {Array<Object>} Albums containing the item
+     */
+    getAlbumsFor(itemId) {
+        return this.albums.filter(album => album.itemIds.includes(itemId));
+    }
+
+    /**
+     * Id of the item shown on an album's cover
+     * @param {Object} album - Album
+     * @param {function(string): boolean} exists - Whether an item id can still be shown
+     * @returns {string|null} Cover item id, or null for an empty album
+     */
+    getCoverId(album, exists) {
+        if (album.coverId && exists(album.coverId)) return album.coverId;
+        return album.itemIds.find(exists) || null;
+    }
+
+    // Forget an item that was permanently deleted
+    removeItemEverywhere(itemId) {
+        let changed = false;
+        this.albums.forEach(album => {
+            if (album.itemIds.includes(itemId)) {
+                album.itemIds = album.itemIds.filter(id => id !== itemId);
+                if (album.coverId === itemId) album.coverId = null;
+                changed = true;
+            }
+        });
+        if (changed) this.save();
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GalleryAlbums };
+}
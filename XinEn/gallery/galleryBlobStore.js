@@ -0,0 +1,170 @@
+// IndexedDB Blob store for gallery uploads
+// Media records keep only a `blobId`; the binary lives here instead of as a data URL in localStorage.
+class GalleryBlobStore {
+    constructor() {
+        this.dbName = 'marvelousMalaysiaGallery';
+        this.dbVersion = 1;
+        this.storeName = 'blobs';
+        this.db = null;
+        this.objectUrls = new Map(); // blobId -> object URL, so each blob is only wrapped once
+    }
+
+    /**
+     * Open (and create if needed) the gallery blob database
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not supported in this browser');
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                switch (event.oldVersion) {
+                    case 0:
+                        db.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a single request inside a transaction on the blob store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store a Blob (or File) and return the id it was saved under
+     * @param {Blob} blob - Binary to store
+     * @param {string} id - Optional id to store it under
+     * @returns {Promise<string>} Blob id
+     */
+    async put(blob, id = `blob_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`) {
+        await this.run('readwrite', store => store.put(blob, id));
+        return id;
+    }
+
+    /**
+     * Read a stored Blob
+     * @param {string} id - Blob id
+     * @returns {Promise<Blob|null>} Stored Blob, or null if missing
+     */
+    async get(id) {
+        return await this.run('readonly', store => store.get(id)) || null;
+    }
+
+    /**
+     * Delete a stored Blob and release its object URL
+     * @param {string} id - Blob id
+     */
+    async delete(id) {
+        this.revokeObjectURL(id);
+        await this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Get an object URL for a stored Blob, suitable for img/video src
+     * @param {string} id - Blob id
+     * @returns {Promise<string|null>} Object URL, or null if the blob is missing
+     */
+    async getObjectURL(id) {
+        if (this.objectUrls.has(id)) return this.objectUrls.get(id);
+
+        const blob = await this.get(id);
+        if (!blob) return null;
+
+        const url = URL.createObjectURL(blob);
+        this.objectUrls.set(id, url);
+        return url;
+    }
+
+    revokeObjectURL(id) {
+        if (this.objectUrls.has(id)) {
+            URL.revokeObjectURL(this.objectUrls.get(id));
+            this.objectUrls.delete(id);
+        }
+    }
+
+    /**
+     * Convert a data URL (as saved by older versions of the gallery) into a Blob
+     * @param {string} dataUrl - data: URL
+     * @returns {Promise<Blob>} Decoded Blob
+     */
+    async dataUrlToBlob(dataUrl) {
+        const response = await fetch(dataUrl);
+        return response.blob();
+    }
+
+    /**
+     * Get current origin storage usage
+     * @returns {Promise<{usage: number, quota: number}|null>} Bytes used and available, or null if unknown
+     */
+    async getUsage() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage: usage || 0, quota: quota || 0 };
+        } catch (error) {
+            console.warn('Error estimating storage usage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a file of the given size should fit in the remaining quota
+     * @param {number} bytes - Size of the file about to be stored
+     * @returns {Promise<{ok: boolean, free: number|null}>} Result and free space in bytes (null if unknown)
+     */
+    async checkQuota(bytes) {
+        const estimate = await this.getUsage();
+        if (!estimate || !estimate.quota) return { ok: true, free: null };
+
+        const free = Math.max(0, estimate.quota - estimate.usage);
+        return { ok: bytes <= free, free };
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Byte count
+     * @returns {string} Human readable size, e.g. "4.2 MB"
+     */
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        const value = bytes / Math.pow(1024, exponent);
+        return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GalleryBlobStore };
+}
@@ -0,0 +1,128 @@
+// Versioned localStorage schema for GalleryManager
+class GalleryStorage {
+    constructor() {
+        this.versionKey = 'galleryStorageVersion';
+        this.keys = {
+            photos: 'galleryPhotos',
+            videos: 'galleryVideos',
+            likes: 'galleryLikes',
+            views: 'galleryViews',
+            trash: 'galleryTrash', // Deleted uploads awaiting restore or purge (added in v1, empty when missing)
+            albums: 'galleryAlbums' // Named collections of item ids (added in v1, empty when missing)
+        };
+
+        // Migration steps keyed by the version they upgrade FROM.
+        // Add a new step (and bump currentVersion) whenever the stored shape changes.
+        this.migrations = {
+            // v0 -> v1: fold scattered `<id>_views` keys into galleryViews and normalise media records
+            0: () => {
+                const views = this.load(this.keys.views) || {};
+                const legacyKeys = [];
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (key && key.endsWith('_views') && key !== this.keys.views) {
+                        legacyKeys.push(key);
+                    }
+                }
+                legacyKeys.forEach(key => {
+                    const id = key.slice(0, -'_views'.length);
+                    views[id] = Math.max(views[id] || 0, parseInt(this.load(key)) || 0);
+                    localStorage.removeItem(key);
+                });
+                this.save(this.keys.views, views);
+
+                ['photos', 'videos'].forEach(collection => {
+                    const items = this.load(this.keys[collection]) || [];
+                    this.save(this.keys[collection], items.map(item => this.normalizeMedia(item, collection === 'videos' ? 'video' : 'photo')));
+                });
+            }
+        };
+        this.currentVersion = 1;
+    }
+
+    /**
+     * Read and parse a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @returns {*} Parsed value, or null if missing or unreadable
+     */
+    load(key) {
+        try {
+            const data = localStorage.getItem(key);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.warn(`Error loading ${key} from localStorage:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Serialise and write a value to localStorage
+     * @param {string} key - Storage key
+     * @param {*} data - Value to store
+     * @returns {boolean} Whether the write succeeded
+     */
+    save(key, data) {
+        try {
+            localStorage.setItem(key, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.warn(`Error saving ${key} to localStorage:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the schema version of the data currently in localStorage
+     * @returns {number} Stored version (0 for data written before versioning)
+     */
+    getStoredVersion() {
+        return parseInt(this.load(this.versionKey)) || 0;
+    }
+
+    /**
+     * Run every pending migration step in order
+     */
+    migrate() {
+        let version = this.getStoredVersion();
+        if (version > this.currentVersion) {
+            console.warn(`Gallery storage is at v${version}, newer than this page supports (v${this.currentVersion})`);
+            return;
+        }
+
+        while (version < this.currentVersion) {
+            try {
+                if (this.migrations[version]) this.migrations[version]();
+            } catch (error) {
+                // Stop here so the failed step is retried on the next load instead of being skipped
+                console.error(`Error migrating gallery storage from v${version}:`, error);
+                return;
+            }
+            version++;
+            this.save(this.versionKey, version);
+        }
+    }
+
+    /**
+     * Fill in fields that older media records may be missing
+     * @param {Object} item - Media record
+     * @param {string} type - Fallback media type ('photo' or 'video')
+     * @returns {Object} Normalised media record
+     */
+    normalizeMedia(item, type) {
+        return {
+            ...item,
+            type: item.type || type,
+            tags: Array.isArray(item.tags) ? item.tags : String(item.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag),
+            description: item.description || '',
+            location: item.location || '',
+            views: parseInt(item.views) || 0,
+            likes: parseInt(item.likes) || 0,
+            isUserContent: true
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GalleryStorage };
+}
@@ -0,0 +1,51 @@
+// Gallery view state <-> URL query string, so a reload, the back button or a shared link
+// lands on the same filter, tab, search, sort, open album and open photo.
+// e.g. photovideo.html?filter=nature&type=video&q=sunrise&sort=likes&media=default_video_1
+//      photovideo.html?type=albums&album=album_1&media=photo_3
+class GalleryUrlState {
+    constructor() {
+        // Values left out of the URL because they are what the gallery shows anyway
+        this.defaults = {
+            filter: 'all',
+            type: 'all',
+            q: '',
+            sort: 'newest',
+            album: null,
+            media: null
+        };
+    }
+
+    /**
+     * Read the state from a query string
+     * @param {string} search - e.g. window.location.search
+     * @returns {Object} State with defaults for anything missing
+     */
+    parse(search) {
+        const params = new URLSearchParams(search);
+        const state = {};
+        Object.entries(this.defaults).forEach(([key, fallback]) => {
+            const value = params.get(key);
+            state[key] = value === null || value === '' ? fallback : value;
+        });
+        return state;
+    }
+
+    /**
+     * Build the query string for a state
+     * @param {Object} state - Gallery state
+     * @returns {string} Query string including the leading "?", or '' for the default view
+     */
+    toSearch(state) {
+        const params = new URLSearchParams();
+        Object.entries(this.defaults).forEach(([key, fallback]) => {
+            if (state[key] && state[key] !== fallback) params.set(key, state[key]);
+        });
+        const search = params.toString();
+        return search ? `?${search}` : '';
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GalleryUrlState };
+}
@@ -0,0 +1,130 @@
+// IndexedDB cache of Unsplash API responses, so a reload reuses results instead of spending the hourly request limit.
+// Entries expire after a TTL but are kept, so expired results can still be shown when the API can't be reached.
+class UnsplashCache {
+    constructor() {
+        this.dbName = 'marvelousMalaysiaUnsplash';
+        this.dbVersion = 1;
+        this.storeName = 'responses';
+        this.maxEntries = 200; // Oldest entries beyond this are pruned
+        this.db = null;
+        this.available = typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create if needed) the cache database
+     * @returns {Promise<IDBDatabase|null>} Database handle, or null if IndexedDB is unavailable
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) return null;
+
+        return new Promise((resolve) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                switch (event.oldVersion) {
+                    case 0:
+                        db.createObjectStore(this.storeName, { keyPath: 'key' })
+                            .createIndex('storedAt', 'storedAt');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+
+            // A cache that can't open (e.g. private browsing) just means every request goes to the network
+            request.onerror = () => {
+                console.warn('Unsplash cache unavailable:', request.error);
+                this.available = false;
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Run a single request inside a transaction on the response store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result, or undefined without IndexedDB
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read a cached response
+     * @param {string} key - Request key
+     * @returns {Promise<{data: *, expiresAt: number, fresh: boolean}|null>} Entry (fresh is false once the TTL has passed), or null
+     */
+    async get(key) {
+        try {
+            const entry = await this.run('readonly', store => store.get(key));
+            if (!entry) return null;
+            return { data: entry.data, expiresAt: entry.expiresAt, fresh: entry.expiresAt > Date.now() };
+        } catch (error) {
+            console.warn('Error reading Unsplash cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Cache a response
+     * @param {string} key - Request key
+     * @param {*} data - Parsed response body
+     * @param {number} ttl - Milliseconds the entry counts as fresh
+     */
+    async set(key, data, ttl) {
+        const storedAt = Date.now();
+        try {
+            await this.run('readwrite', store => store.put({ key, data, storedAt, expiresAt: storedAt + ttl }));
+            await this.prune();
+        } catch (error) {
+            console.warn('Error writing Unsplash cache:', error); // Most likely over quota; the response is still used
+        }
+    }
+
+    // Delete the oldest entries beyond maxEntries
+    async prune() {
+        const count = await this.run('readonly', store => store.count());
+        if (!count || count <= this.maxEntries) return;
+
+        let excess = count - this.maxEntries;
+        await this.run('readwrite', store => {
+            const request = store.index('storedAt').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || excess <= 0) return;
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+            return request;
+        });
+    }
+
+    // Remove every cached response
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UnsplashCache };
+}
@@ -0,0 +1,163 @@
+// Transports used by UnsplashImageManager to reach the Unsplash API.
+// Swapping the transport lets the gallery run against a local fixture server or recorded responses
+// instead of the API proxy, e.g. for working offline or without the proxy running.
+//
+// Every transport resolves request(url, { headers }) to { ok, status, headers, data }, where
+// headers is a plain object with lower-case names and data is the parsed JSON body (null on errors).
+//
+// Local switch (run in the console, then reload photovideo.html):
+//   localStorage.setItem('unsplashDevConfig', '{"baseURL": "http://localhost:8788"}') - use a fixture server
+//   localStorage.setItem('unsplashDevConfig', '{"record": true}')                     - record live responses,
+//       then copy(galleryManager.unsplashManager.transport.export()) and save them as a JSON file
+//   localStorage.setItem('unsplashDevConfig', '{"replay": "fixtures/unsplash.json"}') - replay that file
+//   localStorage.removeItem('unsplashDevConfig')                                       - back to the API proxy
+
+// Live requests with fetch
+class FetchTransport {
+    /**
+     * @param {string} url - Absolute request URL
+     * @param {Object} options - { headers }
+     * @returns {Promise<Object>} Normalised response
+     */
+    async request(url, options = {}) {
+        const response = await fetch(url, { headers: options.headers || {} });
+        const headers = {};
+        response.headers.forEach((value, name) => {
+            headers[name.toLowerCase()] = value;
+        });
+
+        let data = null;
+        if (response.ok) {
+            data = await response.json().catch(() => null); // The download endpoint's body is not needed
+        }
+        return { ok: response.ok, status: response.status, headers, data };
+    }
+}
+
+// Sends Unsplash API requests through the site's API proxy (XinEn/server/apiProxy.js), which adds the access key
+class ProxyTransport {
+    /**
+     * @param {string} proxyURL - Proxy root, e.g. API_PROXY_URL
+     * @param {Object} transport - Transport that makes the actual request
+     */
+    constructor(proxyURL, transport = new FetchTransport()) {
+        this.proxyURL = proxyURL;
+        this.transport = transport;
+    }
+
+    /**
+     * Proxy route for an Unsplash API URL
+     * @param {string} url - e.g. https://api.unsplash.com/search/photos?query=...
+     * @returns {string} e.g. http://localhost:8787/api/photos/search?query=...
+     */
+    toProxyURL(url) {
+        const parsed = new URL(url, 'https://api.unsplash.com');
+        const route = parsed.pathname === '/search/photos' ? '/photos/search' : parsed.pathname; // /photos and /photos/:id/download keep their paths
+        return `${this.proxyURL}/api${route}${parsed.search}`;
+    }
+
+    async request(url) {
+        return this.transport.request(this.toProxyURL(url)); // The proxy holds the key, so no Authorization header
+    }
+}
+
+/**
+ * Key a request by path and sorted query, so recordings replay whatever host or parameter order asked for them
+ * @param {string} url - Request URL
+ * @returns {string} e.g. "/search/photos?orientation=landscape&page=2&per_page=6&query=malaysia+food"
+ */
+function unsplashRecordingKey(url) {
+    const parsed = new URL(url, 'https://api.unsplash.com');
+    const params = [...parsed.searchParams.entries()].sort(([a], [b]) => a.localeCompare(b));
+    const search = new URLSearchParams(params).toString();
+    return search ? `${parsed.pathname}?${search}` : parsed.pathname;
+}
+
+// Passes requests through to another transport and keeps the responses for export()
+class RecordingTransport {
+    constructor(transport) {
+        this.transport = transport;
+        this.recordings = {};
+    }
+
+    async request(url, options = {}) {
+        const response = await this.transport.request(url, options);
+        if (response.ok) {
+            this.recordings[unsplashRecordingKey(url)] = response;
+        }
+        return response;
+    }
+
+    /**
+     * Everything recorded so far, in the format ReplayTransport reads
+     * @returns {string} JSON text
+     */
+    export() {
+        return JSON.stringify(this.recordings, null, 2);
+    }
+}
+
+// Answers from recorded responses only; anything not recorded gets a 404 like an unknown API route
+class ReplayTransport {
+    /**
+     * @param {Object|string} recordings - Recordings object, or the URL of a JSON file exported by RecordingTransport
+     */
+    constructor(recordings) {
+        this.source = recordings;
+        this.recordings = typeof recordings === 'string' ? null : recordings;
+    }
+
+    async loadRecordings() {
+        if (this.recordings) return this.recordings;
+        const response = await fetch(this.source);
+        if (!response.ok) {
+            throw new Error(`Could not load Unsplash recordings from ${this.source} (status ${response.status})`);
+        }
+        this.recordings = await response.json();
+        return this.recordings;
+    }
+
+    async request(url) {
+        const recordings = await this.loadRecordings();
+        const recorded = recordings[unsplashRecordingKey(url)];
+        if (!recorded) {
+            console.warn(`No recorded Unsplash response for ${unsplashRecordingKey(url)}`);
+            return { ok: false, status: 404, headers: {}, data: null };
+        }
+        return { ok: true, status: 200, headers: {}, ...recorded };
+    }
+}
+
+/**
+ * Transport options from the local unsplashDevConfig switch described above
+ * @returns {Object} { transport, baseURL } to pass to UnsplashImageManager, or {} for the API proxy
+ */
+function loadUnsplashDevConfig() {
+    let config = null;
+    try {
+        config = JSON.parse(localStorage.getItem('unsplashDevConfig'));
+    } catch (error) {
+        console.warn('Ignoring unreadable unsplashDevConfig:', error);
+    }
+    if (!config) return {};
+
+    if (config.replay) {
+        console.log(`Unsplash: replaying recorded responses from ${config.replay}`);
+        return { transport: new ReplayTransport(config.replay) };
+    }
+    const options = {};
+    if (config.baseURL) {
+        console.log(`Unsplash: using ${config.baseURL} instead of the API proxy`);
+        options.baseURL = config.baseURL.replace(/\/$/, '');
+    }
+    if (config.record) {
+        console.log('Unsplash: recording responses, export them with galleryManager.unsplashManager.transport.export()');
+        options.transport = new RecordingTransport(options.baseURL ? new FetchTransport() : new ProxyTransport(API_PROXY_URL));
+    }
+    return options;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FetchTransport, ProxyTransport, RecordingTransport, ReplayTransport, unsplashRecordingKey, loadUnsplashDevConfig };
+}
@@ -0,0 +1,109 @@
+// Files waiting in the upload modal when several are picked at once.
+// Each entry keeps its own title and optional overrides of the batch-wide category, location and tags.
+class UploadQueue {
+    constructor() {
+        this.items = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add files to the queue
+     * @param {Array<File>} files - Picked or dropped files
+     * @param {function(File): string|null} validate - Returns an error message for files that cannot be uploaded
+     * @returns {Array<Object>} The new queue entries
+     */
+    add(files, validate) {
+        const added = files.map(file => {
+            const error = validate(file);
+            return {
+                id: `queued_${this.nextId++}`,
+                file,
+                type: file.type.startsWith('video/') ? 'video' : 'photo',
+                previewUrl: !error && file.type.startsWith('image/') ? URL.createObjectURL(file) : null,
+                title: this.titleFromFileName(file.name),
+                overrides: { category: '', location: '', tags: '' }, // Empty means "use the batch value"
+                detected: { date: null, location: '', tags: [] },    // Filled in from EXIF for photos
+                status: error ? 'invalid' : 'waiting',
+                error,
+                progress: 0
+            };
+        });
+        this.items.push(...added);
+        return added;
+    }
+
+    /**
+     * Turn "IMG_2041-batu-caves.jpg" into "IMG 2041 batu caves" as a starting title
+     * @param {string} fileName - Original file name
+     * @returns {string} Title suggestion
+     */
+    titleFromFileName(fileName) {
+        return fileName.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    remove(id) {
+        const item = this.get(id);
+        if (!item) return;
+        if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+        this.items = this.items.filter(entry => entry !== item);
+    }
+
+    clear() {
+        this.items.forEach(item => {
+            if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+        });
+        this.items = [];
+    }
+
+    /**
+     * Record progress on one entry
+     * @param {Object} item - Queue entry
+     * @param {string} status - 'waiting', 'processing', 'saving', 'done', 'failed' or 'invalid'
+     * @param {number} progress - Percentage (0-100)
+     * @param {string|null} error - Message for failed entries
+     */
+    setStatus(item, status, progress, error = null) {
+        item.status = status;
+        item.progress = progress;
+        item.error = error;
+    }
+
+    /**
+     * Entries that can still be uploaded (not invalid and not already done)
+     * @returns {Array<Object>} Pending entries
+     */
+    getPending() {
+        return this.items.filter(item => item.status !== 'invalid' && item.status !== 'done');
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    /**
+     * Combine the batch-wide fields with an entry's overrides and EXIF details
+     * @param {Object} item - Queue entry
+     * @param {{category: string, location: string, tags: Array<string>, date: string}} shared - Values from the main form
+     * @returns {{title: string, category: string, location: string, tags: Array<string>, date: string}} Fields for the media record
+     */
+    resolveFields(item, shared) {
+        const itemTags = item.overrides.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
+        return {
+            title: item.title.trim(),
+            category: item.overrides.category || shared.category,
+            // A location typed for this file wins, then the batch location, then the one read from the photo
+            location: item.overrides.location.trim() || shared.location || item.detected.location,
+            tags: [...new Set([...shared.tags, ...itemTags, ...item.detected.tags])],
+            date: item.detected.date || shared.date
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UploadQueue };
+}
@@ -0,0 +1,105 @@
+// Reads metadata and captures poster frames from uploaded video files in the browser
+class VideoMetadataExtractor {
+    constructor() {
+        this.posterMaxWidth = 640; // Thumbnails never need to be larger than a gallery card
+        this.posterQuality = 0.8;
+    }
+
+    /**
+     * Wait for a media event, failing if the browser reports an error instead
+     * @param {HTMLVideoElement} video - Video element
+     * @param {string} eventName - Event to wait for
+     * @returns {Promise<void>}
+     */
+    waitFor(video, eventName) {
+        return new Promise((resolve, reject) => {
+            const onEvent = () => {
+                video.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                video.removeEventListener(eventName, onEvent);
+                reject(new Error('This video format cannot be read by your browser'));
+            };
+            video.addEventListener(eventName, onEvent, { once: true });
+            video.addEventListener('error', onError, { once: true });
+        });
+    }
+
+    /**
+     * Load a video's metadata (duration and dimensions) into a video element
+     * @param {HTMLVideoElement} video - Element to load into (e.g. the upload preview)
+     * @param {string} src - Object URL of the video file
+     * @returns {Promise<{duration: number, width: number, height: number}>} Video metadata
+     */
+    async loadMetadata(video, src) {
+        video.muted = true;
+        video.preload = 'auto';
+        const loaded = this.waitFor(video, 'loadedmetadata');
+        video.src = src;
+        await loaded;
+
+        return {
+            duration: isFinite(video.duration) ? video.duration : 0,
+            width: video.videoWidth,
+            height: video.videoHeight
+        };
+    }
+
+    /**
+     * Pick a sensible default poster timestamp, skipping black intro frames
+     * @param {number} duration - Video duration in seconds
+     * @returns {number} Timestamp in seconds
+     */
+    getDefaultPosterTime(duration) {
+        if (!duration) return 0;
+        return Math.min(1, duration / 10);
+    }
+
+    /**
+     * Seek a video element to a timestamp and wait until that frame can be drawn
+     * @param {HTMLVideoElement} video - Video element with metadata loaded
+     * @param {number} time - Timestamp in seconds
+     */
+    async seekTo(video, time) {
+        const target = Math.max(0, Math.min(time, video.duration || 0));
+        if (Math.abs(video.currentTime - target) > 0.01) {
+            const seeked = this.waitFor(video, 'seeked');
+            video.currentTime = target;
+            await seeked;
+        } else if (video.readyState < 2) {
+            await this.waitFor(video, 'loadeddata');
+        }
+    }
+
+    /**
+     * Capture a single frame of a video as a JPEG Blob
+     * @param {HTMLVideoElement} video - Video element with metadata loaded
+     * @param {number} time - Timestamp in seconds
+     * @returns {Promise<Blob>} JPEG image of the frame
+     */
+    async captureFrame(video, time) {
+        await this.seekTo(video, time);
+
+        const scale = Math.min(1, this.posterMaxWidth / (video.videoWidth || this.posterMaxWidth));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round((video.videoWidth || this.posterMaxWidth) * scale);
+        canvas.height = Math.round((video.videoHeight || this.posterMaxWidth * 0.5625) * scale);
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not capture a frame from this video'));
+                }
+            }, 'image/jpeg', this.posterQuality);
+        });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VideoMetadataExtractor };
+}
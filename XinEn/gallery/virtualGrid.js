@@ -0,0 +1,111 @@
+// Windowed rendering for a CSS grid of cards: only the rows near the viewport are in the DOM,
+// and padding on the grid stands in for the rows above and below so the scrollbar stays right.
+class VirtualGrid {
+    /**
+     * @param {HTMLElement} container - Element styled as a CSS grid
+     * @param {Object} options
+     * @param {function(Object, number): string} options.renderItem - HTML for one item and its index in the list
+     * @param {number} [options.overscanRows] - Extra rows rendered above and below the viewport
+     * @param {number} [options.estimatedRowHeight] - Row height used until a row has been measured
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.renderItem = options.renderItem;
+        this.overscanRows = options.overscanRows || 2;
+        this.rowHeight = options.estimatedRowHeight || 360;
+        this.items = [];
+        this.range = null; // { start, end } indexes currently rendered
+        this.frameRequested = false;
+
+        this.handleViewportChange = () => {
+            if (this.frameRequested) return;
+            this.frameRequested = true;
+            requestAnimationFrame(() => {
+                this.frameRequested = false;
+                this.update();
+            });
+        };
+        window.addEventListener('scroll', this.handleViewportChange, { passive: true });
+        window.addEventListener('resize', this.handleViewportChange);
+    }
+
+    /**
+     * Replace the list and render the window around the viewport
+     * @param {Array<Object>} items - Items in display order
+     */
+    setItems(items) {
+        this.items = items;
+        this.range = null; // Force a render even if the window did not move
+        this.update();
+    }
+
+    // Columns the grid currently resolves to (the browser reports one track size per column)
+    getColumnCount() {
+        const tracks = getComputedStyle(this.container).gridTemplateColumns.split(' ').filter(track => track && track !== 'none');
+        return Math.max(1, tracks.length);
+    }
+
+    /**
+     * Work out which items should be in the DOM
+     * @returns {{start: number, end: number}} Index range to render (end exclusive)
+     */
+    getVisibleRange() {
+        const columns = this.getColumnCount();
+        const rowGap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+        const rowStride = this.rowHeight + rowGap;
+        const totalRows = Math.ceil(this.items.length / columns);
+
+        // Layout not available (hidden grid, or no layout engine): render everything
+        if (!this.container.offsetParent || rowStride <= 0 || !window.innerHeight) {
+            return { start: 0, end: this.items.length };
+        }
+
+        const gridTop = this.container.getBoundingClientRect().top;
+        const firstRow = Math.floor(-gridTop / rowStride) - this.overscanRows;
+        const lastRow = Math.ceil((window.innerHeight - gridTop) / rowStride) + this.overscanRows;
+        const startRow = Math.min(Math.max(0, firstRow), totalRows);
+        const endRow = Math.min(Math.max(startRow, lastRow), totalRows);
+        return { start: startRow * columns, end: Math.min(this.items.length, endRow * columns) };
+    }
+
+    // Re-render if the window of rows changed
+    update() {
+        const range = this.getVisibleRange();
+        if (this.range && this.range.start === range.start && this.range.end === range.end) return;
+        this.range = range;
+
+        const columns = this.getColumnCount();
+        const rowGap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+        const rowsBefore = range.start / columns;
+        const rowsAfter = Math.ceil(this.items.length / columns) - Math.ceil(range.end / columns);
+
+        this.container.innerHTML = this.items.slice(range.start, range.end)
+            .map((item, offset) => this.renderItem(item, range.start + offset))
+            .join('');
+        this.container.style.paddingTop = rowsBefore > 0 ? `${rowsBefore * (this.rowHeight + rowGap)}px` : '';
+        this.container.style.paddingBottom = rowsAfter > 0 ? `${rowsAfter * (this.rowHeight + rowGap)}px` : '';
+
+        this.measureRowHeight(columns, rowGap);
+    }
+
+    // Use the rendered cards to refine the row height estimate
+    measureRowHeight(columns, rowGap) {
+        const cards = this.container.children;
+        if (cards.length === 0) return;
+
+        const first = cards[0];
+        const last = cards[cards.length - 1];
+        const renderedRows = Math.ceil(cards.length / columns);
+        const height = (last.offsetTop + last.offsetHeight - first.offsetTop - (renderedRows - 1) * rowGap) / renderedRows;
+        if (height > 0 && Math.abs(height - this.rowHeight) > 1) {
+            this.rowHeight = height;
+            this.range = null; // Padding was based on the old estimate
+            this.handleViewportChange();
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VirtualGrid };
+}
@@ -0,0 +1,259 @@
+// API proxy for the front end: keeps the Unsplash and OpenWeatherMap keys on the server and caches responses.
+//   GET  /api/photos/search              Unsplash photo search (query, page, per_page, orientation, ...)
+//   GET  /api/photos                     Unsplash photo list (page, per_page, order_by)
+//   GET  /api/photos/:id/download        Unsplash download tracking
+//   GET  /api/weather                    OpenWeatherMap current weather (q or lat/lon, units, lang)
+//   GET  /api/forecast                   OpenWeatherMap 5-day / 3-hour forecast (same parameters, plus cnt)
+//   GET  /api/posts[/:id]                JSONPlaceholder posts; POST, PUT and DELETE are passed through uncached
+//   GET  /api/events.ics                 iCalendar feed of the site's events (state, theme, month=YYYY-MM filters)
+// Keys come from the environment or XinEn/server/.env (copy .env.example); see that file for every setting.
+// Usage: node XinEn/server/apiProxy.js  (Node 18+, no packages needed)
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ICalendarBuilder } = require('../shared/icalendar');
+const { EventCatalog } = require('../shared/eventCatalog');
+
+/**
+ * Read KEY=value lines from a .env file into process.env, without overriding variables that are already set
+ * @param {string} file - Path to the .env file
+ */
+function loadEnvFile(file) {
+    if (!fs.existsSync(file)) return;
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*?)\s*$/);
+        if (!match || process.env[match[1]] !== undefined) return;
+        process.env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    });
+}
+
+loadEnvFile(path.join(__dirname, '.env'));
+
+const config = {
+    port: parseInt(process.env.PORT, 10) || 8787,
+    allowedOrigin: process.env.ALLOWED_ORIGIN || '*',
+    unsplashKey: process.env.UNSPLASH_ACCESS_KEY || '',
+    weatherKey: process.env.OPENWEATHER_API_KEY || '',
+    maxCacheEntries: 500
+};
+
+// Seconds each kind of response is served from the cache
+const CACHE_TTL = {
+    photos: parseInt(process.env.PHOTOS_CACHE_TTL, 10) || 60 * 60,
+    weather: parseInt(process.env.WEATHER_CACHE_TTL, 10) || 10 * 60,
+    posts: parseInt(process.env.POSTS_CACHE_TTL, 10) || 5 * 60
+};
+
+// Query parameters passed on to each upstream; anything else (e.g. a client_id or appid) is dropped
+const ALLOWED_PARAMS = {
+    search: ['query', 'page', 'per_page', 'orientation', 'order_by', 'color', 'content_filter'],
+    list: ['page', 'per_page', 'order_by'],
+    download: ['ixid'],
+    weather: ['q', 'lat', 'lon', 'units', 'lang', 'id', 'cnt']
+};
+
+// Upstream response headers worth passing back (the gallery backs off on X-Ratelimit-Remaining)
+const FORWARDED_HEADERS = ['x-ratelimit-limit', 'x-ratelimit-remaining', 'x-total', 'x-per-page'];
+
+const cache = new Map(); // Upstream URL -> { status, headers, body, expiresAt }
+
+/**
+ * Build an upstream URL from the allowed query parameters of the incoming request
+ * @param {string} base - Upstream URL without a query string
+ * @param {URLSearchParams} params - Incoming query parameters
+ * @param {Array<string>|null} allowed - Names to keep, or null to keep everything
+ * @param {Object} extra - Parameters added by the proxy, such as the API key
+ * @returns {string} Upstream URL
+ */
+function upstreamURL(base, params, allowed, extra = {}) {
+    const query = new URLSearchParams();
+    params.forEach((value, name) => {
+        if (!allowed || allowed.includes(name)) query.append(name, value);
+    });
+    Object.entries(extra).forEach(([name, value]) => query.set(name, value));
+    const search = query.toString();
+    return search ? `${base}?${search}` : base;
+}
+
+/**
+ * Fetch from an upstream, answering repeated GETs from the cache
+ * @param {string} url - Upstream URL (also the cache key, so it must not change between identical requests)
+ * @param {Object} options - { method, headers, body, ttl, cacheKey } where ttl (seconds) enables caching
+ * @returns {Promise<{status: number, headers: Object, body: string, cached: boolean}>} Upstream response
+ */
+async function fetchUpstream(url, options = {}) {
+    const cacheKey = options.cacheKey || url;
+    const cached = options.ttl ? cache.get(cacheKey) : null;
+    if (cached && cached.expiresAt > Date.now()) {
+        return { ...cached, cached: true };
+    }
+
+    const response = await fetch(url, {
+        method: options.method || 'GET',
+        headers: options.headers,
+        body: options.body
+    });
+    const headers = { 'content-type': response.headers.get('content-type') || 'application/json; charset=utf-8' };
+    FORWARDED_HEADERS.forEach(name => {
+        if (response.headers.has(name)) headers[name] = response.headers.get(name);
+    });
+    const result = { status: response.status, headers, body: await response.text() };
+
+    if (options.ttl && response.ok) {
+        cache.delete(cacheKey); // Re-insert so the Map stays ordered oldest first
+        cache.set(cacheKey, { ...result, expiresAt: Date.now() + options.ttl * 1000 });
+        if (cache.size > config.maxCacheEntries) cache.delete(cache.keys().next().value);
+    }
+    return { ...result, cached: false };
+}
+
+// Drop cached post listings after a write so the next GET sees it
+function invalidatePosts() {
+    [...cache.keys()].filter(key => key.startsWith('https://jsonplaceholder.typicode.com/')).forEach(key => cache.delete(key));
+}
+
+// Read on each request so edits to the dataset show up without restarting the proxy
+function loadEvents() {
+    const file = path.join(__dirname, '..', 'shared', 'events.json');
+    return new EventCatalog(JSON.parse(fs.readFileSync(file, 'utf8')).events);
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...headers
+    });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function sendUpstream(res, upstream) {
+    send(res, upstream.status, upstream.body, { ...upstream.headers, 'X-Cache': upstream.cached ? 'HIT' : 'MISS' });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 100 * 1024) req.destroy(new Error('Request body too large'));
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Answer one /api request
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Response to write
+ * @param {URL} url - Parsed request URL
+ */
+async function route(req, res, url) {
+    const { pathname, searchParams } = url;
+    const unsplashHeaders = { 'Authorization': `Client-ID ${config.unsplashKey}`, 'Accept-Version': 'v1' };
+    let match;
+
+    if (pathname.startsWith('/api/photos')) {
+        if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+        if (!config.unsplashKey) return send(res, 503, { error: 'UNSPLASH_ACCESS_KEY is not configured on the proxy' });
+
+        if (pathname === '/api/photos/search') {
+            if (!searchParams.get('query')) return send(res, 400, { error: 'query is required' });
+            return sendUpstream(res, await fetchUpstream(
+                upstreamURL('https://api.unsplash.com/search/photos', searchParams, ALLOWED_PARAMS.search),
+                { headers: unsplashHeaders, ttl: CACHE_TTL.photos }
+            ));
+        }
+        if (pathname === '/api/photos') {
+            return sendUpstream(res, await fetchUpstream(
+                upstreamURL('https://api.unsplash.com/photos', searchParams, ALLOWED_PARAMS.list),
+                { headers: unsplashHeaders, ttl: CACHE_TTL.photos }
+            ));
+        }
+        if ((match = pathname.match(/^\/api\/photos\/([\w-]+)\/download$/))) {
+            // Not cached: Unsplash counts each call as a download
+            return sendUpstream(res, await fetchUpstream(
+                upstreamURL(`https://api.unsplash.com/photos/${match[1]}/download`, searchParams, ALLOWED_PARAMS.download),
+                { headers: unsplashHeaders }
+            ));
+        }
+    }
+
+    if (pathname === '/api/weather' || pathname === '/api/forecast') {
+        if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+        if (!config.weatherKey) return send(res, 503, { error: 'OPENWEATHER_API_KEY is not configured on the proxy' });
+        if (!searchParams.get('q') && !searchParams.get('id') && !(searchParams.get('lat') && searchParams.get('lon'))) {
+            return send(res, 400, { error: 'q, id or lat and lon is required' });
+        }
+        const base = `https://api.openweathermap.org/data/2.5/${pathname === '/api/weather' ? 'weather' : 'forecast'}`;
+        const keyless = upstreamURL(base, searchParams, ALLOWED_PARAMS.weather);
+        return sendUpstream(res, await fetchUpstream(
+            upstreamURL(base, searchParams, ALLOWED_PARAMS.weather, { appid: config.weatherKey }),
+            { ttl: CACHE_TTL.weather, cacheKey: keyless } // Keep the key out of the cache's keys
+        ));
+    }
+
+    if ((match = pathname.match(/^\/api\/posts(\/\d+)?$/))) {
+        const target = upstreamURL(`https://jsonplaceholder.typicode.com/posts${match[1] || ''}`, searchParams, null);
+        if (req.method === 'GET') {
+            return sendUpstream(res, await fetchUpstream(target, { ttl: CACHE_TTL.posts }));
+        }
+        if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+            const body = req.method === 'DELETE' ? undefined : await readBody(req);
+            const upstream = await fetchUpstream(target, {
+                method: req.method,
+                headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+                body
+            });
+            invalidatePosts();
+            return sendUpstream(res, upstream);
+        }
+        return send(res, 405, { error: 'Method not allowed' });
+    }
+
+    if (pathname === '/api/events.ics') {
+        if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+        const events = loadEvents().filter({
+            state: searchParams.get('state'),
+            theme: searchParams.get('theme'),
+            month: searchParams.get('month')
+        });
+        return send(res, 200, new ICalendarBuilder().build(events), {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="malaysia-events.ics"',
+            'Cache-Control': 'public, max-age=3600'
+        });
+    }
+
+    return send(res, 404, { error: `No route for ${req.method} ${pathname}` });
+}
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', ['X-Cache', ...FORWARDED_HEADERS].join(', '));
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    try {
+        await route(req, res, new URL(req.url, `http://${req.headers.host || 'localhost'}`));
+    } catch (error) {
+        console.error(`${req.method} ${req.url} failed:`, error.message);
+        if (!res.headersSent) send(res, 502, { error: 'Upstream request failed' });
+    }
+});
+
+if (require.main === module) {
+    server.listen(config.port, () => {
+        console.log(`API proxy listening on http://localhost:${config.port}`);
+        if (!config.unsplashKey) console.warn('UNSPLASH_ACCESS_KEY is not set: /api/photos routes will return 503');
+        if (!config.weatherKey) console.warn('OPENWEATHER_API_KEY is not set: /api/weather will return 503');
+    });
+}
+
+module.exports = { server, cache, config, upstreamURL };
@@ -0,0 +1,9 @@
+// Where the front end reaches the API proxy (XinEn/server/apiProxy.js), which holds the third-party API keys.
+// Change this when the proxy is deployed elsewhere, or override it for one browser with
+// localStorage.setItem('apiProxyURL', 'https://example.com') and reload.
+const API_PROXY_URL = ((typeof localStorage !== 'undefined' && localStorage.getItem('apiProxyURL')) || 'http://localhost:8787').replace(/\/$/, '');
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { API_PROXY_URL };
+}
@@ -0,0 +1,271 @@
+// Scores each week of a date range for visiting a place: monsoon season (or the live forecast when it covers the week),
+// public and school holidays (crowds), and festivals at the place or nationwide.
+// Dates are 'YYYY-MM-DD' strings handled in UTC so results don't shift with the visitor's time zone.
+class BestTimeAdvisor {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.calendar] - Seasons and holidays (defaults to MALAYSIA_TRAVEL_CALENDAR)
+     * @param {Array<Object>} [options.events] - Events from EventCatalog (none by default)
+     * @param {Object} [options.places] - Gazetteer (defaults to MALAYSIA_PLACES)
+     * @param {I18n} [options.i18n] - Language the reasons are written in (defaults to window.i18n)
+     */
+    constructor(options = {}) {
+        this.calendar = options.calendar || MALAYSIA_TRAVEL_CALENDAR;
+        this.events = options.events || [];
+        this.places = options.places || MALAYSIA_PLACES;
+        this.i18n = options.i18n || window.i18n || new I18n();
+        // Points taken off (or added) out of 100
+        this.weights = {
+            rain: 70, // A week of the wettest, most disruptive weather
+            schoolHoliday: 15, // A week entirely in school holidays
+            publicHoliday: 5, // Per public holiday in the week, up to maxPublicHolidays
+            event: 8 // Per event, up to maxEvents
+        };
+        this.maxPublicHolidays = 2;
+        this.maxEvents = 2;
+        this.defaultRain = 0.3; // Used when a region has no season for a date
+        this.forecastRain = { wet: 0.8, dry: 0.1 };
+        this.ratings = [
+            { min: 75, name: 'great', label: 'Great' },
+            { min: 55, name: 'good', label: 'Good' },
+            { min: 35, name: 'fair', label: 'Fair' },
+            { min: 0, name: 'poor', label: 'Poor' }
+        ];
+    }
+
+    /**
+     * Find a place and the weather region it belongs to
+     * @param {string} name - Attraction or state name from the gazetteer
+     * @returns {{name: string, state: string, region: string}} Place
+     */
+    resolvePlace(name) {
+        const wanted = name.toLowerCase();
+        const attraction = this.places.attractions.find(place => place.name.toLowerCase() === wanted);
+        const state = attraction
+            ? attraction.state
+            : (this.places.states.find(place => place.name.toLowerCase() === wanted) || { name: 'Kuala Lumpur' }).name;
+        const placeName = attraction ? attraction.name : state;
+
+        return {
+            name: placeName,
+            state,
+            region: this.calendar.placeRegions[placeName] || this.calendar.stateRegions[state] || 'westCoast'
+        };
+    }
+
+    toDateString(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    addDays(dateString, days) {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return this.toDateString(date);
+    }
+
+    // Monday on or before the date
+    startOfWeek(dateString) {
+        const day = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+        return this.addDays(dateString, -((day + 6) % 7));
+    }
+
+    /**
+     * Whether a month-day falls in a range that may wrap past New Year
+     * @param {string} monthDay - 'MM-DD'
+     * @param {string} from - 'MM-DD'
+     * @param {string} to - 'MM-DD'
+     * @returns {boolean} True if inside the range
+     */
+    inMonthDayRange(monthDay, from, to) {
+        return from <= to ? monthDay >= from && monthDay <= to : monthDay >= from || monthDay <= to;
+    }
+
+    seasonOn(region, dateString) {
+        const monthDay = dateString.slice(5);
+        const seasons = (this.calendar.regions[region] || {}).seasons || [];
+        // 02-29 isn't inside ranges that end on 02-28, so treat it as the 28th
+        const lookup = monthDay === '02-29' ? '02-28' : monthDay;
+        return seasons.find(season => this.inMonthDayRange(lookup, season.from, season.to)) || null;
+    }
+
+    /**
+     * Holidays on a date
+     * @param {string} dateString - 'YYYY-MM-DD'
+     * @returns {{publicHolidays: Array<string>, schoolHoliday: string|null, covered: boolean}} Holiday names;
+     *     covered is false when the calendar has no school or moving public holidays for the year
+     */
+    holidaysOn(dateString) {
+        const year = dateString.slice(0, 4);
+        const inRange = holiday => dateString >= holiday.from && dateString <= holiday.to;
+
+        const publicHolidays = [
+            ...this.calendar.fixedHolidays.filter(holiday => holiday.date === dateString.slice(5)),
+            ...(this.calendar.publicHolidays[year] || []).filter(inRange)
+        ].map(holiday => holiday.name);
+
+        // Year-end holidays start in one year and end in the next, so check the previous year's list too
+        const schoolHoliday = [...(this.calendar.schoolHolidays[year - 1] || []), ...(this.calendar.schoolHolidays[year] || [])]
+            .find(inRange);
+
+        const covered = Boolean(this.calendar.publicHolidays[year] && this.calendar.schoolHolidays[year]);
+        return { publicHolidays, schoolHoliday: schoolHoliday ? schoolHoliday.name : null, covered };
+    }
+
+    /**
+     * Events at the place's state (or nationwide) overlapping a period. Annual events are carried forward to years
+     * the dataset doesn't list them for yet.
+     * @param {Object} place - Resolved place
+     * @param {string} start - First day, 'YYYY-MM-DD'
+     * @param {string} end - Last day, 'YYYY-MM-DD'
+     * @returns {Array<Object>} Events, with projected: true when carried forward from an earlier year
+     */
+    eventsDuring(place, start, end) {
+        const years = [...new Set([start.slice(0, 4), end.slice(0, 4)])];
+        const listed = new Set(this.events.filter(event => event.series).map(event => `${event.series}:${event.start.slice(0, 4)}`));
+
+        return this.events
+            .filter(event => !event.state || event.state === place.state)
+            .flatMap(event => {
+                const occurrences = [event];
+                if (event.recurring === 'annual') {
+                    years.filter(year => year > event.start.slice(0, 4) && !listed.has(`${event.series}:${year}`)).forEach(year => {
+                        const shift = Number(year) - Number(event.start.slice(0, 4));
+                        occurrences.push({
+                            ...event,
+                            title: event.title.replace(/\s+\d{4}$/, ''), // "Merdeka 2024" -> "Merdeka"
+                            start: `${year}${event.start.slice(4)}`,
+                            end: `${Number(event.end.slice(0, 4)) + shift}${event.end.slice(4)}`,
+                            projected: true
+                        });
+                    });
+                }
+                return occurrences;
+            })
+            .filter(event => event.start <= end && event.end >= start);
+    }
+
+    /**
+     * Daily forecast cached by the weather widget for the place, if any
+     * @param {Object} place - Resolved place
+     * @returns {Map<string, Object>} Date -> forecast day
+     */
+    forecastFor(place) {
+        const days = new Map();
+        try {
+            const cache = JSON.parse(localStorage.getItem('weatherCache')) || {};
+            const entry = cache[place.name];
+            if (entry) entry.forecast.forEach(day => days.set(day.date, day));
+        } catch (error) {
+            console.warn('Ignoring unreadable weather cache:', error);
+        }
+        return days;
+    }
+
+    // OpenWeatherMap icons 09 (showers), 10 (rain) and 11 (thunderstorm) mean a wet day
+    isWetForecast(day) {
+        return /^(09|10|11)/.test(day.icon);
+    }
+
+    /**
+     * Score one week
+     * @param {Object} place - Resolved place
+     * @param {string} start - Monday, 'YYYY-MM-DD'
+     * @param {Map<string, Object>} forecast - From forecastFor
+     * @returns {Object} { start, end, score, rating, reasons, events }
+     */
+    scoreWeek(place, start, forecast = new Map()) {
+        const end = this.addDays(start, 6);
+        const reasons = [];
+        let rainTotal = 0;
+        let schoolDays = 0;
+        let forecastDays = 0;
+        let wetForecastDays = 0;
+        const seasons = new Map(); // label -> season, in the order they occur
+        const publicHolidays = new Set();
+        const schoolHolidays = new Set();
+        const uncoveredYears = new Set(); // Years the holiday calendar does not list yet
+
+        for (let offset = 0; offset < 7; offset++) {
+            const date = this.addDays(start, offset);
+            const day = forecast.get(date);
+            if (day) {
+                forecastDays++;
+                const wet = this.isWetForecast(day);
+                if (wet) wetForecastDays++;
+                rainTotal += wet ? this.forecastRain.wet : this.forecastRain.dry;
+            } else {
+                const season = this.seasonOn(place.region, date);
+                rainTotal += season ? season.rain : this.defaultRain;
+                if (season) seasons.set(season.label, season);
+            }
+
+            const holidays = this.holidaysOn(date);
+            if (!holidays.covered) uncoveredYears.add(date.slice(0, 4));
+            holidays.publicHolidays.forEach(name => publicHolidays.add(name));
+            if (holidays.schoolHoliday) {
+                schoolDays++;
+                schoolHolidays.add(holidays.schoolHoliday);
+            }
+        }
+
+        const rain = rainTotal / 7;
+        let score = 100 - rain * this.weights.rain;
+        if (forecastDays > 0) {
+            reasons.push({ type: 'weather', effect: wetForecastDays > forecastDays / 2 ? 'bad' : 'good', text: this.i18n.format('best-time-forecast', { wet: wetForecastDays, days: forecastDays },
+                'Forecast: rain on {wet, number} of {days, plural, one {# day} other {# days}}') });
+        }
+        seasons.forEach(season => {
+            reasons.push({ type: 'weather', effect: season.rain >= 0.5 ? 'bad' : season.rain <= 0.2 ? 'good' : 'neutral', text: season.label });
+        });
+
+        if (schoolDays > 0) {
+            score -= (schoolDays / 7) * this.weights.schoolHoliday;
+            reasons.push({ type: 'crowds', effect: 'bad', text: this.i18n.format('best-time-school-holidays', { names: [...schoolHolidays].join(', ') },
+                'School holidays ({names}): expect crowds and higher prices') });
+        }
+        if (publicHolidays.size > 0) {
+            score -= Math.min(publicHolidays.size, this.maxPublicHolidays) * this.weights.publicHoliday;
+            reasons.push({ type: 'crowds', effect: 'bad', text: this.i18n.format('best-time-public-holiday', { names: [...publicHolidays].join(', ') }, 'Public holiday: {names}') });
+        }
+        // Without the calendar a holiday week would look as quiet as any other, so say so
+        if (uncoveredYears.size > 0) {
+            reasons.push({ type: 'crowds', effect: 'neutral', text: this.i18n.format('best-time-no-holiday-data', { years: [...uncoveredYears].join(', ') },
+                'Holiday data not available for {years}: school and public holidays are not counted') });
+        }
+
+        const events = this.eventsDuring(place, start, end);
+        if (events.length > 0) {
+            score += Math.min(events.length, this.maxEvents) * this.weights.event;
+            events.forEach(event => {
+                reasons.push({ type: 'event', effect: 'good', text: event.projected
+                    ? this.i18n.format('best-time-event-usual', { title: event.title }, 'Usually held: {title}')
+                    : this.i18n.format('best-time-event', { title: event.title }, 'Event: {title}') });
+            });
+        }
+
+        score = Math.max(0, Math.min(100, Math.round(score)));
+        return { start, end, score, rating: this.ratings.find(rating => score >= rating.min), reasons, events };
+    }
+
+    /**
+     * Score every week touching a date range
+     * @param {string} placeName - Attraction or state name
+     * @param {string} from - First day of the range, 'YYYY-MM-DD'
+     * @param {string} to - Last day of the range, 'YYYY-MM-DD'
+     * @returns {{place: Object, weeks: Array<Object>}} Weeks (Monday to Sunday) in order
+     */
+    advise(placeName, from, to) {
+        const place = this.resolvePlace(placeName);
+        const forecast = this.forecastFor(place);
+        const weeks = [];
+        for (let start = this.startOfWeek(from); start <= to; start = this.addDays(start, 7)) {
+            weeks.push(this.scoreWeek(place, start, forecast));
+        }
+        return { place, weeks };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BestTimeAdvisor };
+}
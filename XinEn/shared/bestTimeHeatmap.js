@@ -0,0 +1,210 @@
+// "Best Time to Visit" heatmap on attraction pages: one cell per week, coloured by the BestTimeAdvisor score.
+// Markup: <section class="best-time" data-place="Mount Kinabalu"></section>
+// Clicking a week shows why it scored the way it did; the date range can be changed with the inputs above the grid.
+class BestTimeHeatmap {
+    /**
+     * @param {HTMLElement} container - The section.best-time element
+     * @param {Object} options
+     * @param {BestTimeAdvisor} [options.advisor] - Scoring (defaults to a new BestTimeAdvisor)
+     * @param {number} [options.months] - Length of the default range, starting today
+     * @param {I18n} [options.i18n] - Labels, dates and reasons in the visitor's language (defaults to window.i18n)
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.i18n = options.i18n || window.i18n || new I18n();
+        this.advisor = options.advisor || new BestTimeAdvisor({ i18n: this.i18n });
+        this.placeName = container.dataset.place || 'Kuala Lumpur';
+        this.months = options.months || 6;
+        this.bestCount = 3;
+
+        const today = this.advisor.toDateString(new Date());
+        const end = new Date(`${today}T00:00:00Z`);
+        end.setUTCMonth(end.getUTCMonth() + this.months);
+        this.from = today;
+        this.to = this.advisor.toDateString(end);
+        this.result = null;
+        this.selected = null; // start of the week shown in the detail panel
+    }
+
+    // Show the seasons and holidays straight away, then rescore once the events dataset arrives
+    async load() {
+        // The advisor writes its reasons in the current language, so rescore rather than just redraw
+        document.addEventListener('languagechanged', () => this.update());
+        this.update();
+        try {
+            const catalog = await EventCatalog.load();
+            this.advisor.events = catalog.events;
+            this.update();
+        } catch (error) {
+            console.warn('Best-time heatmap is leaving out events:', error);
+        }
+    }
+
+    // Score the current range and render it
+    update() {
+        this.result = this.advisor.advise(this.placeName, this.from, this.to);
+        if (!this.result.weeks.some(week => week.start === this.selected)) this.selected = null;
+        this.render();
+    }
+
+    /**
+     * Change the date range (ignored if the end is before the start)
+     * @param {string} from - 'YYYY-MM-DD'
+     * @param {string} to - 'YYYY-MM-DD'
+     */
+    setRange(from, to) {
+        if (!from || !to || to < from) return;
+        this.from = from;
+        this.to = to;
+        this.update();
+    }
+
+    selectWeek(start) {
+        this.selected = this.selected === start ? null : start;
+        this.render();
+    }
+
+    // Red (0) through yellow to green (100)
+    colorFor(score) {
+        return `hsl(${Math.round(score * 1.2)}, 70%, 50%)`;
+    }
+
+    formatDate(dateString, options = { day: 'numeric', month: 'short' }) {
+        return this.i18n.formatDate(`${dateString}T00:00:00Z`, { ...options, timeZone: 'UTC' });
+    }
+
+    ratingLabel(rating) {
+        const labels = {
+            great: this.i18n.t('best-time-great', 'Great'),
+            good: this.i18n.t('best-time-good', 'Good'),
+            fair: this.i18n.t('best-time-fair', 'Fair'),
+            poor: this.i18n.t('best-time-poor', 'Poor')
+        };
+        return labels[rating.name] || rating.label;
+    }
+
+    formatWeek(week) {
+        return `${this.formatDate(week.start)} – ${this.formatDate(week.end, { day: 'numeric', month: 'short', year: 'numeric' })}`;
+    }
+
+    // Weeks grouped under the month they start in
+    groupByMonth(weeks) {
+        const months = new Map();
+        weeks.forEach(week => {
+            const key = week.start.slice(0, 7);
+            if (!months.has(key)) months.set(key, []);
+            months.get(key).push(week);
+        });
+        return months;
+    }
+
+    bestWeeks() {
+        return [...this.result.weeks]
+            .sort((a, b) => b.score - a.score || a.start.localeCompare(b.start))
+            .slice(0, this.bestCount);
+    }
+
+    renderWeek(week) {
+        const summary = week.reasons.map(reason => reason.text).join('\n');
+        const rating = this.ratingLabel(week.rating);
+        return `
+            <button type="button" class="best-time-week${week.start === this.selected ? ' selected' : ''}" data-week="${week.start}"
+                style="background-color: ${this.colorFor(week.score)}"
+                title="${escapeHtml(`${this.formatWeek(week)}: ${rating} (${week.score}/100)\n${summary}`)}"
+                aria-label="${escapeHtml(this.i18n.format('best-time-week-label', { week: this.formatWeek(week), rating, score: week.score },
+                    'Week of {week}, {rating}, score {score} out of 100'))}"
+                aria-pressed="${week.start === this.selected}">
+                ${this.formatDate(week.start, { day: 'numeric' })}
+            </button>
+        `;
+    }
+
+    renderDetail() {
+        const week = this.result.weeks.find(w => w.start === this.selected);
+        if (!week) return `<p class="best-time-hint">${this.i18n.t('best-time-hint', 'Select a week to see what affects it.')}</p>`;
+
+        return `
+            <div class="best-time-detail">
+                <h3>${this.formatWeek(week)} <span class="best-time-rating ${week.rating.name}">${this.ratingLabel(week.rating)} · ${week.score}/100</span></h3>
+                <ul>
+                    ${week.reasons.map(reason => `<li class="best-time-reason ${reason.effect}">${escapeHtml(reason.text)}</li>`).join('')}
+                </ul>
+                ${week.events.map(event => `
+                    <p class="best-time-event">
+                        <a href="${escapeHtml(event.url)}" target="_blank" rel="noopener">${escapeHtml(event.title)}</a>
+                        (${escapeHtml(event.location)}${event.projected ? `, ${this.i18n.t('best-time-dates-tbc', 'dates to be confirmed')}` : ''})
+                    </p>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    render() {
+        const { place, weeks } = this.result;
+        const region = this.advisor.calendar.regions[place.region];
+        const months = this.groupByMonth(weeks);
+        const seasons = region
+            ? this.i18n.format('best-time-region-seasons', { region: escapeHtml(region.name) }, 'the {region} monsoon seasons')
+            : this.i18n.t('best-time-seasons', 'the seasons');
+
+        this.container.innerHTML = `
+            <h2>${this.i18n.t('best-time-title', 'Best Time to Visit')}</h2>
+            <p class="best-time-intro">
+                ${this.advisor.forecastFor(place).size > 0
+                    ? this.i18n.format('best-time-intro-forecast', { place: escapeHtml(place.name), seasons },
+                        'How each week looks for {place}, based on {seasons}, school and public holidays, and events, with the live forecast for the coming days.')
+                    : this.i18n.format('best-time-intro', { place: escapeHtml(place.name), seasons },
+                        'How each week looks for {place}, based on {seasons}, school and public holidays, and events.')}
+            </p>
+            <form class="best-time-range">
+                <label>${this.i18n.t('best-time-from', 'From')} <input type="date" name="from" value="${this.from}" required></label>
+                <label>${this.i18n.t('best-time-to', 'To')} <input type="date" name="to" value="${this.to}" required></label>
+                <button type="submit">${this.i18n.t('best-time-update', 'Update')}</button>
+            </form>
+            <div class="best-time-grid">
+                ${[...months].map(([month, monthWeeks]) => `
+                    <div class="best-time-month">
+                        <span class="best-time-month-label">${this.formatDate(`${month}-01`, { month: 'short', year: 'numeric' })}</span>
+                        <div class="best-time-weeks">${monthWeeks.map(week => this.renderWeek(week)).join('')}</div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="best-time-legend" aria-hidden="true">
+                <span>${this.i18n.t('best-time-poor', 'Poor')}</span>
+                <span class="best-time-legend-scale"></span>
+                <span>${this.i18n.t('best-time-great', 'Great')}</span>
+            </div>
+            <p class="best-time-best">
+                ${this.i18n.t('best-time-best-weeks', 'Best weeks:')} ${this.bestWeeks().map(week => `<a href="#" data-week="${week.start}">${this.formatWeek(week)}</a> (${week.score})`).join(', ')}
+            </p>
+            ${this.renderDetail()}
+        `;
+
+        this.container.querySelector('.best-time-range').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.setRange(e.target.elements.from.value, e.target.elements.to.value);
+        });
+        this.container.querySelectorAll('[data-week]').forEach(element => {
+            element.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (element.tagName === 'A') this.selected = null; // Links always open the week, buttons toggle it
+                this.selectWeek(element.dataset.week);
+            });
+        });
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.bestTimeHeatmaps = [...document.querySelectorAll('section.best-time[data-place]')].map(container => {
+            const heatmap = new BestTimeHeatmap(container);
+            heatmap.load();
+            return heatmap;
+        });
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BestTimeHeatmap };
+}
@@ -0,0 +1,13 @@
+// Escape text before it goes into markup built as a string: element content or a quoted attribute value.
+// Shared by every script that puts user uploads, search results or dataset and API text into innerHTML.
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).replace(/[&<>"']/g, character => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+    }[character]));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeHtml };
+}
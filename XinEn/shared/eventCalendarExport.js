@@ -0,0 +1,107 @@
+// "Add to calendar" for event lists: a button on each .event-box that downloads that event as an .ics file,
+// and a toolbar with "Download all" (the events currently listed) and a "Subscribe" link to the API proxy's feed.
+// Used by EventsCalendar, which passes the events it is showing.
+class EventCalendarExport {
+    /**
+     * @param {HTMLElement} section - The .upcoming-events-section element
+     * @param {Object} options
+     * @param {ICalendarBuilder} [options.builder] - iCalendar writer
+     * @param {string} [options.feedURL] - Subscribable feed (defaults to the API proxy's /api/events.ics)
+     * @param {Function} options.getEvents - Returns the events "Download all" saves
+     * @param {I18n} [options.i18n] - Button labels in the visitor's language (defaults to window.i18n)
+     */
+    constructor(section, options = {}) {
+        this.section = section;
+        this.builder = options.builder || new ICalendarBuilder();
+        this.feedURL = options.feedURL || `${API_PROXY_URL}/api/events.ics`;
+        this.getEvents = options.getEvents;
+        this.i18n = options.i18n || window.i18n || new I18n();
+        this.feedFilters = {};
+    }
+
+    /**
+     * Add the "Add to calendar" button to an event's box
+     * @param {HTMLElement} box - .event-box element
+     * @param {Object} event - Event in the shape ICalendarBuilder expects
+     */
+    addButton(box, event) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'event-calendar-add';
+        button.innerHTML = `<i class="fa-regular fa-calendar-plus" aria-hidden="true"></i> ${this.i18n.t('events-add-to-calendar', 'Add to calendar')}`;
+        button.addEventListener('click', (e) => {
+            // The rest of the box is a link to the organiser's site
+            e.preventDefault();
+            e.stopPropagation();
+            this.download(this.builder.build([event], { name: event.title }), this.builder.filename(event.title));
+        });
+        box.appendChild(button);
+    }
+
+    // Put the "Download all" and "Subscribe" toolbar after an element of the section
+    addToolbar(after) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'event-calendar-toolbar';
+        after.parentNode.insertBefore(toolbar, after.nextSibling);
+        this.toolbar = toolbar;
+        this.renderToolbar();
+    }
+
+    // (Re)draw the toolbar's buttons, e.g. after a language switch
+    renderToolbar() {
+        if (!this.toolbar) return;
+        this.toolbar.innerHTML = `
+            <button type="button" class="event-calendar-download">
+                <i class="fa-solid fa-download" aria-hidden="true"></i> ${this.i18n.t('events-download-all', 'Download these events (.ics)')}
+            </button>
+            <a class="event-calendar-subscribe" href="${this.subscribeURL(this.feedFilters)}" title="${this.i18n.t('events-subscribe-hint', 'Open in your calendar app to keep these events up to date')}">
+                <i class="fa-solid fa-rss" aria-hidden="true"></i> ${this.i18n.t('events-subscribe', 'Subscribe')}
+            </a>
+        `;
+        this.toolbar.querySelector('.event-calendar-download').addEventListener('click', () => this.downloadAll());
+    }
+
+    /**
+     * Feed link for calendar apps; webcal:// makes them offer to subscribe rather than import once
+     * @param {Object} [filters] - Query parameters understood by the feed (state, theme, month)
+     * @returns {string} webcal:// (or webcals://) URL
+     */
+    subscribeURL(filters = {}) {
+        const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+        return `${this.feedURL}${query ? `?${query}` : ''}`.replace(/^http(s?):\/\//, 'webcal$1://');
+    }
+
+    // Update the Subscribe link to a filtered feed
+    setFeedFilters(filters) {
+        this.feedFilters = { ...filters };
+        if (this.toolbar) this.toolbar.querySelector('.event-calendar-subscribe').href = this.subscribeURL(filters);
+    }
+
+    downloadAll() {
+        const events = this.getEvents();
+        if (events.length === 0) return;
+        this.download(this.builder.build(events), 'malaysia-events.ics');
+    }
+
+    /**
+     * Save text as a file
+     * @param {string} content - File content
+     * @param {string} filename - Suggested name
+     */
+    download(content, filename) {
+        const url = URL.createObjectURL(new Blob([content], { type: 'text/calendar;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download before releasing the file
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventCalendarExport };
+}
@@ -0,0 +1,97 @@
+// Festivals and events from the XinEn/shared/events.json dataset, shared by the events calendar,
+// the best-time advisor and the API proxy's iCalendar feed.
+// Each event: { id, title, start, end ('YYYY-MM-DD', Malaysian time), startTime, endTime ('HH:MM' or null for all-day),
+//   location, state (null = nationwide), theme ('heritage' | 'eco' | 'adventure'),
+//   recurring ('annual' or null), series (id shared by every year of a recurring event), url, image, description }
+class EventCatalog {
+    /**
+     * @param {Array<Object>} events - Events in the dataset's shape
+     */
+    constructor(events = []) {
+        this.events = [...events].sort((a, b) => a.start.localeCompare(b.start) || a.title.localeCompare(b.title));
+        this.themes = {
+            heritage: 'Heritage & Culture',
+            eco: 'Eco & Nature',
+            adventure: 'Adventure & Entertainment'
+        };
+    }
+
+    /**
+     * Fetch the dataset (once per page, however many widgets ask for it)
+     * @param {string} [url] - Dataset location, relative to the page
+     * @returns {Promise<EventCatalog>} Catalog of every event
+     */
+    static load(url = 'XinEn/shared/events.json') {
+        EventCatalog.loading = EventCatalog.loading || {};
+        if (!EventCatalog.loading[url]) {
+            EventCatalog.loading[url] = fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                    return response.json();
+                })
+                .then(data => new EventCatalog(data.events))
+                .catch(error => {
+                    delete EventCatalog.loading[url]; // Let the next caller try again
+                    throw error;
+                });
+        }
+        return EventCatalog.loading[url];
+    }
+
+    // Today's date in Malaysia, 'YYYY-MM-DD'
+    static today() {
+        return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kuala_Lumpur' });
+    }
+
+    /**
+     * Events matching every given filter
+     * @param {Object} filters
+     * @param {string} [filters.state] - State name; nationwide events match every state
+     * @param {string} [filters.theme] - Theme key
+     * @param {string} [filters.month] - 'YYYY-MM'; matches events running at any point in the month
+     * @param {string} [filters.from] - 'YYYY-MM-DD'; hides events that ended before this day
+     * @returns {Array<Object>} Matching events, soonest first
+     */
+    filter({ state, theme, month, from } = {}) {
+        const wantedState = (state || '').toLowerCase();
+        const wantedTheme = (theme || '').toLowerCase();
+        return this.events.filter(event =>
+            (!wantedState || !event.state || event.state.toLowerCase() === wantedState) &&
+            (!wantedTheme || event.theme === wantedTheme) &&
+            (!month || (event.start.slice(0, 7) <= month && event.end.slice(0, 7) >= month)) &&
+            (!from || event.end >= from)
+        );
+    }
+
+    // States that have their own (not nationwide) events, alphabetically
+    states(events = this.events) {
+        return [...new Set(events.map(event => event.state).filter(Boolean))].sort();
+    }
+
+    /**
+     * Months, 'YYYY-MM', in which any of the events is running
+     * @param {Array<Object>} [events] - Events to cover (defaults to all)
+     * @returns {Array<string>} Months in order
+     */
+    months(events = this.events) {
+        const months = new Set();
+        events.forEach(event => {
+            for (let month = event.start.slice(0, 7); month <= event.end.slice(0, 7); month = EventCatalog.nextMonth(month)) {
+                months.add(month);
+            }
+        });
+        return [...months].sort();
+    }
+
+    // 'YYYY-MM' of the following month
+    static nextMonth(month, step = 1) {
+        const date = new Date(`${month}-01T00:00:00Z`);
+        date.setUTCMonth(date.getUTCMonth() + step);
+        return date.toISOString().slice(0, 7);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventCatalog };
+}
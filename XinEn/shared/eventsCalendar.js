@@ -0,0 +1,293 @@
+// Upcoming events from the events dataset, as a list or a month calendar, filtered by state, month and theme.
+// Markup: <div class="upcoming-events-section" data-events-calendar data-theme="eco"><h2>Upcoming Events</h2></div>
+// data-theme preselects a theme (visitors can still pick "All themes"). Events that have already ended are never shown.
+class EventsCalendar {
+    /**
+     * @param {HTMLElement} section - The .upcoming-events-section element
+     * @param {Object} options
+     * @param {Promise<EventCatalog>} [options.catalog] - Events (defaults to EventCatalog.load())
+     * @param {number} [options.pageSize] - Events listed before "Show more"
+     * @param {I18n} [options.i18n] - Labels, dates and counts in the visitor's language (defaults to window.i18n)
+     */
+    constructor(section, options = {}) {
+        this.section = section;
+        this.catalogPromise = options.catalog || EventCatalog.load();
+        this.catalog = null;
+        this.i18n = options.i18n || window.i18n || new I18n();
+        this.pageSize = options.pageSize || 6;
+        this.shown = this.pageSize;
+        this.view = 'list';
+        this.filters = { state: '', month: '', theme: section.dataset.theme || '' };
+        this.today = EventCatalog.today();
+        this.displayMonth = this.today.slice(0, 7); // Month shown in the month view
+        this.exporter = new EventCalendarExport(section, { getEvents: () => this.upcoming(), i18n: this.i18n });
+    }
+
+    async init() {
+        this.section.querySelectorAll(':scope > :not(h2)').forEach(element => element.remove());
+        this.controls = document.createElement('div');
+        this.controls.className = 'events-calendar-controls';
+        this.body = document.createElement('div');
+        this.body.className = 'events-calendar-body';
+        this.body.innerHTML = `<p class="events-calendar-message">${this.i18n.t('events-loading', 'Loading events...')}</p>`;
+        this.section.append(this.controls, this.body);
+
+        try {
+            this.catalog = await this.catalogPromise;
+        } catch (error) {
+            console.error('Error loading events:', error);
+            this.body.innerHTML = `<p class="events-calendar-message">${this.i18n.t('events-load-error', 'Events could not be loaded. Please try again later.')}</p>`;
+            return;
+        }
+
+        this.body.innerHTML = '';
+        this.exporter.addToolbar(this.body);
+        this.exporter.setFeedFilters(this.filters);
+        this.renderControls();
+        this.render();
+
+        // Labels, month names and dates are all drawn here, so a language switch redraws everything
+        document.addEventListener('languagechanged', () => {
+            this.exporter.renderToolbar();
+            this.renderControls();
+            this.render();
+        });
+    }
+
+    // Events passing the filters that haven't ended yet, soonest first
+    upcoming(filters = this.filters) {
+        return this.catalog.filter({ ...filters, from: this.today });
+    }
+
+    formatDate(dateString, options = { day: 'numeric', month: 'long', year: 'numeric' }) {
+        return this.i18n.formatDate(`${dateString}T00:00:00Z`, { ...options, timeZone: 'UTC' });
+    }
+
+    formatMonth(month) {
+        return this.formatDate(`${month}-01`, { month: 'long', year: 'numeric' });
+    }
+
+    // e.g. "September 13 – 16, 2024" or "March 27, 2027, 8:30 – 9:30 PM"; Intl leaves out the parts both ends share
+    formatWhen(event) {
+        const options = { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' };
+        if (event.startTime) Object.assign(options, { hour: 'numeric', minute: '2-digit' });
+        const format = new Intl.DateTimeFormat(this.i18n.locale(), options);
+        const start = new Date(`${event.start}T${event.startTime || '00:00'}:00Z`);
+        if (event.startTime && !event.endTime) return format.format(start);
+        return format.formatRange(start, new Date(`${event.end}T${event.endTime || '00:00'}:00Z`));
+    }
+
+    // Theme names are the same as the site's section links
+    themeLabel(theme) {
+        return this.i18n.t(`${theme}-link`, this.catalog.themes[theme] || theme);
+    }
+
+    // Options only offer states and months that still have upcoming events
+    renderControls() {
+        const upcoming = this.upcoming({});
+        const option = (value, label, selected) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+
+        this.controls.innerHTML = `
+            <label>${this.i18n.t('events-state', 'State')}
+                <select name="state">
+                    ${option('', this.i18n.t('events-all-states', 'All states'), this.filters.state)}
+                    ${this.catalog.states(upcoming).map(state => option(state, state, this.filters.state)).join('')}
+                </select>
+            </label>
+            <label>${this.i18n.t('events-month', 'Month')}
+                <select name="month">
+                    ${option('', this.i18n.t('events-any-month', 'Any month'), this.filters.month)}
+                    ${this.catalog.months(upcoming).filter(month => month >= this.today.slice(0, 7))
+                        .map(month => option(month, this.formatMonth(month), this.filters.month)).join('')}
+                </select>
+            </label>
+            <label>${this.i18n.t('events-theme', 'Theme')}
+                <select name="theme">
+                    ${option('', this.i18n.t('events-all-themes', 'All themes'), this.filters.theme)}
+                    ${Object.keys(this.catalog.themes).map(theme => option(theme, this.themeLabel(theme), this.filters.theme)).join('')}
+                </select>
+            </label>
+            <div class="events-calendar-views" role="group" aria-label="${this.i18n.t('events-view', 'View')}">
+                <button type="button" data-view="list" aria-pressed="${this.view === 'list'}">${this.i18n.t('events-view-list', 'List')}</button>
+                <button type="button" data-view="month" aria-pressed="${this.view === 'month'}">${this.i18n.t('events-view-month', 'Month')}</button>
+            </div>
+        `;
+
+        this.controls.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => this.setFilter(select.name, select.value));
+        });
+        this.controls.querySelectorAll('[data-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.view));
+        });
+    }
+
+    /**
+     * Change one filter and show the results from the top
+     * @param {string} name - 'state', 'month' or 'theme'
+     * @param {string} value - New value ('' for any)
+     */
+    setFilter(name, value) {
+        this.filters[name] = value;
+        this.shown = this.pageSize;
+        if (name === 'month' && value) this.displayMonth = value;
+        this.exporter.setFeedFilters(this.filters);
+        this.render();
+    }
+
+    setView(view) {
+        this.view = view;
+        this.controls.querySelectorAll('[data-view]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.view === view));
+        });
+        this.render();
+    }
+
+    render() {
+        const results = this.body.querySelector('.events-calendar-results') || document.createElement('div');
+        results.className = 'events-calendar-results';
+        if (!results.parentNode) this.body.prepend(results);
+
+        if (this.view === 'month') this.renderMonth(results);
+        else this.renderList(results);
+    }
+
+    renderList(results) {
+        const events = this.upcoming();
+        if (events.length === 0) {
+            results.innerHTML = `<p class="events-calendar-message">${this.i18n.t('events-none', 'No upcoming events match these filters.')}</p>`;
+            return;
+        }
+
+        results.innerHTML = `
+            <p class="events-calendar-summary">${this.i18n.format('events-count', { count: events.length },
+                '{count, plural, one {# upcoming event} other {# upcoming events}}')}</p>
+            <div class="events-container"></div>
+            ${events.length > this.shown ? `<button type="button" class="events-calendar-more">${this.i18n.format('events-show-more',
+                { count: events.length - this.shown }, 'Show more events ({count, number} more)')}</button>` : ''}
+        `;
+        const container = results.querySelector('.events-container');
+        events.slice(0, this.shown).forEach(event => {
+            container.appendChild(this.renderEventBox(event));
+        });
+
+        const more = results.querySelector('.events-calendar-more');
+        if (more) {
+            more.addEventListener('click', () => {
+                this.shown += this.pageSize;
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * One event in the list, with the structured data "Add to calendar" reads
+     * @param {Object} event - Event from the catalog
+     * @returns {HTMLElement} .event-box element
+     */
+    renderEventBox(event) {
+        const box = document.createElement('div');
+        box.className = 'event-box';
+        box.dataset.eventId = event.id;
+        box.dataset.start = event.startTime ? `${event.start}T${event.startTime}` : event.start;
+        box.dataset.end = event.endTime ? `${event.end}T${event.endTime}` : event.end;
+        box.dataset.venue = event.location;
+        box.dataset.theme = event.theme;
+        box.innerHTML = `
+            <a href="${escapeHtml(event.url)}" target="_blank" rel="noopener">
+                <img src="${escapeHtml(event.image)}" alt="${escapeHtml(event.title)}" loading="lazy">
+                <div class="event-info">
+                    <span class="event-theme ${event.theme}">${escapeHtml(this.themeLabel(event.theme))}</span>
+                    <h3>${escapeHtml(event.title)}</h3>
+                    <p><strong>${this.i18n.t('events-date', 'Date:')}</strong> <time datetime="${box.dataset.start}">${this.formatWhen(event)}</time></p>
+                    <p><strong>${this.i18n.t('events-location', 'Location:')}</strong> ${escapeHtml(event.location)}</p>
+                    <p>${escapeHtml(event.description)}</p>
+                </div>
+            </a>
+        `;
+        this.exporter.addButton(box, event);
+        return box;
+    }
+
+    // Short weekday names from Monday, e.g. "Mon" ... "Sun"
+    weekdayNames() {
+        return [1, 2, 3, 4, 5, 6, 7].map(day => this.formatDate(`2024-01-0${day}`, { weekday: 'short' })); // 1 January 2024 was a Monday
+    }
+
+    renderMonth(results) {
+        const month = this.displayMonth;
+        const events = this.upcoming({ ...this.filters, month });
+        const first = new Date(`${month}-01T00:00:00Z`);
+        const leading = (first.getUTCDay() + 6) % 7; // Days shown from the previous month (weeks start on Monday)
+        const daysInMonth = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+        const cells = Math.ceil((leading + daysInMonth) / 7) * 7;
+
+        const days = [];
+        for (let index = 0; index < cells; index++) {
+            const date = new Date(first);
+            date.setUTCDate(index - leading + 1);
+            const dateString = date.toISOString().slice(0, 10);
+            const inMonth = dateString.slice(0, 7) === month;
+            const classes = ['events-calendar-day'];
+            if (!inMonth) classes.push('outside');
+            if (dateString < this.today) classes.push('past');
+            if (dateString === this.today) classes.push('today');
+
+            const dayEvents = inMonth ? events.filter(event => event.start <= dateString && event.end >= dateString) : [];
+            days.push(`
+                <li class="${classes.join(' ')}"${inMonth ? '' : ' aria-hidden="true"'}>
+                    ${inMonth ? `<span class="events-calendar-date">${date.getUTCDate()}</span>` : ''}
+                    ${dayEvents.map(event => `
+                        <a class="events-calendar-chip ${event.theme}" href="${escapeHtml(event.url)}" target="_blank" rel="noopener"
+                            title="${escapeHtml(`${event.title} (${event.location})`)}">${escapeHtml(event.title)}</a>
+                    `).join('')}
+                </li>
+            `);
+        }
+
+        results.innerHTML = `
+            <div class="events-calendar-month">
+                <header>
+                    <button type="button" data-step="-1"${month <= this.today.slice(0, 7) ? ' disabled' : ''} aria-label="${this.i18n.t('events-previous-month', 'Previous month')}">‹</button>
+                    <h3>${this.formatMonth(month)}</h3>
+                    <button type="button" data-step="1" aria-label="${this.i18n.t('events-next-month', 'Next month')}">›</button>
+                </header>
+                <ol class="events-calendar-grid">
+                    ${this.weekdayNames().map(day => `<li class="events-calendar-weekday" aria-hidden="true">${day}</li>`).join('')}
+                    ${days.join('')}
+                </ol>
+                <p class="events-calendar-summary">
+                    ${events.length === 0 ? this.i18n.t('events-month-none', 'No upcoming events this month match these filters.')
+                        : this.i18n.format('events-month-count', { count: events.length }, '{count, plural, one {# event this month} other {# events this month}}')}
+                </p>
+            </div>
+        `;
+
+        results.querySelectorAll('[data-step]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.displayMonth = EventCatalog.nextMonth(this.displayMonth, Number(button.dataset.step));
+                // Paging the calendar replaces a month filter rather than fighting it
+                if (this.filters.month) {
+                    this.filters.month = '';
+                    this.controls.querySelector('[name="month"]').value = '';
+                    this.exporter.setFeedFilters(this.filters);
+                }
+                this.render();
+            });
+        });
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.eventsCalendars = [...document.querySelectorAll('[data-events-calendar]')].map(section => {
+            const calendar = new EventsCalendar(section);
+            calendar.init();
+            return calendar;
+        });
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventsCalendar };
+}
@@ -0,0 +1,222 @@
+// Minimal EXIF (TIFF) reader for JPEG files, used by the image pipeline and upload autofill
+class ExifReader {
+    constructor() {
+        // Byte size of each TIFF field type
+        this.typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+        this.tags = {
+            dateTime: 0x0132,
+            exifIfdPointer: 0x8769,
+            gpsIfdPointer: 0x8825,
+            dateTimeOriginal: 0x9003,
+            gpsLatitudeRef: 0x0001,
+            gpsLatitude: 0x0002,
+            gpsLongitudeRef: 0x0003,
+            gpsLongitude: 0x0004
+        };
+    }
+
+    /**
+     * Locate the TIFF header inside a JPEG's APP1 "Exif" segment
+     * @param {ArrayBuffer} buffer - JPEG file contents
+     * @returns {{view: DataView, tiffStart: number, littleEndian: boolean}|null} TIFF location, or null if there is no EXIF
+     */
+    findTiff(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            if (view.getUint8(offset) !== 0xFF) return null;
+            const marker = view.getUint8(offset + 1);
+            // Metadata segments always come before the image data
+            if (marker === 0xDA || marker === 0xD9) return null;
+
+            const length = view.getUint16(offset + 2);
+            const isExif = marker === 0xE1 &&
+                offset + 10 <= view.byteLength &&
+                view.getUint32(offset + 4) === 0x45786966 && // "Exif"
+                view.getUint16(offset + 8) === 0;
+
+            if (isExif) {
+                const tiffStart = offset + 10;
+                if (tiffStart + 8 > view.byteLength) return null;
+                const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+                if (view.getUint16(tiffStart + 2, littleEndian) !== 42) return null;
+                return { view, tiffStart, littleEndian };
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    /**
+     * Read the entries of one image file directory (IFD)
+     * @param {Object} tiff - Result of findTiff()
+     * @param {number} ifdOffset - IFD offset relative to the TIFF header
+     * @returns {Array<{tag: number, type: number, count: number, entryOffset: number, valueOffset: number, size: number}>} Entries with absolute offsets
+     */
+    readIfd(tiff, ifdOffset) {
+        const { view, tiffStart, littleEndian } = tiff;
+        const start = tiffStart + ifdOffset;
+        if (!ifdOffset || start + 2 > view.byteLength) return [];
+
+        const entries = [];
+        const count = view.getUint16(start, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entryOffset = start + 2 + i * 12;
+            if (entryOffset + 12 > view.byteLength) break;
+
+            const type = view.getUint16(entryOffset + 2, littleEndian);
+            const valueCount = view.getUint32(entryOffset + 4, littleEndian);
+            const size = (this.typeSizes[type] || 1) * valueCount;
+            // Values larger than 4 bytes are stored elsewhere and the entry holds their offset
+            const valueOffset = size > 4 ? tiffStart + view.getUint32(entryOffset + 8, littleEndian) : entryOffset + 8;
+            if (valueOffset + size > view.byteLength) continue;
+
+            entries.push({
+                tag: view.getUint16(entryOffset, littleEndian),
+                type,
+                count: valueCount,
+                entryOffset,
+                valueOffset,
+                size
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Read the offset of IFD0 (the main image directory)
+     * @param {Object} tiff - Result of findTiff()
+     * @returns {number} Offset relative to the TIFF header
+     */
+    getFirstIfdOffset(tiff) {
+        return tiff.view.getUint32(tiff.tiffStart + 4, tiff.littleEndian);
+    }
+
+    /**
+     * Follow a pointer tag (e.g. the GPS IFD pointer) from a directory
+     * @param {Object} tiff - Result of findTiff()
+     * @param {Array} entries - Directory entries containing the pointer
+     * @param {number} tag - Pointer tag id
+     * @returns {number} Offset of the directory it points to, or 0 if missing
+     */
+    getPointer(tiff, entries, tag) {
+        const pointer = entries.find(entry => entry.tag === tag);
+        return pointer ? tiff.view.getUint32(pointer.valueOffset, tiff.littleEndian) : 0;
+    }
+
+    /**
+     * Read an ASCII value (e.g. a date or a GPS reference letter)
+     * @param {Object} tiff - Result of findTiff()
+     * @param {Object} entry - Directory entry
+     * @returns {string} Value without its trailing NUL
+     */
+    readAscii(tiff, entry) {
+        let text = '';
+        for (let i = 0; i < entry.count; i++) {
+            const code = tiff.view.getUint8(entry.valueOffset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text.trim();
+    }
+
+    /**
+     * Read an array of unsigned rationals (e.g. GPS degrees, minutes, seconds)
+     * @param {Object} tiff - Result of findTiff()
+     * @param {Object} entry - Directory entry of type RATIONAL
+     * @returns {Array<number>} Decimal values
+     */
+    readRationals(tiff, entry) {
+        const values = [];
+        for (let i = 0; i < entry.count; i++) {
+            const numerator = tiff.view.getUint32(entry.valueOffset + i * 8, tiff.littleEndian);
+            const denominator = tiff.view.getUint32(entry.valueOffset + i * 8 + 4, tiff.littleEndian);
+            values.push(denominator ? numerator / denominator : 0);
+        }
+        return values;
+    }
+
+    /**
+     * Convert an EXIF date ("YYYY:MM:DD HH:MM:SS") to an ISO date ("YYYY-MM-DD")
+     * @param {string} exifDate - EXIF date string
+     * @returns {string|null} ISO date, or null if unset or malformed
+     */
+    parseExifDate(exifDate) {
+        const match = /^(\d{4}):(\d{2}):(\d{2})/.exec(exifDate || '');
+        if (!match || match[1] === '0000') return null;
+        return `${match[1]}-${match[2]}-${match[3]}`;
+    }
+
+    /**
+     * Read capture date and GPS position from a JPEG
+     * @param {ArrayBuffer} buffer - JPEG file contents
+     * @returns {{captureDate: string|null, latitude: number|null, longitude: number|null}} Metadata (null where missing)
+     */
+    readMetadata(buffer) {
+        const metadata = { captureDate: null, latitude: null, longitude: null };
+        const tiff = this.findTiff(buffer);
+        if (!tiff) return metadata;
+
+        const ifd0 = this.readIfd(tiff, this.getFirstIfdOffset(tiff));
+        const exifIfd = this.readIfd(tiff, this.getPointer(tiff, ifd0, this.tags.exifIfdPointer));
+        const gpsIfd = this.readIfd(tiff, this.getPointer(tiff, ifd0, this.tags.gpsIfdPointer));
+        const find = (entries, tag) => entries.find(entry => entry.tag === tag);
+
+        // Prefer when the shutter fired over when the file was last written
+        const dateEntry = find(exifIfd, this.tags.dateTimeOriginal) || find(ifd0, this.tags.dateTime);
+        if (dateEntry) {
+            metadata.captureDate = this.parseExifDate(this.readAscii(tiff, dateEntry));
+        }
+
+        const toDecimal = (valueTag, refTag, negativeRef) => {
+            const valueEntry = find(gpsIfd, valueTag);
+            if (!valueEntry || valueEntry.count < 3) return null;
+            const [degrees, minutes, seconds] = this.readRationals(tiff, valueEntry);
+            const refEntry = find(gpsIfd, refTag);
+            const sign = refEntry && this.readAscii(tiff, refEntry).toUpperCase() === negativeRef ? -1 : 1;
+            return sign * (degrees + minutes / 60 + seconds / 3600);
+        };
+        metadata.latitude = toDecimal(this.tags.gpsLatitude, this.tags.gpsLatitudeRef, 'S');
+        metadata.longitude = toDecimal(this.tags.gpsLongitude, this.tags.gpsLongitudeRef, 'W');
+        if (metadata.latitude === null || metadata.longitude === null) {
+            metadata.latitude = null;
+            metadata.longitude = null;
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Remove GPS location data from a JPEG without re-encoding it.
+     * The GPS directory is emptied and every value it referenced is zeroed.
+     * @param {ArrayBuffer} buffer - JPEG file contents
+     * @returns {{buffer: ArrayBuffer, stripped: boolean}} A copy of the file, and whether GPS data was found
+     */
+    stripGps(buffer) {
+        const copy = buffer.slice(0);
+        const tiff = this.findTiff(copy);
+        if (!tiff) return { buffer: copy, stripped: false };
+
+        const ifd0 = this.readIfd(tiff, this.getFirstIfdOffset(tiff));
+        const gpsOffset = this.getPointer(tiff, ifd0, this.tags.gpsIfdPointer);
+        if (!gpsOffset) return { buffer: copy, stripped: false };
+
+        const { view, tiffStart, littleEndian } = tiff;
+        const bytes = new Uint8Array(copy);
+        this.readIfd(tiff, gpsOffset).forEach(entry => {
+            bytes.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+            bytes.fill(0, entry.entryOffset, entry.entryOffset + 12);
+        });
+        // An empty directory: readers now see zero entries and a zero "next IFD" offset
+        view.setUint16(tiffStart + gpsOffset, 0, littleEndian);
+
+        return { buffer: copy, stripped: true };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExifReader };
+}
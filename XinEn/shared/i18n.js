@@ -0,0 +1,239 @@
+// Site translations from per-language JSON bundles in XinEn/shared/i18n/ (en.json, ms.json, zh.json, ta.json), loaded on first use.
+// Markup: <h3 data-i18n="footer-help">Help</h3> replaces the element's text (icons and other child elements are kept);
+// <input data-i18n-attr="placeholder:blog-search"> sets attributes, several as "placeholder:key; title:key".
+// A key missing from a language falls back to English, then to the text the page was written with.
+// The choice is stored in the selectedLanguage cookie and offered by any <select data-language-select>.
+// Dates, numbers, relative times and plural messages (see messageFormat.js) follow the language's locale.
+// A new language needs a bundle plus entries in languages and locales; node XinEn/tools/checkTranslations.js reports its gaps.
+class I18n {
+    /**
+     * @param {Object} options
+     * @param {string} [options.basePath] - Folder holding the bundles, relative to the page
+     * @param {string} [options.fallback] - Language used for keys a bundle is missing
+     * @param {Object} [options.languages] - Language code -> name shown in the selector
+     * @param {Object} [options.locales] - Language code -> locale used by the Intl formatters
+     */
+    constructor(options = {}) {
+        this.basePath = options.basePath || 'XinEn/shared/i18n';
+        this.fallback = options.fallback || 'en';
+        this.languages = options.languages || { en: 'English', ms: 'Bahasa Melayu', zh: '中文', ta: 'தமிழ்' };
+        this.locales = options.locales || { en: 'en-US', ms: 'ms-MY', zh: 'zh-CN', ta: 'ta-MY' };
+        this.cookieName = 'selectedLanguage';
+        // Dates and numbers follow the saved language straight away; text waits for setLanguage to load the bundle
+        this.language = this.savedLanguage();
+        this.bundles = {}; // Language -> Promise<Object>
+        this.messages = {}; // Current language's bundle
+        this.fallbackMessages = {};
+        this.formatters = {}; // Locale -> MessageFormat
+        this.originals = new WeakMap(); // Element -> text and attributes the page was written with
+    }
+
+    // Language from the cookie, if it names one we have
+    savedLanguage() {
+        if (typeof document === 'undefined') return this.fallback;
+        const match = document.cookie.match(new RegExp(`(?:^|;\\s*)${this.cookieName}=([^;]*)`));
+        const language = match ? decodeURIComponent(match[1]) : '';
+        return this.languages[language] ? language : this.fallback;
+    }
+
+    saveLanguage(language) {
+        const expires = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toUTCString();
+        document.cookie = `${this.cookieName}=${encodeURIComponent(language)};expires=${expires};path=/`;
+    }
+
+    /**
+     * Fetch a language's bundle (once per page); a missing bundle counts as empty so the fallbacks take over
+     * @param {string} language - Language code
+     * @returns {Promise<Object>} Key -> translated text
+     */
+    loadBundle(language) {
+        if (!this.bundles[language]) {
+            this.bundles[language] = fetch(`${this.basePath}/${language}.json`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    console.warn(`Translations for "${language}" could not be loaded:`, error);
+                    delete this.bundles[language]; // Try again next time the language is picked
+                    return {};
+                });
+        }
+        return this.bundles[language];
+    }
+
+    /**
+     * Switch the page to a language
+     * @param {string} language - Language code (unknown codes mean the fallback language)
+     * @param {Object} [options]
+     * @param {boolean} [options.save] - Remember the choice in the cookie
+     */
+    async setLanguage(language, { save = true } = {}) {
+        if (!this.languages[language]) language = this.fallback;
+        if (save) this.saveLanguage(language);
+
+        // The page is written in the fallback language, so showing it first needs no bundles
+        if (language !== this.fallback || this.language !== this.fallback) {
+            const [messages, fallbackMessages] = await Promise.all([this.loadBundle(language), this.loadBundle(this.fallback)]);
+            this.messages = messages;
+            this.fallbackMessages = fallbackMessages;
+        }
+        this.language = language;
+        document.documentElement.lang = language;
+        this.translate();
+        this.syncSelectors();
+        document.dispatchEvent(new CustomEvent('languagechanged', { detail: { language } }));
+    }
+
+    /**
+     * Text for a key in the current language
+     * @param {string} key - Bundle key
+     * @param {string} [defaultText] - Used when no bundle has the key
+     * @returns {string} Translated text
+     */
+    t(key, defaultText = key) {
+        if (Object.prototype.hasOwnProperty.call(this.messages, key)) return this.messages[key];
+        if (Object.prototype.hasOwnProperty.call(this.fallbackMessages, key)) return this.fallbackMessages[key];
+        return defaultText;
+    }
+
+    // Locale for the Intl formatters, e.g. "ms-MY"
+    locale() {
+        return this.locales[this.language] || this.language;
+    }
+
+    /**
+     * Message for a key with its ICU-style arguments filled in
+     * @param {string} key - Bundle key
+     * @param {Object} [values] - Argument name -> value
+     * @param {string} [defaultTemplate] - Used when no bundle has the key
+     * @returns {string} e.g. format('views-count', { count: 3 }) -> "3 views"
+     */
+    format(key, values = {}, defaultTemplate = key) {
+        const locale = this.locale();
+        if (!this.formatters[locale]) this.formatters[locale] = new MessageFormat(locale);
+        return this.formatters[locale].format(this.t(key, defaultTemplate), values);
+    }
+
+    /**
+     * Date in the current locale
+     * @param {Date|string|number} date - Date or anything new Date() accepts
+     * @param {Object} [options] - Intl.DateTimeFormat options (default "Aug 16, 2024" style)
+     * @returns {string} Formatted date, or '' for an invalid date
+     */
+    formatDate(date, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+        const value = new Date(date);
+        if (isNaN(value.getTime())) return '';
+        return new Intl.DateTimeFormat(this.locale(), options).format(value);
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale(), options).format(value);
+    }
+
+    /**
+     * How long ago or how far ahead a moment is, in the largest whole unit
+     * @param {Date|string|number} date - The moment
+     * @param {number} [now] - Reference time in milliseconds
+     * @returns {string} e.g. "3 days ago", "in 2 hours", "yesterday"
+     */
+    formatRelativeTime(date, now = Date.now()) {
+        const seconds = (new Date(date).getTime() - now) / 1000;
+        if (isNaN(seconds)) return '';
+        const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+        const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length) || ['second', 1];
+        return new Intl.RelativeTimeFormat(this.locale(), { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+    }
+
+    // Translate every marked element in root (the whole page by default)
+    translate(root = document) {
+        const marked = selector => [...(root.matches && root.matches(selector) ? [root] : []), ...root.querySelectorAll(selector)];
+
+        marked('[data-i18n]').forEach(element => {
+            const original = this.original(element);
+            this.setText(element, this.t(element.dataset.i18n, original.text));
+        });
+        marked('[data-i18n-attr]').forEach(element => {
+            const original = this.original(element);
+            this.parseAttributes(element.dataset.i18nAttr).forEach(([attribute, key]) => {
+                element.setAttribute(attribute, this.t(key, original.attributes[attribute] || ''));
+            });
+        });
+    }
+
+    /**
+     * "placeholder:key; title:key" as pairs
+     * @param {string} value - data-i18n-attr value
+     * @returns {Array<Array<string>>} [attribute, key] pairs
+     */
+    parseAttributes(value) {
+        return (value || '').split(';')
+            .map(pair => pair.split(':').map(part => part.trim()))
+            .filter(([attribute, key]) => attribute && key);
+    }
+
+    // What the element said before it was first translated
+    original(element) {
+        if (!this.originals.has(element)) {
+            const attributes = {};
+            this.parseAttributes(element.dataset.i18nAttr).forEach(([attribute]) => {
+                attributes[attribute] = element.getAttribute(attribute);
+            });
+            const textNode = this.textNode(element);
+            let text = element.children.length === 0 ? element.textContent.trim() : '';
+            if (textNode) text = textNode.nodeValue.trim();
+            this.originals.set(element, { text, attributes });
+        }
+        return this.originals.get(element);
+    }
+
+    // The element's own text when it also holds icons or counters, e.g. <button><i></i> Trash <span>0</span></button>
+    textNode(element) {
+        if (element.children.length === 0) return null;
+        return [...element.childNodes].find(node => node.nodeType === Node.TEXT_NODE && node.nodeValue.trim()) || null;
+    }
+
+    setText(element, text) {
+        const textNode = this.textNode(element);
+        if (!textNode) {
+            if (element.children.length === 0) element.textContent = text;
+            else if (text) element.appendChild(document.createTextNode(` ${text}`));
+            return;
+        }
+        const [, leading, , trailing] = textNode.nodeValue.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        textNode.nodeValue = `${leading}${text}${trailing}`;
+    }
+
+    // Fill and wire up every language <select> on the page
+    bindSelectors() {
+        document.querySelectorAll('select[data-language-select]').forEach(select => {
+            if (select.options.length === 0) {
+                Object.entries(this.languages).forEach(([code, name]) => {
+                    select.add(new Option(name, code));
+                });
+            }
+            select.addEventListener('change', () => this.setLanguage(select.value));
+        });
+        this.syncSelectors();
+    }
+
+    syncSelectors() {
+        document.querySelectorAll('select[data-language-select]').forEach(select => {
+            select.value = this.language;
+        });
+    }
+}
+
+if (typeof document !== 'undefined') {
+    // Created up front so other scripts can format with it while the page loads
+    window.i18n = new I18n();
+    document.addEventListener('DOMContentLoaded', () => {
+        window.i18n.bindSelectors();
+        window.i18n.setLanguage(window.i18n.savedLanguage(), { save: false });
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n };
+}
@@ -0,0 +1,153 @@
+// Builds iCalendar (RFC 5545) files from events, for "Add to calendar" downloads and the subscribable feed
+// served by the API proxy. Event dates are Malaysian local time (UTC+8 all year, no daylight saving),
+// so timed events are written in UTC and all-day events as plain dates.
+class ICalendarBuilder {
+    /**
+     * @param {Object} options
+     * @param {string} [options.calendarName] - Name calendar apps show for the feed
+     * @param {string} [options.domain] - Suffix that makes event UIDs globally unique
+     */
+    constructor(options = {}) {
+        this.calendarName = options.calendarName || 'Marvelous Malaysia Events';
+        this.domain = options.domain || 'marvelousmalaysia.my';
+        this.prodId = '-//Marvelous Malaysia//Events//EN';
+        this.utcOffsetHours = 8; // Malaysia Time
+        this.timezone = 'Asia/Kuala_Lumpur';
+    }
+
+    /**
+     * Escape a TEXT value: backslashes, commas, semicolons and line breaks
+     * @param {string} text - Value
+     * @returns {string} Escaped value
+     */
+    escapeText(text) {
+        return String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line so no line is longer than 75 octets, without splitting a UTF-8 character
+     * @param {string} line - Unfolded line
+     * @returns {string} Line with CRLF + space continuations
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+        for (const character of line) {
+            const bytes = encoder.encode(character).length;
+            // Continuation lines start with a space, which counts towards their 75 octets
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + bytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += character;
+            currentBytes += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    // 'YYYY-MM-DD' -> 'YYYYMMDD'
+    formatDate(dateString) {
+        return dateString.replace(/-/g, '');
+    }
+
+    // Date -> 'YYYYMMDDTHHMMSSZ'
+    formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Convert Malaysian local time to a UTC timestamp
+     * @param {string} dateString - 'YYYY-MM-DD'
+     * @param {string} time - 'HH:MM'
+     * @returns {string} 'YYYYMMDDTHHMMSSZ'
+     */
+    localToUTC(dateString, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCHours(hours - this.utcOffsetHours, minutes);
+        return this.formatUTC(date);
+    }
+
+    addDays(dateString, days) {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Content lines for one VEVENT
+     * @param {Object} event - { id, title, start, end, startTime?, endTime?, location, description, url, theme? }
+     * @param {Date} stamp - When the file was generated
+     * @returns {Array<string>} Unfolded lines
+     */
+    eventLines(event, stamp) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.id}@${this.domain}`,
+            `DTSTAMP:${this.formatUTC(stamp)}`
+        ];
+
+        if (event.startTime) {
+            lines.push(`DTSTART:${this.localToUTC(event.start, event.startTime)}`);
+            // Without an end time, assume the event runs to the end of its last day
+            lines.push(`DTEND:${event.endTime ? this.localToUTC(event.end || event.start, event.endTime) : this.localToUTC(this.addDays(event.end || event.start, 1), '00:00')}`);
+        } else {
+            // All-day events end on the day after the last day (DTEND is exclusive)
+            lines.push(`DTSTART;VALUE=DATE:${this.formatDate(event.start)}`);
+            lines.push(`DTEND;VALUE=DATE:${this.formatDate(this.addDays(event.end || event.start, 1))}`);
+        }
+
+        lines.push(`SUMMARY:${this.escapeText(event.title)}`);
+        if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+        const description = [event.description, event.url].filter(Boolean).join('\n\n');
+        if (description) lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        if (event.theme) lines.push(`CATEGORIES:${this.escapeText(event.theme)}`);
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Build a complete calendar file
+     * @param {Array<Object>} events - Events in the shape eventLines expects
+     * @param {Object} [options]
+     * @param {string} [options.name] - Calendar name (defaults to calendarName)
+     * @param {Date} [options.stamp] - Generation time (defaults to now)
+     * @returns {string} text/calendar content with CRLF line endings
+     */
+    build(events, options = {}) {
+        const stamp = options.stamp || new Date();
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.prodId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(options.name || this.calendarName)}`,
+            `X-WR-TIMEZONE:${this.timezone}`,
+            ...events.flatMap(event => this.eventLines(event, stamp)),
+            'END:VCALENDAR'
+        ];
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    // Safe download name, e.g. "Merdeka 2024" -> "merdeka-2024.ics"
+    filename(title) {
+        const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return `${slug || 'event'}.ics`;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ICalendarBuilder };
+}
@@ -0,0 +1,162 @@
+// Client-side image pipeline shared by the blog and the gallery:
+// downscale, re-encode (WebP or JPEG), strip EXIF GPS data and build a grid thumbnail.
+class ImageProcessor {
+    constructor(options = {}) {
+        this.options = {
+            maxDimension: 1920,          // Longest edge of the stored image
+            quality: 0.85,               // Encoder quality for the stored image (0-1)
+            thumbnailMaxDimension: 480,  // Longest edge of the grid thumbnail
+            thumbnailQuality: 0.7,
+            preferredType: 'image/webp', // Falls back to JPEG where the browser cannot encode WebP
+            maxInputSize: 25 * 1024 * 1024, // Originals are shrunk, so larger inputs than before are fine
+            ...options
+        };
+        this.exifReader = new ExifReader();
+    }
+
+    /**
+     * Process an uploaded image into a stored version and a thumbnail
+     * @param {File|Blob} file - Original image
+     * @returns {Promise<{blob: Blob, thumbnail: Blob, width: number, height: number, originalSize: number}>} Processed image
+     */
+    async process(file) {
+        const source = await this.decode(file);
+
+        try {
+            const main = await this.encode(source, this.options.maxDimension, this.options.quality);
+            const thumbnail = await this.encode(source, this.options.thumbnailMaxDimension, this.options.thumbnailQuality);
+
+            let blob = main.blob;
+            if (!main.resized && this.shouldKeepOriginal(file, main.blob)) {
+                blob = await this.stripMetadata(file);
+            }
+
+            return {
+                blob,
+                thumbnail: thumbnail.blob,
+                width: main.width,
+                height: main.height,
+                originalSize: file.size
+            };
+        } finally {
+            if (source.close) source.close();
+        }
+    }
+
+    /**
+     * Decide whether the original bytes beat the re-encoded ones
+     * @param {File|Blob} file - Original image
+     * @param {Blob} encoded - Re-encoded image at the same dimensions
+     * @returns {boolean} True to keep the original
+     */
+    shouldKeepOriginal(file, encoded) {
+        // Re-encoding would drop GIF animation, and GIFs carry no EXIF
+        if (file.type === 'image/gif') return true;
+        // An already well-compressed JPEG can grow when re-encoded; its GPS data can be stripped in place
+        return file.type === 'image/jpeg' && encoded.size >= file.size;
+    }
+
+    /**
+     * Decode an image file, honouring its EXIF orientation
+     * @param {File|Blob} file - Image file
+     * @returns {Promise<ImageBitmap|HTMLImageElement>} Drawable image
+     */
+    async decode(file) {
+        if (typeof createImageBitmap === 'function') {
+            try {
+                return await createImageBitmap(file, { imageOrientation: 'from-image' });
+            } catch (error) {
+                console.warn('createImageBitmap failed, falling back to <img> decoding:', error);
+            }
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error('This image could not be read'));
+                image.src = url;
+            });
+            return image;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Draw an image at most maxDimension on its longest edge and encode it
+     * @param {ImageBitmap|HTMLImageElement} source - Decoded image
+     * @param {number} maxDimension - Longest edge in pixels
+     * @param {number} quality - Encoder quality (0-1)
+     * @returns {Promise<{blob: Blob, width: number, height: number, resized: boolean}>} Encoded image
+     */
+    async encode(source, maxDimension, quality) {
+        const sourceWidth = source.naturalWidth || source.width;
+        const sourceHeight = source.naturalHeight || source.height;
+        const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(sourceWidth * scale));
+        canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        // JPEG has no alpha channel, so paint transparent areas white rather than black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        let blob = await this.canvasToBlob(canvas, this.options.preferredType, quality);
+        if (!blob || blob.type !== this.options.preferredType) {
+            // Browsers silently return PNG for types they cannot encode
+            blob = await this.canvasToBlob(canvas, 'image/jpeg', quality);
+        }
+        if (!blob) throw new Error('This image could not be processed');
+
+        return { blob, width: canvas.width, height: canvas.height, resized: scale < 1 };
+    }
+
+    canvasToBlob(canvas, type, quality) {
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+
+    /**
+     * Remove EXIF GPS data from an original file that is being kept as-is
+     * @param {File|Blob} file - Original image
+     * @returns {Promise<Blob>} File contents without location data
+     */
+    async stripMetadata(file) {
+        if (file.type !== 'image/jpeg') return file;
+
+        const { buffer, stripped } = this.exifReader.stripGps(await file.arrayBuffer());
+        return stripped ? new Blob([buffer], { type: file.type }) : file;
+    }
+
+    /**
+     * Read a Blob as a data URL (for storage that cannot hold Blobs directly)
+     * @param {Blob} blob - Blob to read
+     * @returns {Promise<string>} data: URL
+     */
+    blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Human readable input size limit for validation messages
+     * @returns {string} e.g. "25MB"
+     */
+    getMaxInputSizeLabel() {
+        return `${Math.round(this.options.maxInputSize / (1024 * 1024))}MB`;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ImageProcessor };
+}
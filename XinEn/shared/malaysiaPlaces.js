@@ -0,0 +1,56 @@
+// Offline gazetteer of Malaysian states and attractions used to turn photo GPS coordinates into a place name.
+// Coordinates are approximate; state boxes are rough bounding boxes (the smallest matching box wins).
+const MALAYSIA_PLACES = {
+    states: [
+        { name: 'Perlis', bounds: [6.25, 6.75, 100.10, 100.40], tags: ['perlis'] },
+        { name: 'Kedah', bounds: [5.10, 6.75, 99.60, 101.10], tags: ['kedah'] },
+        { name: 'Penang', bounds: [5.10, 5.60, 100.15, 100.55], tags: ['penang'] },
+        { name: 'Perak', bounds: [3.65, 5.95, 100.30, 101.80], tags: ['perak'] },
+        { name: 'Kelantan', bounds: [4.50, 6.25, 101.30, 102.65], tags: ['kelantan'] },
+        { name: 'Terengganu', bounds: [3.90, 5.95, 102.40, 103.60], tags: ['terengganu'] },
+        { name: 'Pahang', bounds: [2.50, 4.80, 101.30, 104.30], tags: ['pahang'] },
+        { name: 'Selangor', bounds: [2.60, 3.85, 100.80, 101.95], tags: ['selangor'] },
+        { name: 'Kuala Lumpur', bounds: [3.03, 3.25, 101.60, 101.76], tags: ['kualalumpur', 'kl'] },
+        { name: 'Putrajaya', bounds: [2.88, 2.98, 101.65, 101.73], tags: ['putrajaya'] },
+        { name: 'Negeri Sembilan', bounds: [2.30, 3.25, 101.70, 102.65], tags: ['negerisembilan'] },
+        { name: 'Melaka', bounds: [2.00, 2.55, 101.95, 102.55], tags: ['melaka', 'malacca'] },
+        { name: 'Johor', bounds: [1.25, 2.85, 102.45, 104.50], tags: ['johor'] },
+        { name: 'Sabah', bounds: [4.00, 7.40, 115.30, 119.30], tags: ['sabah', 'borneo'] },
+        { name: 'Labuan', bounds: [5.20, 5.40, 115.15, 115.35], tags: ['labuan', 'borneo'] },
+        { name: 'Sarawak', bounds: [0.85, 5.05, 109.50, 115.70], tags: ['sarawak', 'borneo'] }
+    ],
+
+    // radiusKm is how far from the point a photo can be and still count as "at" the attraction
+    attractions: [
+        { name: 'Petronas Twin Towers', state: 'Kuala Lumpur', lat: 3.1579, lng: 101.7116, radiusKm: 0.8, tags: ['klcc', 'towers', 'cityscape'] },
+        { name: 'Batu Caves', state: 'Selangor', lat: 3.2379, lng: 101.6840, radiusKm: 1, tags: ['batucaves', 'temple', 'hindu'] },
+        { name: 'Sunway Lagoon', state: 'Selangor', lat: 3.0711, lng: 101.6071, radiusKm: 1, tags: ['sunwaylagoon', 'themepark'] },
+        { name: 'Genting SkyWorlds', state: 'Pahang', lat: 3.4236, lng: 101.7935, radiusKm: 2, tags: ['genting', 'themepark', 'highlands'] },
+        { name: 'Putra Mosque', state: 'Putrajaya', lat: 2.9360, lng: 101.6891, radiusKm: 0.8, tags: ['mosque', 'putrajaya', 'architecture'] },
+        { name: 'A Famosa', state: 'Melaka', lat: 2.1916, lng: 102.2497, radiusKm: 0.8, tags: ['afamosa', 'heritage', 'fort'] },
+        { name: 'Clan Jetties', state: 'Penang', lat: 5.4131, lng: 100.3413, radiusKm: 0.5, tags: ['clanjetties', 'heritage', 'georgetown'] },
+        { name: 'George Town', state: 'Penang', lat: 5.4141, lng: 100.3288, radiusKm: 4, tags: ['georgetown', 'heritage', 'streetart'] },
+        { name: 'Penang Hill', state: 'Penang', lat: 5.4240, lng: 100.2690, radiusKm: 2, tags: ['penanghill', 'view'] },
+        { name: 'Gua Tempurung', state: 'Perak', lat: 4.4150, lng: 101.1880, radiusKm: 1.5, tags: ['guatempurung', 'cave'] },
+        { name: 'Kellie\'s Castle', state: 'Perak', lat: 4.4748, lng: 101.0878, radiusKm: 1, tags: ['kelliescastle', 'heritage'] },
+        { name: 'Cameron Highlands', state: 'Pahang', lat: 4.4700, lng: 101.3800, radiusKm: 15, tags: ['cameronhighlands', 'tea', 'highlands'] },
+        { name: 'Taman Negara', state: 'Pahang', lat: 4.3850, lng: 102.4000, radiusKm: 30, tags: ['tamannegara', 'rainforest', 'jungle'] },
+        { name: 'Tioman Island', state: 'Pahang', lat: 2.8100, lng: 104.1600, radiusKm: 12, tags: ['tioman', 'island', 'beach'] },
+        { name: 'Langkawi SkyBridge', state: 'Kedah', lat: 6.3862, lng: 99.6620, radiusKm: 1, tags: ['skybridge', 'langkawi', 'views'] },
+        { name: 'Langkawi', state: 'Kedah', lat: 6.3500, lng: 99.8000, radiusKm: 20, tags: ['langkawi', 'island', 'beach'] },
+        { name: 'Redang Island', state: 'Terengganu', lat: 5.7800, lng: 103.0100, radiusKm: 8, tags: ['redang', 'island', 'diving'] },
+        { name: 'Perhentian Islands', state: 'Terengganu', lat: 5.9100, lng: 102.7400, radiusKm: 8, tags: ['perhentian', 'island', 'diving'] },
+        { name: 'Legoland Malaysia', state: 'Johor', lat: 1.4266, lng: 103.6294, radiusKm: 1, tags: ['legoland', 'themepark'] },
+        { name: 'Mount Kinabalu', state: 'Sabah', lat: 6.0750, lng: 116.5583, radiusKm: 12, tags: ['kinabalu', 'mountain', 'hiking'] },
+        { name: 'Kota Kinabalu', state: 'Sabah', lat: 5.9804, lng: 116.0735, radiusKm: 10, tags: ['kotakinabalu', 'city'] },
+        { name: 'Sipadan Island', state: 'Sabah', lat: 4.1150, lng: 118.6288, radiusKm: 5, tags: ['sipadan', 'diving', 'underwater'] },
+        { name: 'Borneo Cultures Museum', state: 'Sarawak', lat: 1.5552, lng: 110.3442, radiusKm: 0.5, tags: ['museum', 'kuching', 'culture'] },
+        { name: 'Kuching', state: 'Sarawak', lat: 1.5533, lng: 110.3592, radiusKm: 10, tags: ['kuching', 'city'] },
+        { name: 'Gunung Mulu National Park', state: 'Sarawak', lat: 4.0500, lng: 114.8167, radiusKm: 20, tags: ['mulu', 'cave', 'rainforest'] }
+    ]
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MALAYSIA_PLACES };
+}
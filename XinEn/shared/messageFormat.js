@@ -0,0 +1,110 @@
+// ICU-style message templates, the subset the translation bundles use:
+//   {name}                    value as is (numbers are formatted for the locale)
+//   {count, number}           number formatted for the locale
+//   {count, plural, =0 {No views} one {# view} other {# views}}
+//   {type, select, video {Video} other {Photo}}
+// Inside a plural branch # stands for the count. Plural categories come from Intl.PluralRules,
+// so a branch such as "few" is picked only in languages that have it.
+class MessageFormat {
+    /**
+     * @param {string} locale - BCP 47 locale, e.g. "ms-MY"
+     */
+    constructor(locale) {
+        this.locale = locale;
+        this.numberFormat = new Intl.NumberFormat(locale);
+        this.pluralRules = new Intl.PluralRules(locale);
+    }
+
+    /**
+     * Fill a template with values
+     * @param {string} template - Message template
+     * @param {Object} [values] - Argument name -> value
+     * @returns {string} Formatted message
+     */
+    format(template, values = {}) {
+        return this.formatPart(String(template), values, null);
+    }
+
+    // count is the number # stands for, or null outside plural branches
+    formatPart(template, values, count) {
+        let output = '';
+        let i = 0;
+        while (i < template.length) {
+            const char = template[i];
+            const end = char === '{' ? this.matchingBrace(template, i) : -1;
+            if (end !== -1) {
+                output += this.formatArgument(template.slice(i + 1, end), values, count);
+                i = end + 1;
+            } else {
+                output += char === '#' && count !== null ? this.numberFormat.format(count) : char;
+                i++;
+            }
+        }
+        return output;
+    }
+
+    formatArgument(body, values, count) {
+        const [name, type = '', ...rest] = body.split(',');
+        const key = name.trim();
+        const value = values[key];
+        if (value === undefined) return `{${key}}`; // Leave it visible rather than print "undefined"
+
+        switch (type.trim()) {
+            case 'number':
+                return this.numberFormat.format(value);
+            case 'plural': {
+                const options = this.parseOptions(rest.join(','));
+                const number = Number(value);
+                const branch = this.pick(options, `=${number}`, this.pluralRules.select(number));
+                return this.formatPart(branch, values, number);
+            }
+            case 'select': {
+                const options = this.parseOptions(rest.join(','));
+                return this.formatPart(this.pick(options, String(value)), values, count);
+            }
+            default:
+                return typeof value === 'number' ? this.numberFormat.format(value) : String(value);
+        }
+    }
+
+    // First option present among the selectors, else "other"
+    pick(options, ...selectors) {
+        const selector = [...selectors, 'other'].find(candidate => Object.prototype.hasOwnProperty.call(options, candidate));
+        return selector ? options[selector] : '';
+    }
+
+    /**
+     * "=0 {No views} one {# view} other {# views}" as selector -> branch
+     * @param {string} text - Options of a plural or select argument
+     * @returns {Object} Selector -> branch template
+     */
+    parseOptions(text) {
+        const options = {};
+        let i = 0;
+        while (i < text.length) {
+            const open = text.indexOf('{', i);
+            if (open === -1) break;
+            const close = this.matchingBrace(text, open);
+            if (close === -1) break;
+            const selector = text.slice(i, open).trim();
+            if (selector) options[selector] = text.slice(open + 1, close);
+            i = close + 1;
+        }
+        return options;
+    }
+
+    // Index of the brace closing the one at start, or -1 when it is never closed
+    matchingBrace(text, start) {
+        let depth = 0;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '{') depth++;
+            else if (text[i] === '}' && --depth === 0) return i;
+        }
+        return -1;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MessageFormat };
+}
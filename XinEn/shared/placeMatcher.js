@@ -0,0 +1,91 @@
+// Reverse-matches GPS coordinates against the bundled MALAYSIA_PLACES list (no network needed)
+class PlaceMatcher {
+    constructor(places = MALAYSIA_PLACES) {
+        this.states = places.states;
+        this.attractions = places.attractions;
+        this.offshoreToleranceKm = 30; // Photos from boats or small islands can fall just outside a state box
+    }
+
+    /**
+     * Great-circle distance between two points
+     * @param {number} lat1 - Latitude of the first point
+     * @param {number} lng1 - Longitude of the first point
+     * @param {number} lat2 - Latitude of the second point
+     * @param {number} lng2 - Longitude of the second point
+     * @returns {number} Distance in kilometres
+     */
+    distanceKm(lat1, lng1, lat2, lng2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * Find the state a point falls in
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object|null} State entry, or null if outside Malaysia
+     */
+    findState(lat, lng) {
+        const area = ([minLat, maxLat, minLng, maxLng]) => (maxLat - minLat) * (maxLng - minLng);
+        const inside = this.states
+            .filter(({ bounds: [minLat, maxLat, minLng, maxLng] }) => lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng)
+            .sort((a, b) => area(a.bounds) - area(b.bounds));
+        if (inside.length > 0) return inside[0];
+
+        // Otherwise take the nearest box edge if it is close enough
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.states.forEach(state => {
+            const [minLat, maxLat, minLng, maxLng] = state.bounds;
+            const clampedLat = Math.min(Math.max(lat, minLat), maxLat);
+            const clampedLng = Math.min(Math.max(lng, minLng), maxLng);
+            const distance = this.distanceKm(lat, lng, clampedLat, clampedLng);
+            if (distance < nearestDistance) {
+                nearest = state;
+                nearestDistance = distance;
+            }
+        });
+        return nearestDistance <= this.offshoreToleranceKm ? nearest : null;
+    }
+
+    /**
+     * Match a point to the closest attraction (if within its radius) and its state
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {{location: string, state: string, attraction: string|null, tags: Array<string>}|null} Match, or null if not in Malaysia
+     */
+    match(lat, lng) {
+        if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+
+        // Rank by distance relative to radius so a small landmark beats the town around it
+        let attraction = null;
+        let bestScore = Infinity;
+        this.attractions.forEach(place => {
+            const score = this.distanceKm(lat, lng, place.lat, place.lng) / place.radiusKm;
+            if (score <= 1 && score < bestScore) {
+                attraction = place;
+                bestScore = score;
+            }
+        });
+
+        const stateName = attraction ? attraction.state : (this.findState(lat, lng) || {}).name;
+        if (!stateName) return null;
+        const state = this.states.find(entry => entry.name === stateName);
+
+        return {
+            location: attraction && attraction.name !== stateName ? `${attraction.name}, ${stateName}` : stateName,
+            state: stateName,
+            attraction: attraction ? attraction.name : null,
+            tags: [...new Set([...(attraction ? attraction.tags : []), ...(state ? state.tags : []), 'malaysia'])]
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlaceMatcher };
+}
@@ -0,0 +1,350 @@
+// In-browser inverted index with field weighting, prefix and typo-tolerant matching,
+// Malay/English synonyms (SEARCH_SYNONYMS) and operators such as `tag:beach location:"Kota Kinabalu" type:video`.
+class SearchIndex {
+    constructor(options = {}) {
+        // How much a match in each field counts towards a document's score
+        this.fieldWeights = options.fieldWeights || { title: 5, tags: 4, location: 3, description: 1 };
+        // Operator name -> document field it filters on
+        this.operators = options.operators || {
+            tag: 'tags',
+            tags: 'tags',
+            location: 'location',
+            loc: 'location',
+            type: 'type',
+            category: 'category',
+            cat: 'category'
+        };
+        // How much each kind of term match is worth relative to an exact one
+        this.matchWeights = { exact: 1, synonym: 0.8, prefix: 0.6, fuzzy: 0.4 };
+        this.stopWords = new Set(options.stopWords || ['a', 'an', 'and', 'the', 'of', 'in', 'at', 'to', 'di', 'dan', 'yang', 'ke']);
+
+        this.synonyms = new Map();
+        const synonymGroups = options.synonyms || (typeof SEARCH_SYNONYMS !== 'undefined' ? SEARCH_SYNONYMS : []);
+        synonymGroups.forEach(group => group.forEach(word => {
+            this.synonyms.set(word, group.filter(other => other !== word));
+        }));
+
+        this.clear();
+    }
+
+    clear() {
+        this.postings = new Map();  // term -> Map(docId -> { field: occurrences })
+        this.documents = new Map(); // docId -> { version, tokens: { field: Array<string> } }
+        this.sortedTerms = null;    // Vocabulary in sorted order for prefix lookups, rebuilt when it changes
+    }
+
+    /**
+     * Lowercase and strip accents so "Café" and "cafe" index the same
+     * @param {string} text - Any text
+     * @returns {string} Normalised text
+     */
+    normalize(text) {
+        return String(text || '').normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase();
+    }
+
+    /**
+     * Split text into index terms
+     * @param {string|Array<string>} text - Text, or a list such as tags
+     * @returns {Array<string>} Terms without stop words
+     */
+    tokenize(text) {
+        const value = Array.isArray(text) ? text.join(' ') : text;
+        return this.normalize(value).split(/[^a-z0-9]+/).filter(token => token && !this.stopWords.has(token));
+    }
+
+    /**
+     * Add a document, replacing any earlier version with the same id
+     * @param {Object} doc - Object with an id plus the weighted and filterable fields
+     * @param {string} [version] - Changes whenever the document does, so sync() can skip unchanged ones
+     */
+    add(doc, version = '') {
+        if (this.documents.has(doc.id)) this.remove(doc.id);
+
+        const tokens = {};
+        const fields = new Set([...Object.keys(this.fieldWeights), ...Object.values(this.operators)]);
+        fields.forEach(field => {
+            tokens[field] = this.tokenize(doc[field]);
+            if (!this.fieldWeights[field]) return; // Filter-only field such as type
+
+            tokens[field].forEach(token => {
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, new Map());
+                    this.sortedTerms = null;
+                }
+                const posting = this.postings.get(token);
+                const counts = posting.get(doc.id) || {};
+                counts[field] = (counts[field] || 0) + 1;
+                posting.set(doc.id, counts);
+            });
+        });
+
+        this.documents.set(doc.id, { version, tokens });
+    }
+
+    remove(id) {
+        const doc = this.documents.get(id);
+        if (!doc) return;
+
+        Object.keys(this.fieldWeights).forEach(field => {
+            (doc.tokens[field] || []).forEach(token => {
+                const posting = this.postings.get(token);
+                if (!posting) return;
+                posting.delete(id);
+                if (posting.size === 0) {
+                    this.postings.delete(token);
+                    this.sortedTerms = null;
+                }
+            });
+        });
+        this.documents.delete(id);
+    }
+
+    /**
+     * Make the index match a list of documents, re-indexing only documents whose version changed
+     * @param {Array<Object>} docs - Every document that should be searchable
+     * @param {function(Object): string} [getVersion] - Version of a document
+     */
+    sync(docs, getVersion = () => '') {
+        const ids = new Set();
+        docs.forEach(doc => {
+            ids.add(doc.id);
+            const version = getVersion(doc);
+            const existing = this.documents.get(doc.id);
+            if (!existing || existing.version !== version) this.add(doc, version);
+        });
+        [...this.documents.keys()].filter(id => !ids.has(id)).forEach(id => this.remove(id));
+    }
+
+    /**
+     * Split a query into free-text terms and operator filters
+     * @param {string} query - e.g. `nasi lemak tag:food location:"Kuala Lumpur"`
+     * @returns {{terms: Array<string>, filters: Array<{field: string, tokens: Array<string>}>}} Parsed query
+     */
+    parseQuery(query) {
+        const terms = [];
+        const filters = [];
+        const pattern = /([a-z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/gi;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            const [whole, operator, quotedValue, value, phrase, word] = match;
+            const field = operator && this.operators[operator.toLowerCase()];
+            if (field) {
+                const tokens = this.tokenize(quotedValue !== undefined ? quotedValue : value);
+                if (tokens.length > 0) filters.push({ field, tokens });
+            } else {
+                // Unknown operators (e.g. "10:30") are searched as plain text
+                terms.push(...this.tokenize(operator ? whole : (phrase !== undefined ? phrase : word)));
+            }
+        }
+        return { terms, filters };
+    }
+
+    getSortedTerms() {
+        if (!this.sortedTerms) this.sortedTerms = [...this.postings.keys()].sort();
+        return this.sortedTerms;
+    }
+
+    /**
+     * Find the index terms a query term can match
+     * @param {string} term - Normalised query term
+     * @returns {Map<string, number>} Index term -> match weight
+     */
+    expandTerm(term) {
+        const matches = new Map();
+        const consider = (indexTerm, weight) => {
+            if (this.postings.has(indexTerm) && (matches.get(indexTerm) || 0) < weight) {
+                matches.set(indexTerm, weight);
+            }
+        };
+
+        consider(term, this.matchWeights.exact);
+        (this.synonyms.get(term) || []).forEach(synonym => consider(synonym, this.matchWeights.synonym));
+
+        // Prefix matches ("kinab" -> "kinabalu"): binary search to the first term >= the prefix
+        if (term.length >= 2) {
+            const sorted = this.getSortedTerms();
+            let low = 0;
+            let high = sorted.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (sorted[mid] < term) low = mid + 1; else high = mid;
+            }
+            for (let i = low; i < sorted.length && sorted[i].startsWith(term); i++) {
+                consider(sorted[i], this.matchWeights.prefix);
+            }
+        }
+
+        // Typos: one edit allowed in medium words, two in long ones
+        const maxEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        if (maxEdits > 0) {
+            this.postings.forEach((posting, indexTerm) => {
+                if (matches.has(indexTerm) || Math.abs(indexTerm.length - term.length) > maxEdits) return;
+                if (this.editDistance(term, indexTerm, maxEdits) <= maxEdits) {
+                    consider(indexTerm, this.matchWeights.fuzzy);
+                }
+            });
+        }
+
+        return matches;
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and swapped neighbours
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Stop early once the distance is known to exceed this
+     * @returns {number} Distance (max + 1 when it exceeds max)
+     */
+    editDistance(a, b, max) {
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, beforePrevious[j - 2] + 1);
+                }
+                current[j] = distance;
+                rowMin = Math.min(rowMin, distance);
+            }
+            if (rowMin > max) return max + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Score every document matching one query term
+     * @param {string} term - Normalised query term
+     * @returns {Map<string, {score: number, terms: Set<string>}>} Document id -> best score and the index terms matched
+     */
+    scoreTerm(term) {
+        const results = new Map();
+        const totalDocuments = this.documents.size;
+
+        this.expandTerm(term).forEach((matchWeight, indexTerm) => {
+            const posting = this.postings.get(indexTerm);
+            const rarity = Math.log(1 + totalDocuments / posting.size); // Rare terms say more about a document
+
+            posting.forEach((counts, id) => {
+                const fieldScore = Object.entries(counts)
+                    .reduce((sum, [field, count]) => sum + this.fieldWeights[field] * Math.min(count, 3), 0);
+                const result = results.get(id) || { score: 0, terms: new Set() };
+                result.score = Math.max(result.score, matchWeight * fieldScore * rarity);
+                result.terms.add(indexTerm);
+                results.set(id, result);
+            });
+        });
+        return results;
+    }
+
+    /**
+     * Check an operator filter against a document
+     * @param {Object} doc - Indexed document
+     * @param {{field: string, tokens: Array<string>}} filter - Parsed filter
+     * @returns {Array<string>|null} The document tokens that satisfied it, or null if it does not match
+     */
+    matchFilter(doc, filter) {
+        const fieldTokens = doc.tokens[filter.field] || [];
+        const matched = [];
+        for (const token of filter.tokens) {
+            const accepted = [token, ...(this.synonyms.get(token) || [])];
+            const hits = fieldTokens.filter(fieldToken => accepted.includes(fieldToken) || fieldToken.startsWith(token));
+            if (hits.length === 0) return null;
+            matched.push(...hits);
+        }
+        return matched;
+    }
+
+    /**
+     * Run a query. Every free-text term must match (AND); operators filter on their field.
+     * @param {string} query - Search query
+     * @returns {Array<{id: string, score: number, terms: Set<string>}>} Matches, best first, with the terms to highlight
+     */
+    search(query) {
+        const { terms, filters } = this.parseQuery(query);
+        if (terms.length === 0 && filters.length === 0) return [];
+
+        const termMatches = terms.map(term => this.scoreTerm(term));
+        // "nasi lemak" should also find the tag "nasilemak", so adjacent terms may match as one word
+        for (let i = 0; i + 1 < terms.length; i++) {
+            this.scoreTerm(terms[i] + terms[i + 1]).forEach((match, id) => {
+                [i, i + 1].forEach(k => {
+                    const existing = termMatches[k].get(id);
+                    if (!existing || existing.score < match.score / 2) {
+                        termMatches[k].set(id, { score: match.score / 2, terms: match.terms });
+                    }
+                });
+            });
+        }
+
+        const results = [];
+        this.documents.forEach((doc, id) => {
+            const matchedTerms = new Set();
+            for (const filter of filters) {
+                const hits = this.matchFilter(doc, filter);
+                if (!hits) return;
+                hits.forEach(token => matchedTerms.add(token));
+            }
+
+            let score = 0;
+            for (const matches of termMatches) {
+                const match = matches.get(id);
+                if (!match) return;
+                score += match.score;
+                match.terms.forEach(token => matchedTerms.add(token));
+            }
+            results.push({ id, score, terms: matchedTerms });
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Escape text for HTML and wrap the words that matched a search in <mark>
+     * @param {string} text - Field text
+     * @param {Set<string>} [terms] - Matched index terms from search()
+     * @returns {string} Safe HTML
+     */
+    highlight(text, terms) {
+        if (!text) return '';
+        if (!terms || terms.size === 0) return escapeHtml(text);
+
+        return String(text).split(/([^\p{L}\p{N}]+)/u).map(part => {
+            return terms.has(this.normalize(part)) ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+        }).join('');
+    }
+
+    /**
+     * Short highlighted excerpt around the first matched word, for long fields like descriptions
+     * @param {string} text - Field text
+     * @param {Set<string>} terms - Matched index terms from search()
+     * @param {number} [radius] - Characters of context on each side
+     * @returns {string} Safe HTML, or '' if nothing in the text matched
+     */
+    snippet(text, terms, radius = 60) {
+        if (!text || !terms || terms.size === 0) return '';
+
+        const wordPattern = /[\p{L}\p{N}]+/gu;
+        let match;
+        while ((match = wordPattern.exec(text)) !== null) {
+            if (!terms.has(this.normalize(match[0]))) continue;
+
+            const start = Math.max(0, match.index - radius);
+            const end = Math.min(text.length, match.index + match[0].length + radius);
+            return `${start > 0 ? '…' : ''}${this.highlight(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+        }
+        return '';
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchIndex };
+}
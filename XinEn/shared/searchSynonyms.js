@@ -0,0 +1,45 @@
+// Malay/English equivalents used to expand search terms (e.g. "pantai" also finds "beach").
+// Each group lists single words that should match each other; keep entries lowercase and unaccented.
+const SEARCH_SYNONYMS = [
+    ['beach', 'pantai', 'shore', 'coast'],
+    ['island', 'pulau', 'islands'],
+    ['mountain', 'gunung', 'mount', 'peak'],
+    ['hill', 'bukit', 'highlands'],
+    ['forest', 'hutan', 'jungle', 'rainforest'],
+    ['river', 'sungai'],
+    ['lake', 'tasik'],
+    ['sea', 'laut', 'ocean'],
+    ['cave', 'gua', 'caves'],
+    ['waterfall', 'waterfalls', 'terjun'],
+    ['park', 'taman'],
+    ['city', 'bandar', 'bandaraya', 'town'],
+    ['village', 'kampung', 'kampong'],
+    ['market', 'pasar'],
+    ['night', 'malam'],
+    ['food', 'makanan', 'cuisine', 'dish'],
+    ['rice', 'nasi'],
+    ['noodles', 'mee', 'mi', 'noodle'],
+    ['chicken', 'ayam'],
+    ['fish', 'ikan'],
+    ['coffee', 'kopi'],
+    ['tea', 'teh'],
+    ['mosque', 'masjid'],
+    ['temple', 'kuil', 'tokong'],
+    ['church', 'gereja'],
+    ['palace', 'istana'],
+    ['bridge', 'jambatan'],
+    ['tower', 'towers', 'menara'],
+    ['street', 'jalan'],
+    ['festival', 'perayaan', 'pesta'],
+    ['culture', 'budaya', 'heritage', 'warisan'],
+    ['sunset', 'senja'],
+    ['sunrise', 'subuh'],
+    ['diving', 'selam', 'scuba', 'snorkeling'],
+    ['hiking', 'mendaki', 'trekking', 'climb'],
+    ['kl', 'kualalumpur']
+];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SEARCH_SYNONYMS };
+}
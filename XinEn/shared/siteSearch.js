@@ -0,0 +1,281 @@
+// Site-wide search box added to the nav of every page.
+// Searches the prebuilt SITE_SEARCH_DATA (pages, default blog posts, default gallery items) together with
+// the visitor's own blog posts and gallery uploads, and links straight to the matching page, post or photo.
+class SiteSearch {
+    constructor(options = {}) {
+        this.data = options.data || SITE_SEARCH_DATA;
+        this.maxPerGroup = options.maxPerGroup || 5; // Results shown per group in the dropdown
+        this.i18n = options.i18n || window.i18n || new I18n();
+        this.groups = [
+            { kind: 'page', key: 'search-group-pages', label: 'Attractions & Pages', icon: 'fa-map-marker-alt' },
+            { kind: 'post', key: 'search-group-posts', label: 'Blog Posts', icon: 'fa-pen-nib' },
+            { kind: 'media', key: 'search-group-media', label: 'Gallery', icon: 'fa-images' }
+        ];
+        this.index = new SearchIndex();
+        // One store for the page's lifetime so every refresh reuses the same IndexedDB connection
+        this.blogStorage = typeof BlogStorage !== 'undefined' ? new BlogStorage() : null;
+        this.records = new Map(); // Index id -> { kind, title, url, summary, meta, thumbnail }; meta parts are text, { key, text } to translate or { date }
+        this.staticDocuments = this.buildStaticDocuments();
+        this.userDocuments = [];
+        this.index.sync(this.staticDocuments);
+        this.searchTimer = null;
+        this.input = null;
+        this.panel = null;
+    }
+
+    /**
+     * Turn the prebuilt data into index documents
+     * @returns {Array<Object>} Documents for SearchIndex
+     */
+    buildStaticDocuments() {
+        const pages = this.data.pages.map(page => this.createDocument('page', page.id, {
+            title: page.title,
+            description: `${page.overview} ${page.highlights.join(' ')}`,
+            tags: [...page.tags, page.category],
+            category: page.category,
+            type: 'page'
+        }, {
+            url: page.url,
+            summary: page.overview,
+            meta: [page.category || { key: 'search-type-page', text: 'Page' }]
+        }));
+
+        const posts = this.data.posts.map(post => this.postDocument(post, `blog.html?post=${encodeURIComponent(post.postId)}&source=default`));
+        const media = this.data.media.map(item => this.mediaDocument(item));
+        return [...pages, ...posts, ...media];
+    }
+
+    /**
+     * Create an index document and remember how to display it
+     * @param {string} kind - Result group: 'page', 'post' or 'media'
+     * @param {string} id - Id of the underlying item
+     * @param {Object} fields - Searchable fields (title, description, location, tags, type, category)
+     * @param {Object} display - url, summary, meta and optional thumbnail for the result row
+     * @returns {Object} Index document
+     */
+    createDocument(kind, id, fields, display) {
+        const documentId = `${kind}:${id}`;
+        this.records.set(documentId, { kind, title: fields.title, ...display });
+        return { id: documentId, ...fields };
+    }
+
+    postDocument(post, url) {
+        return this.createDocument('post', post.id, {
+            title: post.title,
+            description: post.content || post.excerpt || '',
+            location: post.location || '',
+            tags: [...(post.tags || []), post.author || ''],
+            category: post.category || '',
+            type: 'post',
+            version: post.dateEdited || ''
+        }, {
+            url,
+            summary: post.excerpt || '',
+            meta: [post.author, post.date ? { date: post.date } : ''],
+            thumbnail: post.thumbnail || post.image || ''
+        });
+    }
+
+    mediaDocument(item) {
+        return this.createDocument('media', item.id, {
+            title: item.title,
+            description: item.description || '',
+            location: item.location || '',
+            tags: item.tags || [],
+            category: item.category || '',
+            type: item.type,
+            version: item.editedAt || ''
+        }, {
+            url: `photovideo.html?media=${encodeURIComponent(item.id)}`,
+            summary: item.description || '',
+            meta: [item.type === 'video' ? { key: 'gallery-video', text: 'Video' } : { key: 'gallery-photo', text: 'Photo' }, item.location],
+            thumbnail: item.thumbnail && !item.thumbnail.startsWith('blob:') ? item.thumbnail : ''
+        });
+    }
+
+    /**
+     * Read the visitor's own uploads and posts and add them to the index.
+     * Called each time the search box gains focus, so edits made on another page show up.
+     */
+    async refreshUserContent() {
+        const documents = [];
+
+        if (typeof GalleryStorage !== 'undefined') {
+            const storage = new GalleryStorage();
+            const uploads = [...(storage.load(storage.keys.photos) || []), ...(storage.load(storage.keys.videos) || [])];
+            uploads.forEach(item => documents.push(this.mediaDocument(item)));
+        }
+
+        if (this.blogStorage) {
+            try {
+                const posts = await this.blogStorage.loadPosts();
+                posts.forEach(post => documents.push(this.postDocument(post, `blog.html?post=${encodeURIComponent(post.id)}`)));
+            } catch (error) {
+                console.warn('Site search could not read saved blog posts:', error);
+            }
+        }
+
+        this.userDocuments = documents;
+        this.index.sync([...this.staticDocuments, ...this.userDocuments], doc => doc.version || '');
+    }
+
+    /**
+     * Search everything
+     * @param {string} query - Query, including operators such as type:video
+     * @returns {Array<Object>} Matches with their display record, best first
+     */
+    search(query) {
+        return this.index.search(query)
+            .map(result => ({ ...result, record: this.records.get(result.id) }))
+            .filter(result => result.record);
+    }
+
+    // Add the search box to the page's nav
+    mount() {
+        const menuList = document.querySelector('nav .menu ul');
+        const host = menuList || document.querySelector('.navigation-list');
+        if (!host) return;
+
+        const container = document.createElement(menuList ? 'li' : 'div');
+        container.className = 'site-search';
+        container.innerHTML = `
+            <form class="site-search-form" role="search">
+                <i class="fas fa-search"></i>
+                <input type="search" class="site-search-input" autocomplete="off">
+            </form>
+            <div class="site-search-results" hidden></div>
+        `;
+        host.appendChild(container);
+
+        this.input = container.querySelector('.site-search-input');
+        this.panel = container.querySelector('.site-search-results');
+        this.translateInput();
+
+        this.input.addEventListener('focus', async () => {
+            await this.refreshUserContent();
+            this.renderResults(this.input.value);
+        });
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.renderResults(this.input.value), 150);
+        });
+        container.querySelector('.site-search-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const first = this.panel.querySelector('.site-search-result');
+            if (first) window.location.href = first.href;
+        });
+        container.addEventListener('keydown', (e) => this.handleKeydown(e));
+        document.addEventListener('click', (e) => {
+            if (!container.contains(e.target)) this.hideResults();
+        });
+        document.addEventListener('languagechanged', () => {
+            this.translateInput();
+            if (!this.panel.hidden) this.renderResults(this.input.value);
+        });
+    }
+
+    translateInput() {
+        this.input.placeholder = this.i18n.t('search-placeholder', 'Search the site...');
+        this.input.setAttribute('aria-label', this.i18n.t('search-label', 'Search the site'));
+    }
+
+    // Arrow keys move through the results, Escape closes them
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            this.hideResults();
+            this.input.blur();
+            return;
+        }
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+
+        const links = [...this.panel.querySelectorAll('.site-search-result')];
+        if (links.length === 0) return;
+        e.preventDefault();
+        const current = links.indexOf(document.activeElement);
+        if (e.key === 'ArrowDown') {
+            links[Math.min(current + 1, links.length - 1)].focus();
+        } else if (current <= 0) {
+            this.input.focus();
+        } else {
+            links[current - 1].focus();
+        }
+    }
+
+    hideResults() {
+        if (this.panel) this.panel.hidden = true;
+    }
+
+    /**
+     * Show results for a query, grouped by kind
+     * @param {string} query - Current input value
+     */
+    renderResults(query) {
+        if (!query.trim()) {
+            this.panel.innerHTML = '';
+            this.hideResults();
+            return;
+        }
+
+        const results = this.search(query);
+        if (results.length === 0) {
+            this.panel.innerHTML = `<p class="site-search-empty">${this.i18n.format('search-no-results', { query: escapeHtml(query.trim()) }, 'No results for "{query}"')}</p>`;
+        } else {
+            this.panel.innerHTML = this.groups.map(group => {
+                const matches = results.filter(result => result.record.kind === group.kind);
+                if (matches.length === 0) return '';
+                return `
+                    <section class="site-search-group">
+                        <h4><i class="fas ${group.icon}"></i> ${this.i18n.t(group.key, group.label)} <span>${matches.length}</span></h4>
+                        ${matches.slice(0, this.maxPerGroup).map(result => this.renderResult(result)).join('')}
+                    </section>
+                `;
+            }).join('');
+        }
+        this.panel.hidden = false;
+    }
+
+    renderResult(result) {
+        const { record, terms } = result;
+        const summary = this.index.snippet(record.summary, terms, 50)
+            || escapeHtml(record.summary.length > 100 ? `${record.summary.slice(0, 100)}…` : record.summary);
+        const thumbnail = record.thumbnail
+            ? `<img src="${escapeHtml(record.thumbnail)}" alt="" loading="lazy">`
+            : `<span class="site-search-icon"><i class="fas ${this.groups.find(group => group.kind === record.kind).icon}"></i></span>`;
+
+        return `
+            <a class="site-search-result" href="${escapeHtml(record.url)}">
+                ${thumbnail}
+                <span class="site-search-text">
+                    <strong>${this.index.highlight(record.title, terms)}</strong>
+                    <small>${escapeHtml(this.metaText(record.meta))}</small>
+                    ${summary ? `<span class="site-search-summary">${summary}</span>` : ''}
+                </span>
+            </a>
+        `;
+    }
+
+    // e.g. "Photo · Sabah", in the current language; dates are formatted here so a language switch reformats them
+    metaText(parts) {
+        return parts.filter(part => part)
+            .map(part => typeof part === 'string' ? part : part.date ? this.formatDate(part.date) : this.i18n.t(part.key, part.text))
+            .join(' · ');
+    }
+
+    formatDate(date) {
+        const parsed = new Date(date);
+        if (isNaN(parsed.getTime())) return date; // Default posts already carry display dates such as "Aug 16, 2024"
+        return this.i18n.formatDate(parsed);
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.siteSearch = new SiteSearch();
+        window.siteSearch.mount();
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SiteSearch };
+}
@@ -0,0 +1,695 @@
+// Generated by XinEn/tools/buildSiteSearchIndex.js - do not edit by hand.
+// Re-run `node XinEn/tools/buildSiteSearchIndex.js` after changing page content, default blog posts or default gallery items.
+const SITE_SEARCH_DATA = {
+    "pages": [
+        {
+            "id": "page_AFamosa",
+            "url": "AFamosa.html",
+            "title": "A' Famosa",
+            "category": "Heritage & Culture",
+            "overview": "A' Famosa, located in Melaka, Malaysia, is one of Southeast Asia's oldest surviving European architectural remains. Originally built by the Portuguese in 1511 following their conquest of Melaka, the fortress was designed to protect their strategic trading port from foreign invaders. The structure once spanned an impressive area, but today, only the iconic gateway, Porta de Santiago, remains standing. This gateway serves as a poignant reminder of Melaka's rich colonial history, which includes subsequent occupations by the Dutch and the British. A Famosa is not just a historical landmark but also a symbol of the city's cultural fusion, blending Asian and European influences over the centuries. It continues to attract visitors who are drawn to its historical significance and the picturesque backdrop it provides in modern-day Melaka.",
+            "highlights": [
+                "1511: A' Famosa Built by the Portuguese A' Famosa was constructed following the Portuguese conquest of Melaka.",
+                "1641: Captured by the Dutch The Dutch took control of A' Famosa and the surrounding region.",
+                "1807: Destruction by the British Most of the fortress was destroyed by the British, leaving only Porta de Santiago.",
+                "Present Day: Preserved as a Historical Landmark A' Famosa stands as a significant reminder of Melaka's colonial past."
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_BatuCavesAttraction",
+            "url": "BatuCavesAttraction.html",
+            "title": "Batu Caves",
+            "category": "Heritage & Culture",
+            "overview": "Batu Caves, located just outside Kuala Lumpur, Malaysia, is a renowned limestone hill that houses a series of caves and cave temples, making it one of the most popular Hindu shrines outside of India. The site is dedicated to Lord Murugan, and the towering golden statue of the deity at the entrance is one of the tallest in the world. Visitors must climb 272 steep steps to reach the main Temple Cave, which is filled with intricate Hindu shrines and vibrant statues. Batu Caves is not only a significant religious site but also a major tourist attraction, drawing visitors for its cultural, spiritual, and natural beauty. The caves also serve as the focal point for the annual Thaipusam festival, where thousands of devotees gather to perform rituals and pay homage, adding to the vibrant atmosphere of this sacred place.",
+            "highlights": [
+                "Overview",
+                "Location Details",
+                "Test Your Knowledge"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_BorneoCulturesMuseum",
+            "url": "BorneoCulturesMuseum.html",
+            "title": "Borneo Cultures Museum",
+            "category": "Heritage & Culture",
+            "overview": "The Borneo Cultures Museum, located in Kuching, Sarawak, is the largest museum in Malaysia and a significant cultural landmark dedicated to preserving and showcasing the rich heritage of Borneo's indigenous communities. Opened in 2022, this state-of-the-art museum features five floors of exhibits, highlighting the diverse cultures, traditions, and histories of Borneo’s various ethnic groups, including the Iban, Bidayuh, and Orang Ulu. The museum’s design reflects Sarawak's cultural diversity, with modern architecture that draws inspiration from traditional Bornean longhouses. Visitors to the Borneo Cultures Museum can explore interactive displays, ancient artifacts, and immersive exhibits that offer deep insights into Borneo’s natural environment, social structures, and artistic expressions. The museum serves as both an educational hub and a cultural repository, playing a vital role in preserving Borneo’s unique heritage while promoting greater understanding and appreciation of its indigenous cultures to both locals and tourists.",
+            "highlights": [
+                "Overview",
+                "Location Details"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_ClanJetties",
+            "url": "ClanJetties.html",
+            "title": "George Town's Clan Jetties",
+            "category": "Heritage & Culture",
+            "overview": "The Clan Jetties of George Town, Penang, are a unique and historical waterfront community that dates back to the late 19th century. These jetties were established by Chinese immigrant clans who built wooden houses on stilts along the shores of the Penang Strait. Each jetty is associated with a specific clan, such as the Chew, Lim, and Tan, and the community has preserved much of its traditional way of life, with families living in close-knit, water-based communities. The jetties offer a glimpse into Penang's multicultural heritage and are a living testament to the early Chinese settlers' resourcefulness and communal spirit. Today, the Clan Jetties are part of George Town's UNESCO World Heritage site, attracting visitors with their rustic charm, cultural significance, and the opportunity to experience a slice of Penang's history. Among the jetties, Chew Jetty is the most well-known, featuring small shops, temples, and homes that welcome tourists, making it a popular spot for photography and cultural exploration.",
+            "highlights": [
+                "Overview",
+                "Location Details",
+                "Test Your Knowledge"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_GentingSkyworlds",
+            "url": "GentingSkyworlds.html",
+            "title": "Genting SkyWorlds Theme Park",
+            "category": "Adventure & Entertainment",
+            "overview": "Genting SkyWorlds, located in Genting Highlands, Malaysia, is an expansive and innovative theme park that offers a unique blend of immersive experiences and world-class attractions. Opened in 2022, this outdoor park is part of the Genting Highlands resort and is set against the backdrop of the lush mountains, providing visitors with not only thrilling rides but also stunning natural scenery. The park is divided into several themed zones, each inspired by popular films and franchises, offering a cinematic experience that transports guests into fantastical worlds. Genting SkyWorlds features a wide range of attractions, from high-speed roller coasters and 3D interactive rides to family-friendly carousels and play areas. Notable themed zones include the Andromeda Base, an intergalactic-themed area with futuristic rides, and Central Park, which captures the vibrant essence of New York City. The park also offers dining and shopping experiences tailored to each theme, enhancing the overall immersion. With its cutting-edge attractions and diverse entertainment offerings, Genting SkyWorlds has quickly become a must-visit destination for families, thrill-seekers, and movie fans alike.",
+            "highlights": [
+                "Themed Zones: Features several immersive zones inspired by popular films and franchises, such as Andromeda Base and Central Park.",
+                "Thrilling Rides: Offers high-speed roller coasters, 3D interactive rides, and other adrenaline-pumping attractions.",
+                "Family-Friendly Attractions: Includes carousels, play areas, and rides suitable for younger children and families.",
+                "Stunning Scenery: Set against the backdrop of the Genting Highlands, providing breathtaking mountain views.",
+                "Cinematic Experiences: Incorporates cutting-edge technology and storytelling to create an engaging, movie-themed environment.",
+                "Dining and Shopping: Provides themed dining outlets and retail shops that complement the park’s immersive zones."
+            ],
+            "tags": [
+                "Themed Zones",
+                "Thrilling Rides",
+                "Family-Friendly Attractions",
+                "Stunning Scenery",
+                "Cinematic Experiences",
+                "Dining and Shopping"
+            ]
+        },
+        {
+            "id": "page_GuaTempurung",
+            "url": "GuaTempurung.html",
+            "title": "Gua Tempurung",
+            "category": "Adventure & Entertainment",
+            "overview": "Gua Tempurung, located near the town of Ipoh in Perak, Malaysia, is one of the largest and most impressive caves in Peninsular Malaysia. The cave, renowned for its stunning limestone formations, features a network of chambers, stalactites, and stalagmites that create a dramatic subterranean landscape. Visitors can explore the cave through various guided tours, ranging from easy walks to more adventurous routes that include climbing, crawling, and wading through underground streams. The cave's name, which translates to \"Coconut Shell Cave\" in Malay, reflects its unique interior structure resembling the inside of a coconut shell. Gua Tempurung is not only a popular destination for spelunking enthusiasts but also for those interested in geology and natural beauty, offering an immersive experience into Malaysia's natural underground wonders.",
+            "highlights": [
+                "Stunning Limestone Formations: Features impressive stalactites, stalagmites, and intricate cave formations./li> Diverse Tour Options: Offers a range of guided tours from easy walks to challenging caving adventures involving climbing and wading.",
+                "Spelunking Experience: Provides an immersive underground experience for both geology enthusiasts and adventure seekers."
+            ],
+            "tags": [
+                "Stunning Limestone Formations",
+                "Diverse Tour Options",
+                "Spelunking Experience"
+            ]
+        },
+        {
+            "id": "page_KelliesCastle",
+            "url": "KelliesCastle.html",
+            "title": "Kellie's Castle",
+            "category": "Heritage & Culture",
+            "overview": "Kellie's Castle, located in Batu Gajah, Perak, Malaysia, is an unfinished mansion steeped in mystery and history. Built by Scottish planter William Kellie Smith in the early 20th century, the castle was intended as a grand residence for his family, blending European architecture with Indian influences. The construction was halted following Smith's sudden death in 1926, leaving the castle incomplete. Today, the partially completed structure stands as a fascinating historical monument, with its labyrinthine corridors, hidden rooms, and a rooftop courtyard offering a glimpse into the grandeur that might have been. Kellie's Castle is often associated with ghostly legends and is said to be haunted, adding to its allure for visitors. The castle’s eerie yet enchanting atmosphere, combined with its rich backstory, draws tourists and history enthusiasts alike, making it a popular destination for those interested in colonial history and the supernatural.",
+            "highlights": [
+                "Overview",
+                "Location Details",
+                "Test Your Knowledge"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_LangkawiSkyBridge",
+            "url": "LangkawiSkyBridge.html",
+            "title": "Langkawi Sky Bridge",
+            "category": "Adventure & Entertainment",
+            "overview": "The Langkawi Sky Bridge is a remarkable architectural marvel located in Langkawi, Malaysia. Suspended at an altitude of approximately 700 meters above sea level, the curved pedestrian bridge offers breathtaking panoramic views of the surrounding mountains, lush rainforests, and the Andaman Sea. Spanning 125 meters in length, the Sky Bridge is supported by a single pylon, giving it a floating appearance and enhancing its scenic beauty. Accessible via the Langkawi Cable Car, the bridge is a popular attraction for tourists seeking both adventure and stunning vistas. The Langkawi Sky Bridge stands as a testament to modern engineering while offering an unforgettable experience amidst the natural beauty of Langkawi.",
+            "highlights": [
+                "Spectacular Views: Offers panoramic vistas of mountains, rainforests, and the Andaman Sea.",
+                "Unique Design: A curved pedestrian bridge suspended at approximately 700 meters above sea level, supported by a single pylon.",
+                "Architectural Marvel: An impressive example of modern engineering with a floating appearance.",
+                "Adventure Experience: Accessible via the Langkawi Cable Car, adding to the adventure and thrill of visiting."
+            ],
+            "tags": [
+                "Spectacular Views",
+                "Unique Design",
+                "Architectural Marvel",
+                "Adventure Experience"
+            ]
+        },
+        {
+            "id": "page_LegoLand",
+            "url": "LegoLand.html",
+            "title": "LegoLand Malaysia",
+            "category": "Adventure & Entertainment",
+            "overview": "Legoland Malaysia, located in Iskandar Puteri, Johor, is a premier family entertainment destination that brings the imaginative world of LEGO to life. Opened in 2012, it is the first Legoland theme park in Asia and spans over 76 acres, offering a variety of attractions and activities designed for both children and adults. The park is divided into several themed areas, including Miniland, where iconic landmarks and cities from around the world are recreated with intricate LEGO models, and Adventure Land, which features thrilling rides and interactive adventures. In addition to its numerous rides and attractions, Legoland Malaysia also includes a water park and an interactive aquarium. The water park boasts a range of water slides, wave pools, and splash zones, while the aquarium showcases marine life through engaging exhibits and educational displays. The park’s design incorporates colorful LEGO-themed structures and play areas, providing a vibrant and engaging environment for visitors. Legoland Malaysia is renowned for its family-friendly atmosphere, hands-on experiences, and its ability to spark creativity and imagination in visitors of all ages.",
+            "highlights": [
+                "Miniland: Features detailed LEGO replicas of famous landmarks and cities from around the world.",
+                "Themed Rides: Includes various interactive and exciting rides spread across different themed areas, such as LEGO Kingdoms and LEGO City.",
+                "Legoland Water Park: Offers a range of water slides, wave pools, and splash areas for all ages.",
+                "LEGO® Academy: Provides hands-on building experiences and workshops where visitors can engage in creative LEGO construction.",
+                "Sea Life Malaysia: An interactive aquarium showcasing marine life with educational exhibits and immersive displays."
+            ],
+            "tags": [
+                "Miniland",
+                "Themed Rides",
+                "Legoland Water Park",
+                "LEGO® Academy",
+                "Sea Life Malaysia"
+            ]
+        },
+        {
+            "id": "page_MountKinabalu",
+            "url": "MountKinabalu.html",
+            "title": "Mount Kinabalu",
+            "category": "Adventure & Entertainment",
+            "overview": "Mount Kinabalu, located in Sabah, Malaysia, is one of Southeast Asia’s highest peaks, standing at 4,095 meters above sea level. As part of the UNESCO World Heritage Site of Kinabalu Park, this iconic mountain is renowned for its rich biodiversity, featuring thousands of plant species, hundreds of birds, and numerous mammals, many of which are endemic to the region. The mountain is a sacred site for the local Kadazan-Dusun people, who believe it to be the resting place of spirits. Climbing Mount Kinabalu is a popular activity for both local and international tourists, offering a challenging but rewarding experience with breathtaking views from the summit, especially at sunrise. Mount Kinabalu is not only a destination for avid climbers but also for nature enthusiasts who come to explore its diverse ecosystems, from lush tropical rainforests at the base to alpine meadows at higher elevations. The mountain’s trails are well-maintained, making it accessible for climbers of various skill levels, though reaching the peak still requires physical endurance and determination. Beyond the climb, visitors can also enjoy the natural beauty of Kinabalu Park, with its hot springs, botanical gardens, and wildlife, making Mount Kinabalu a must-visit for those seeking both adventure and an intimate connection with nature.",
+            "highlights": [
+                "Highest Peak in Southeast Asia Stands at 4,095 meters above sea level, offering a challenging and rewarding climb.",
+                "UNESCO World Heritage Site: Part of Kinabalu Park, recognized for its exceptional biodiversity and conservation efforts.",
+                "Rich Biodiversity: Home to thousands of plant species, hundreds of birds, and unique wildlife, many of which are endemic to the region.",
+                "Cultural Significance: A sacred site for the local Kadazan-Dusun people, believed to be the resting place of spirits."
+            ],
+            "tags": [
+                "Highest Peak in Southeast Asia",
+                "UNESCO World Heritage Site",
+                "Rich Biodiversity",
+                "Cultural Significance"
+            ]
+        },
+        {
+            "id": "page_PutraMosque",
+            "url": "PutraMosque.html",
+            "title": "Putra Mosque",
+            "category": "Heritage & Culture",
+            "overview": "The Putra Mosque, located in Putrajaya, Malaysia, is one of the country’s most iconic and picturesque landmarks. Completed in 1999, the mosque is an architectural masterpiece that combines elements of traditional Islamic design with modern influences. Its pink granite façade, topped by a majestic rose-tinted dome, and the 116-meter-tall minaret, which is the tallest in Southeast Asia, make it a striking symbol of Malaysia's Islamic heritage. The mosque's design draws inspiration from Persian, Moorish, and Malay architecture, featuring intricate carvings, beautiful arches, and a serene lakeside setting. Situated on the edge of Putrajaya Lake, the Putra Mosque can accommodate up to 15,000 worshippers at a time. It is not only a place of worship but also a popular tourist attraction, drawing visitors for its serene beauty, architectural grandeur, and the tranquil atmosphere it provides. The mosque’s interior is equally impressive, with its spacious prayer hall, ornate chandeliers, and beautifully decorated ceilings, offering a peaceful space for reflection and prayer.",
+            "highlights": [
+                "Overview",
+                "Location Details",
+                "Test Your Knowledge"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_SunwayLagoon",
+            "url": "SunwayLagoon.html",
+            "title": "Sunway Lagoon",
+            "category": "Adventure & Entertainment",
+            "overview": "Sunway Lagoon, located in Petaling Jaya, Malaysia, is a sprawling multi-park resort that offers a diverse range of entertainment and recreational activities for visitors of all ages. Established in 1992, it is one of Malaysia's premier theme parks, encompassing several distinct zones, including a water park, amusement park, wildlife park, extreme park, and scream park. The park features a variety of attractions, from thrilling water slides and wave pools to adrenaline-pumping rides and exotic animal encounters. The water park is renowned for its extensive selection of water rides and attractions, including the world’s largest man-made surf beach. The amusement park offers classic rides and entertainment options, while the wildlife park allows guests to experience close encounters with a range of animals. The extreme park caters to adventure seekers with activities like bungee jumping and flying foxes, and the scream park provides a spine-tingling experience with its horror-themed attractions. Sunway Lagoon's diverse offerings make it a popular destination for families, thrill-seekers, and tourists, providing a comprehensive and exciting experience all in one location.",
+            "highlights": [
+                "Water Park: Features extensive water slides, wave pools, and the world’s largest man-made surf beach.",
+                "Amusement Park: Includes a variety of thrilling rides, roller coasters, and family-friendly attractions.",
+                "Wildlife Park: Home to diverse animal species, offering interactive and educational experiences with wildlife.",
+                "Extreme Park: Offers adrenaline-pumping activities such as bungee jumping, flying foxes, and go-karting.",
+                "Scream Park: Provides a horror-themed experience with haunted attractions and scary encounters.",
+                "Adventure Activities: Includes zip-lining, rock climbing, and water-based challenges.",
+                "Family-Friendly Attractions: Features themed areas and rides suitable for younger children and families.",
+                "Events and Shows: Hosts various live performances, seasonal events, and entertainment shows throughout the year."
+            ],
+            "tags": [
+                "Water Park",
+                "Amusement Park",
+                "Wildlife Park",
+                "Extreme Park",
+                "Scream Park",
+                "Adventure Activities",
+                "Family-Friendly Attractions",
+                "Events and Shows"
+            ]
+        },
+        {
+            "id": "page_adventure&entertainment",
+            "url": "adventure&entertainment.html",
+            "title": "Adventure & Entertainment",
+            "category": "Adventure & Entertainment",
+            "overview": "Explore the best attractions for thrill-seekers and fun lovers! Discover the excitement and adventure that awaits you in Malaysia. From theme parks to natural wonders, there’s something for everyone to enjoy. Whether you're seeking thrills or relaxation, Malaysia offers a diverse range of attractions that promise unforgettable experiences. A popular multi-themed amusement park offering water rides, wildlife encounters, and adventure activities. A family-friendly theme park featuring Lego-themed rides, attractions, and a water park, perfect for kids and Lego enthusiasts. A dynamic theme park of",
+            "highlights": [
+                "Overview",
+                "Top Entertainment Attractions",
+                "Top Adventurous Attractions",
+                "Discover More Adventurous and Entertainment Attractions",
+                "Kilim Geoforest Park, Kedah",
+                "Escape Park",
+                "Sepang Internetional Circuit",
+                "Upcoming Events"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_batucaves",
+            "url": "batucaves.html",
+            "title": "My Adventure at Batu Caves",
+            "category": "",
+            "overview": "As I set out for Batu Caves, just 13 kilometers north of Kuala Lumpur, I could feel the excitement building. Nestled amidst lush greenery, this limestone hill is more than just a geographical marvel—it's a captivating blend of spiritual serenity and outdoor adventure. Arriving at the base of the hill, I was immediately struck by the grandeur of the Batu Caves temple. The towering statue of Lord Murugan stood majestically against the backdrop of steep, rugged cliffs, making for a truly awe-inspiring sight. I climbed the iconic 272 steps to reach the temple entrance, each step offering a glimpse",
+            "highlights": [
+                "My Adventure at Batu Caves: A Perfect Blend of Spirituality and Thrill",
+                "Exploring the Caves",
+                "Conclusion"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_blog",
+            "url": "blog.html",
+            "title": "Marvelous Malaysia - Travel Blog",
+            "category": "",
+            "overview": "Discover amazing places, share your adventures, and connect with fellow travelers As I set out for Batu Caves, just 13 kilometers north of Kuala Lumpur, I could feel the excitement building... When I heard about The Gravityz Rope Course Challenge in Pulau Pinang, I knew I had to experience it... Known for its breathtaking beach landings, Malaysia promised a skydiving experience unlike any other... One of the most exhilarating experiences in Taman Negara is walking on the world's longest canopy walkway... Walking through the historic streets of Malacca feels like stepping back in time. The UNES",
+            "highlights": [
+                "Latest Posts",
+                "My Adventure at Batu Caves: A Perfect Blend of Spirituality and Thrill",
+                "Conquering Heights: The Gravityz Rope Course Challenge",
+                "Skydiving in Paradise: Beach Landing Adventure",
+                "The Canopy Walk: A Walk Among the Trees",
+                "Exploring Malacca: A Journey Through Malaysia's Rich Heritage",
+                "Street Food Paradise: A Culinary Journey Through Malaysia",
+                "Create New Post",
+                "Trash"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_ecoNature",
+            "url": "ecoNature.html",
+            "title": "Eco & Nature",
+            "category": "Eco & Nature",
+            "overview": "Malaysia, a vibrant and diverse country in Southeast Asia, is a paradise for nature lovers. From dense rainforests teeming with wildlife to serene beaches and mystical mountains, Malaysia offers an unparalleled eco-travel experience. Whether you’re a seasoned adventurer or someone looking to reconnect with nature, Malaysia’s natural beauty will leave you in awe. Join me as we explore the top eco and nature destinations in Malaysia, where the lush landscapes and rich biodiversity promise an unforgettable journey. Nestled in the heart of Peninsular Malaysia, Taman Negara is more than just a nati",
+            "highlights": [
+                "Malaysia's Eco & Nature",
+                "Visit Malaysia's Other Travel Destinations",
+                "Explore Malaysia's Natural Beauty",
+                "Taman Negara: The World’s Oldest Rainforest",
+                "The Cameron Highlands: A Refreshing Escape",
+                "Upcoming Events"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_heritage&culture",
+            "url": "heritage&culture.html",
+            "title": "Heritage & Culture",
+            "category": "Heritage & Culture",
+            "overview": "Malaysia's heritage and culture blend diverse traditions, highlighted by ancient temples, colonial architecture, vibrant festivals, and traditional arts. Malaysia's ethnic diversity is one of the country's most distinctive and defining features, contributing to its rich cultural landscape. The population of Malaysia is made up of a blend of various ethnic groups, each with its own unique cultural practices, languages, and traditions. Malaysia's historical legacy is a rich tapestry woven from its strategic position along ancient trade routes, which brought influences from Indian, Chinese, and I",
+            "highlights": [
+                "Discover Malaysia's Rich Culture",
+                "Ethnic Diversity",
+                "Historical Legacy",
+                "Cultural Heritage",
+                "Heritage & Culture",
+                "YOU MAY ALSO LIKE...",
+                "Malacca Sultanate Palace",
+                "Thean Hou Temple",
+                "Fort Cornwallis, Penang",
+                "Fort Margherita, Kuching",
+                "Upcoming Events"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_index",
+            "url": "index.html",
+            "title": "Marvelous Malaysia",
+            "category": "",
+            "overview": "Discover hidden gems, cultural heritage, and thrilling adventures. Explore Malaysia's Rich Cultural Heritage and Historical sites. Discover breathtaking Natural landscapes and Eco-Tourism spots. Experience thrilling adventures and exciting entertainment options. Explore top shopping destinations and local markets in Malaysia.",
+            "highlights": [
+                "Most Places Visited in Malaysia",
+                "Kuala Lumpur",
+                "Cameron Highlands",
+                "George Town",
+                "Malacca",
+                "Langkawi",
+                "Travel Themes.",
+                "Heritage And Culture",
+                "Eco and Nature",
+                "Adventure & Entertainment",
+                "Shopping",
+                "Share your memories."
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_photovideo",
+            "url": "photovideo.html",
+            "title": "Gallery - Marvelous Malaysia",
+            "category": "",
+            "overview": "Explore breathtaking photos and videos from across Malaysia Category, description, location and tags below apply to every file. Use \"Override batch details\" to change them for one file.",
+            "highlights": [
+                "Featured Content",
+                "Albums",
+                "Upload Content",
+                "Drag & Drop or Click to Upload",
+                "New Album",
+                "Trash"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_shopPing2",
+            "url": "shopPing2.html",
+            "title": "Shopping",
+            "category": "Shopping",
+            "overview": "When it comes to shopping, Malaysia offers an eclectic mix of experiences that can satisfy every type of shopper. From sprawling modern malls to vibrant street markets, and from high-end designer boutiques to unique local crafts, Malaysia is a paradise for those who love to shop. Join me on a journey through some of the best shopping experiences this beautiful country has to offer. Suria KLCC is more than just a shopping mall; it’s a landmark in its own right, nestled at the base of Malaysia’s most iconic structures, the Petronas Twin Towers. This six-story shopping haven is designed to cater ",
+            "highlights": [
+                "Shopping Paradise in Malaysia",
+                "Visit Malaysia's Other Travel Destinations",
+                "Exploring Malaysia's Shopping Paradise: A Journey Through Markets, Malls, and Local Finds",
+                "Kuala Lumpur: The Shopper’s Dream",
+                "Penang: A Blend of Culture and Commerce",
+                "Langkawi: A Night Market Wonderland"
+            ],
+            "tags": []
+        },
+        {
+            "id": "page_travelplan",
+            "url": "travelplan.html",
+            "title": "Travel Planning",
+            "category": "",
+            "overview": "Situated in a shopping mall, boasts a view of iconic towers. Luxurious and clean hotel with colonial-style architecture. Stunning hill and sea views,spacious rooms, top-notch hospitality. Rent a car to explore Malaysia at your own pace. Use buses, trains, and more to get around. A reliable Taxi Service transport you to anywhere.",
+            "highlights": [
+                "Malaysia Hotels and Places to Stay",
+                "Sunway Putra Hotel",
+                "The Danna Langkawi",
+                "The Taaras Beach & Spa Resort",
+                "Transportation",
+                "Car Rentals",
+                "Public Transport Guideline",
+                "Kuala Lumpur Transport Map",
+                "Taxi Booking",
+                "Things To Do",
+                "Petronas Twin Towers",
+                "Escape Penang"
+            ],
+            "tags": []
+        }
+    ],
+    "posts": [
+        {
+            "id": "default_post_1",
+            "postId": "1",
+            "title": "My Adventure at Batu Caves: A Perfect Blend of Spirituality and Thrill",
+            "category": "adventure",
+            "author": "Thomas",
+            "date": "Aug 16, 2024",
+            "excerpt": "As I set out for Batu Caves, just 13 kilometers north of Kuala Lumpur, I could feel the excitement building...",
+            "tags": [
+                "BatuCaves",
+                "KualaLumpur",
+                "Adventure"
+            ],
+            "image": "XinEn/blogvideophoto/default11.jpg"
+        },
+        {
+            "id": "default_post_2",
+            "postId": "2",
+            "title": "Conquering Heights: The Gravityz Rope Course Challenge",
+            "category": "adventure",
+            "author": "Jasmine",
+            "date": "Jun 17, 2024",
+            "excerpt": "When I heard about The Gravityz Rope Course Challenge in Pulau Pinang, I knew I had to experience it...",
+            "tags": [
+                "Penang",
+                "ExtremeSports"
+            ],
+            "image": "XinEn/blogvideophoto/defaultpost2.jpg"
+        },
+        {
+            "id": "default_post_3",
+            "postId": "3",
+            "title": "Skydiving in Paradise: Beach Landing Adventure",
+            "category": "adventure",
+            "author": "Jerry",
+            "date": "Aug 10, 2024",
+            "excerpt": "Known for its breathtaking beach landings, Malaysia promised a skydiving experience unlike any other...",
+            "tags": [
+                "Skydiving",
+                "Langkawi"
+            ],
+            "image": "XinEn/blogvideophoto/skydivingdefault3.jpg"
+        },
+        {
+            "id": "default_post_4",
+            "postId": "4",
+            "title": "The Canopy Walk: A Walk Among the Trees",
+            "category": "nature",
+            "author": "Tom",
+            "date": "May 6, 2024",
+            "excerpt": "One of the most exhilarating experiences in Taman Negara is walking on the world's longest canopy walkway...",
+            "tags": [
+                "TamanNegara",
+                "Nature"
+            ],
+            "image": "XinEn/blogvideophoto/defaultpost4.jpeg"
+        },
+        {
+            "id": "default_post_5",
+            "postId": "5",
+            "title": "Exploring Malacca: A Journey Through Malaysia's Rich Heritage",
+            "category": "culture",
+            "author": "Sarah",
+            "date": "Sep 15, 2024",
+            "excerpt": "Walking through the historic streets of Malacca feels like stepping back in time. The UNESCO World Heritage site offers a fascinating blend of Portuguese, Dutch, and British colonial architecture that tells the story of Malaysia's diverse cultural heritage...",
+            "tags": [
+                "Malacca",
+                "Heritage",
+                "Culture",
+                "UNESCO"
+            ],
+            "image": "XinEn/blogvideophoto/culture1.jpg"
+        },
+        {
+            "id": "default_post_11",
+            "postId": "11",
+            "title": "Street Food Paradise: A Culinary Journey Through Malaysia",
+            "category": "food",
+            "author": "Priya",
+            "date": "Oct 28, 2024",
+            "excerpt": "Malaysia's street food scene is a melting pot of flavors that reflects the country's multicultural heritage. From spicy laksa to savory char kway teow, every hawker stall tells a story of tradition and innovation. The bustling night markets come alive with aromatic spices and sizzling woks...",
+            "tags": [
+                "StreetFood",
+                "Laksa",
+                "HawkerStalls",
+                "Food"
+            ],
+            "image": "XinEn/blogvideophoto/food1.png"
+        }
+    ],
+    "media": [
+        {
+            "id": "default_photo_1",
+            "title": "Petronas Twin Towers",
+            "type": "photo",
+            "category": "culture",
+            "description": "Iconic twin towers illuminated at night in Kuala Lumpur",
+            "location": "Kuala Lumpur",
+            "tags": [
+                "kualalumpur",
+                "towers",
+                "night",
+                "cityscape"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1596422846543-75c6fc197f07?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_photo_2",
+            "title": "Mount Kinabalu Peak",
+            "type": "photo",
+            "category": "nature",
+            "description": "Sunrise view from Malaysia's highest peak in Sabah",
+            "location": "Sabah",
+            "tags": [
+                "mountain",
+                "sunrise",
+                "sabah",
+                "hiking"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1571019613454-1cb2f99b2d8b?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_photo_3",
+            "title": "Langkawi Beach Paradise",
+            "type": "photo",
+            "category": "nature",
+            "description": "Crystal clear waters and pristine beaches of Langkawi",
+            "location": "Langkawi",
+            "tags": [
+                "beach",
+                "langkawi",
+                "tropical",
+                "paradise"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1571003123894-1f0594d2b5d9?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_photo_4",
+            "title": "Traditional Nasi Lemak",
+            "type": "photo",
+            "category": "food",
+            "description": "Malaysia's national dish served with traditional accompaniments",
+            "location": "Kuala Lumpur",
+            "tags": [
+                "food",
+                "nasilemak",
+                "traditional",
+                "malaysian"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1565299624946-b28f40a0ca4b?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_photo_5",
+            "title": "Georgetown Street Art",
+            "type": "photo",
+            "category": "culture",
+            "description": "Famous street murals in Penang's heritage district",
+            "location": "Penang",
+            "tags": [
+                "streetart",
+                "penang",
+                "heritage",
+                "culture"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1518109268916-cfb4e9609b9d?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_photo_6",
+            "title": "Cameron Highlands Tea",
+            "type": "photo",
+            "category": "nature",
+            "description": "Rolling tea plantations in the cool highlands",
+            "location": "Cameron Highlands",
+            "tags": [
+                "tea",
+                "highlands",
+                "plantation",
+                "green"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1556909114-f6e7ad7d3136?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_photo_7",
+            "title": "Batu Caves Temple",
+            "type": "photo",
+            "category": "culture",
+            "description": "Famous Hindu temple and cultural landmark",
+            "location": "Selangor",
+            "tags": [
+                "temple",
+                "culture",
+                "limestone",
+                "hindu"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_photo_8",
+            "title": "Taman Negara Rainforest",
+            "type": "photo",
+            "category": "nature",
+            "description": "Ancient rainforest with diverse wildlife",
+            "location": "Pahang",
+            "tags": [
+                "rainforest",
+                "wildlife",
+                "nature",
+                "jungle"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1441974231531-c6227db76b6e?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_photo_9",
+            "title": "Penang Hill View",
+            "type": "photo",
+            "category": "nature",
+            "description": "Panoramic view from Penang Hill",
+            "location": "Penang",
+            "tags": [
+                "hill",
+                "view",
+                "penang",
+                "panoramic"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_video_1",
+            "title": "Kinabalu Sunrise Timelapse",
+            "type": "video",
+            "category": "nature",
+            "description": "Beautiful sunrise timelapse from Mount Kinabalu summit",
+            "location": "Sabah",
+            "tags": [
+                "mountain",
+                "sunrise",
+                "timelapse",
+                "sabah"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1571019613454-1cb2f99b2d8b?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_video_2",
+            "title": "Street Food Tour KL",
+            "type": "video",
+            "category": "food",
+            "description": "Exploring the vibrant street food scene in Kuala Lumpur",
+            "location": "Kuala Lumpur",
+            "tags": [
+                "food",
+                "streetfood",
+                "kualalumpur",
+                "tour"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1565299624946-b28f40a0ca4b?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_video_3",
+            "title": "Langkawi Cable Car",
+            "type": "video",
+            "category": "adventure",
+            "description": "Thrilling cable car ride with stunning views of Langkawi",
+            "location": "Langkawi",
+            "tags": [
+                "adventure",
+                "langkawi",
+                "cablecar",
+                "views"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1571003123894-1f0594d2b5d9?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_video_4",
+            "title": "Traditional Dance Performance",
+            "type": "video",
+            "category": "culture",
+            "description": "Traditional Malaysian dance performance",
+            "location": "Kuala Lumpur",
+            "tags": [
+                "culture",
+                "dance",
+                "traditional",
+                "performance"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1518109268916-cfb4e9609b9d?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_video_5",
+            "title": "Scuba Diving Sipadan",
+            "type": "video",
+            "category": "adventure",
+            "description": "Underwater adventure at Sipadan Island",
+            "location": "Sabah",
+            "tags": [
+                "diving",
+                "underwater",
+                "sipadan",
+                "adventure"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1571003123894-1f0594d2b5d9?w=500&h=600&fit=crop"
+        },
+        {
+            "id": "default_video_6",
+            "title": "Mangrove Forest Tour",
+            "type": "video",
+            "category": "nature",
+            "description": "Exploring the mangrove forests of Malaysia",
+            "location": "Langkawi",
+            "tags": [
+                "mangrove",
+                "nature",
+                "boat",
+                "tour"
+            ],
+            "thumbnail": "https://images.unsplash.com/photo-1441974231531-c6227db76b6e?w=500&h=600&fit=crop"
+        }
+    ]
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SITE_SEARCH_DATA };
+}
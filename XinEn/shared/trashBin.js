@@ -0,0 +1,64 @@
+// Soft-delete bookkeeping shared by the gallery and the blog.
+// Deleted items are wrapped in a trash entry and kept until restored, purged, or past the retention period.
+class TrashBin {
+    constructor(options = {}) {
+        this.retentionDays = options.retentionDays || 30; // How long deleted items are kept before automatic purge
+        this.i18n = options.i18n || null; // I18n used to word describeExpiry; English without one
+    }
+
+    /**
+     * Wrap a deleted item in a trash entry
+     * @param {Object} item - Item being deleted (must have an id)
+     * @returns {{id: string, item: Object, deletedAt: string}} Trash entry
+     */
+    createEntry(item) {
+        return { id: item.id, item, deletedAt: new Date().toISOString() };
+    }
+
+    /**
+     * When an entry will be purged automatically
+     * @param {Object} entry - Trash entry
+     * @returns {Date} Purge date
+     */
+    getExpiryDate(entry) {
+        return new Date(new Date(entry.deletedAt).getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return this.getExpiryDate(entry).getTime() <= now;
+    }
+
+    /**
+     * Split entries into those still within the retention period and those due for purge
+     * @param {Array<Object>} entries - Trash entries
+     * @returns {{kept: Array<Object>, expired: Array<Object>}} Partitioned entries
+     */
+    partition(entries) {
+        const now = Date.now();
+        return {
+            kept: entries.filter(entry => !this.isExpired(entry, now)),
+            expired: entries.filter(entry => this.isExpired(entry, now))
+        };
+    }
+
+    /**
+     * Human readable time until an entry is purged
+     * @param {Object} entry - Trash entry
+     * @returns {string} e.g. "Deleted forever in 12 days"
+     */
+    describeExpiry(entry) {
+        let days = Math.ceil((this.getExpiryDate(entry).getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+        if (days <= 1) days = 0; // Worded as "within a day"
+        if (this.i18n) {
+            return this.i18n.format('trash-expires', { days },
+                '{days, plural, =0 {Deleted forever within a day} one {Deleted forever in # day} other {Deleted forever in # days}}');
+        }
+        if (days === 0) return 'Deleted forever within a day';
+        return `Deleted forever in ${days} days`;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrashBin };
+}
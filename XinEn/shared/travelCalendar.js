@@ -0,0 +1,169 @@
+// Seasonal data for the best-time advisor: monsoon seasons by region, public holidays and school holidays.
+// Update the dated lists each year from the official announcements; lunar holidays move every year.
+const MALAYSIA_TRAVEL_CALENDAR = {
+    // Weather region of each state in MALAYSIA_PLACES
+    stateRegions: {
+        'Perlis': 'northWest',
+        'Kedah': 'northWest',
+        'Penang': 'northWest',
+        'Perak': 'westCoast',
+        'Selangor': 'westCoast',
+        'Kuala Lumpur': 'westCoast',
+        'Putrajaya': 'westCoast',
+        'Negeri Sembilan': 'westCoast',
+        'Melaka': 'westCoast',
+        'Johor': 'south',
+        'Kelantan': 'eastCoast',
+        'Terengganu': 'eastCoast',
+        'Pahang': 'eastCoast',
+        'Sabah': 'sabah',
+        'Labuan': 'sabah',
+        'Sarawak': 'sarawak'
+    },
+
+    // Places whose weather follows a different region from the rest of their state
+    placeRegions: {
+        'Genting SkyWorlds': 'highlands',
+        'Cameron Highlands': 'highlands'
+    },
+
+    // Seasons as month-day ranges (a range may wrap past New Year). rain is 0 (dry) to 1 (wettest, disruptive).
+    regions: {
+        westCoast: {
+            name: 'West coast of the Peninsula',
+            seasons: [
+                { from: '12-01', to: '03-31', rain: 0.3, label: 'Northeast monsoon: mostly fine with passing showers' },
+                { from: '04-01', to: '05-31', rain: 0.5, label: 'Inter-monsoon: heavy afternoon thunderstorms' },
+                { from: '06-01', to: '09-30', rain: 0.15, label: 'Southwest monsoon: driest months, occasional haze' },
+                { from: '10-01', to: '11-30', rain: 0.65, label: 'Inter-monsoon: wettest months, afternoon storms and flash floods' }
+            ]
+        },
+        northWest: {
+            name: 'Penang, Kedah and Langkawi',
+            seasons: [
+                { from: '12-01', to: '03-31', rain: 0.05, label: 'Dry season: calm seas and sunshine' },
+                { from: '04-01', to: '07-31', rain: 0.4, label: 'Inter-monsoon: afternoon showers' },
+                { from: '08-01', to: '10-31', rain: 0.7, label: 'Southwest monsoon: wettest months, rough seas' },
+                { from: '11-01', to: '11-30', rain: 0.45, label: 'End of the rains' }
+            ]
+        },
+        eastCoast: {
+            name: 'East coast of the Peninsula',
+            seasons: [
+                { from: '11-01', to: '02-28', rain: 0.95, label: 'Northeast monsoon: heavy rain, floods and island resorts closed' },
+                { from: '03-01', to: '03-31', rain: 0.45, label: 'Monsoon easing: islands reopening' },
+                { from: '04-01', to: '10-31', rain: 0.15, label: 'Dry season: best for islands and beaches' }
+            ]
+        },
+        south: {
+            name: 'Johor',
+            seasons: [
+                { from: '11-01', to: '01-31', rain: 0.6, label: 'Northeast monsoon: frequent heavy rain' },
+                { from: '02-01', to: '03-31', rain: 0.3, label: 'Drier spell' },
+                { from: '04-01', to: '05-31', rain: 0.4, label: 'Inter-monsoon: afternoon thunderstorms' },
+                { from: '06-01', to: '10-31', rain: 0.3, label: 'Southwest monsoon: mostly fine' }
+            ]
+        },
+        highlands: {
+            name: 'Highlands',
+            seasons: [
+                { from: '01-01', to: '03-31', rain: 0.3, label: 'Cool and mostly dry' },
+                { from: '04-01', to: '05-31', rain: 0.55, label: 'Inter-monsoon: misty, rainy afternoons' },
+                { from: '06-01', to: '09-30', rain: 0.35, label: 'Cool with occasional showers' },
+                { from: '10-01', to: '12-31', rain: 0.65, label: 'Wettest months: fog and landslide closures possible' }
+            ]
+        },
+        sabah: {
+            name: 'Sabah',
+            seasons: [
+                { from: '11-01', to: '02-28', rain: 0.7, label: 'Northeast monsoon: heaviest rain, slippery trails' },
+                { from: '03-01', to: '04-30', rain: 0.3, label: 'Drier months: clear summit mornings' },
+                { from: '05-01', to: '09-30', rain: 0.2, label: 'Best months for climbing and diving' },
+                { from: '10-01', to: '10-31', rain: 0.45, label: 'Rains returning' }
+            ]
+        },
+        sarawak: {
+            name: 'Sarawak',
+            seasons: [
+                { from: '12-01', to: '02-28', rain: 0.8, label: 'Northeast monsoon: heavy rain and river flooding' },
+                { from: '03-01', to: '03-31', rain: 0.45, label: 'Monsoon easing' },
+                { from: '04-01', to: '09-30', rain: 0.25, label: 'Drier months' },
+                { from: '10-01', to: '11-30', rain: 0.5, label: 'Inter-monsoon: frequent showers' }
+            ]
+        }
+    },
+
+    // National holidays on the same date every year (month-day)
+    fixedHolidays: [
+        { date: '01-01', name: 'New Year\'s Day' },
+        { date: '05-01', name: 'Labour Day' },
+        { date: '08-31', name: 'National Day (Merdeka)' },
+        { date: '09-16', name: 'Malaysia Day' },
+        { date: '12-25', name: 'Christmas Day' }
+    ],
+
+    // Holidays that move with the lunar calendars; 2027 dates are the expected ones until they are gazetted
+    publicHolidays: {
+        2025: [
+            { from: '2025-01-29', to: '2025-01-30', name: 'Chinese New Year' },
+            { from: '2025-02-11', to: '2025-02-11', name: 'Thaipusam' },
+            { from: '2025-03-31', to: '2025-04-01', name: 'Hari Raya Aidilfitri' },
+            { from: '2025-05-12', to: '2025-05-12', name: 'Wesak Day' },
+            { from: '2025-06-02', to: '2025-06-02', name: 'Agong\'s Birthday' },
+            { from: '2025-06-07', to: '2025-06-07', name: 'Hari Raya Haji' },
+            { from: '2025-06-27', to: '2025-06-27', name: 'Awal Muharram' },
+            { from: '2025-09-05', to: '2025-09-05', name: 'Maulidur Rasul' },
+            { from: '2025-10-20', to: '2025-10-20', name: 'Deepavali' }
+        ],
+        2026: [
+            { from: '2026-02-01', to: '2026-02-01', name: 'Thaipusam' },
+            { from: '2026-02-17', to: '2026-02-18', name: 'Chinese New Year' },
+            { from: '2026-03-21', to: '2026-03-22', name: 'Hari Raya Aidilfitri' },
+            { from: '2026-05-27', to: '2026-05-27', name: 'Hari Raya Haji' },
+            { from: '2026-05-31', to: '2026-05-31', name: 'Wesak Day' },
+            { from: '2026-06-01', to: '2026-06-01', name: 'Agong\'s Birthday' },
+            { from: '2026-06-17', to: '2026-06-17', name: 'Awal Muharram' },
+            { from: '2026-08-26', to: '2026-08-26', name: 'Maulidur Rasul' },
+            { from: '2026-11-08', to: '2026-11-08', name: 'Deepavali' }
+        ],
+        2027: [
+            { from: '2027-01-22', to: '2027-01-22', name: 'Thaipusam' },
+            { from: '2027-02-06', to: '2027-02-07', name: 'Chinese New Year' },
+            { from: '2027-03-10', to: '2027-03-11', name: 'Hari Raya Aidilfitri' },
+            { from: '2027-05-17', to: '2027-05-17', name: 'Hari Raya Haji' },
+            { from: '2027-05-20', to: '2027-05-20', name: 'Wesak Day' },
+            { from: '2027-06-07', to: '2027-06-07', name: 'Agong\'s Birthday' },
+            { from: '2027-06-07', to: '2027-06-07', name: 'Awal Muharram' },
+            { from: '2027-08-15', to: '2027-08-15', name: 'Maulidur Rasul' },
+            { from: '2027-10-28', to: '2027-10-28', name: 'Deepavali' }
+        ]
+    },
+
+    // School holidays for Group B states (most of the country; Kedah, Kelantan and Terengganu differ by a day).
+    // 2027 dates are the expected ones until the Ministry of Education publishes that year's calendar
+    schoolHolidays: {
+        2025: [
+            { from: '2025-03-29', to: '2025-04-06', name: 'First term break' },
+            { from: '2025-05-29', to: '2025-06-09', name: 'Mid-year holidays' },
+            { from: '2025-09-13', to: '2025-09-21', name: 'Second term break' },
+            { from: '2025-12-20', to: '2026-01-11', name: 'Year-end holidays' }
+        ],
+        2026: [
+            { from: '2026-03-20', to: '2026-03-28', name: 'First term break' },
+            { from: '2026-05-23', to: '2026-06-07', name: 'Mid-year holidays' },
+            { from: '2026-08-29', to: '2026-09-06', name: 'Second term break' },
+            { from: '2026-12-05', to: '2027-01-03', name: 'Year-end holidays' }
+        ],
+        2027: [
+            { from: '2027-03-06', to: '2027-03-14', name: 'First term break' },
+            { from: '2027-05-29', to: '2027-06-13', name: 'Mid-year holidays' },
+            { from: '2027-08-28', to: '2027-09-05', name: 'Second term break' },
+            { from: '2027-12-04', to: '2028-01-02', name: 'Year-end holidays' }
+        ]
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MALAYSIA_TRAVEL_CALENDAR };
+}
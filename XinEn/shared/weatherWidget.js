@@ -0,0 +1,226 @@
+// Weather block in the nav of every page: current conditions and a 5-day forecast for the place the page is about.
+// Markup: <div class="weather" data-place="Mount Kinabalu"><h3>Sabah</h3></div>
+// data-place is an attraction or state name from MALAYSIA_PLACES; the <h3> is the label shown to visitors.
+// Requests go through the API proxy and are cached in localStorage, so moving between pages reuses them.
+class WeatherWidget {
+    /**
+     * @param {HTMLElement} container - The .weather element
+     * @param {Object} options
+     * @param {string} [options.proxyURL] - API proxy root (defaults to API_PROXY_URL)
+     * @param {number} [options.cacheMinutes] - How long fetched weather is reused
+     * @param {I18n} [options.i18n] - Messages and day names in the visitor's language (defaults to window.i18n)
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.proxyURL = options.proxyURL || API_PROXY_URL;
+        this.cacheMinutes = options.cacheMinutes || 30;
+        this.i18n = options.i18n || window.i18n || new I18n();
+        this.cacheKey = 'weatherCache';
+        this.unitsKey = 'weatherUnits';
+        this.forecastDays = 5;
+        this.place = this.findPlace(container.dataset.place || 'Kuala Lumpur');
+        this.label = (container.querySelector('h3') || {}).textContent || this.place.name;
+        this.units = localStorage.getItem(this.unitsKey) === 'imperial' ? 'imperial' : 'metric';
+        this.weather = null; // { current, forecast } once loaded
+        this.error = null;
+    }
+
+    /**
+     * Look up coordinates for a place name
+     * @param {string} name - Attraction or state name from MALAYSIA_PLACES
+     * @returns {{name: string, lat: number, lng: number}} Place (Kuala Lumpur if the name is unknown)
+     */
+    findPlace(name) {
+        const wanted = name.toLowerCase();
+        const attraction = MALAYSIA_PLACES.attractions.find(place => place.name.toLowerCase() === wanted);
+        if (attraction) return { name: attraction.name, lat: attraction.lat, lng: attraction.lng };
+
+        // States only have bounding boxes, so use the middle of the box
+        const state = MALAYSIA_PLACES.states.find(place => place.name.toLowerCase() === wanted)
+            || MALAYSIA_PLACES.states.find(place => place.name === 'Kuala Lumpur');
+        const [south, north, west, east] = state.bounds;
+        return { name: state.name, lat: (south + north) / 2, lng: (west + east) / 2 };
+    }
+
+    // Fetch (or reuse) the weather and render it
+    async load() {
+        document.addEventListener('languagechanged', () => this.render());
+        this.render();
+        try {
+            this.weather = this.readCache() || await this.fetchWeather();
+            this.error = null;
+        } catch (error) {
+            console.warn(`Weather unavailable for ${this.place.name}:`, error);
+            this.error = error;
+        }
+        this.render();
+    }
+
+    readCache() {
+        try {
+            const cache = JSON.parse(localStorage.getItem(this.cacheKey)) || {};
+            const entry = cache[this.place.name];
+            if (entry && Date.now() - entry.fetchedAt < this.cacheMinutes * 60 * 1000) return entry;
+        } catch (error) {
+            console.warn('Ignoring unreadable weather cache:', error);
+        }
+        return null;
+    }
+
+    writeCache(weather) {
+        try {
+            const cache = JSON.parse(localStorage.getItem(this.cacheKey)) || {};
+            // Drop entries nobody will reuse any more so the cache doesn't grow with every page visited
+            Object.keys(cache).forEach(name => {
+                if (Date.now() - cache[name].fetchedAt >= this.cacheMinutes * 60 * 1000) delete cache[name];
+            });
+            cache[this.place.name] = weather;
+            localStorage.setItem(this.cacheKey, JSON.stringify(cache));
+        } catch (error) {
+            console.warn('Could not cache weather:', error);
+        }
+    }
+
+    /**
+     * Request current weather and the forecast from the API proxy
+     * @returns {Promise<{current: Object, forecast: Array<Object>, fetchedAt: number}>} Weather in °C
+     */
+    async fetchWeather() {
+        const query = `lat=${this.place.lat}&lon=${this.place.lng}&units=metric`;
+        const [current, forecast] = await Promise.all([
+            this.getJSON(`${this.proxyURL}/api/weather?${query}`),
+            this.getJSON(`${this.proxyURL}/api/forecast?${query}`)
+        ]);
+
+        const weather = {
+            current: {
+                temp: current.main.temp,
+                description: current.weather[0].description,
+                icon: current.weather[0].icon
+            },
+            forecast: this.summarizeForecast(forecast),
+            fetchedAt: Date.now()
+        };
+        this.writeCache(weather);
+        return weather;
+    }
+
+    async getJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+    }
+
+    /**
+     * Collapse the 3-hourly forecast into one entry per local day
+     * @param {Object} forecast - OpenWeatherMap /forecast response
+     * @returns {Array<{date: string, min: number, max: number, icon: string, description: string}>} Up to forecastDays days
+     */
+    summarizeForecast(forecast) {
+        const offset = (forecast.city && forecast.city.timezone) || 0; // Seconds from UTC at the place
+        const days = new Map();
+
+        forecast.list.forEach(entry => {
+            const local = new Date((entry.dt + offset) * 1000);
+            const date = local.toISOString().slice(0, 10);
+            if (!days.has(date)) days.set(date, { date, min: Infinity, max: -Infinity, entries: [] });
+            const day = days.get(date);
+            day.min = Math.min(day.min, entry.main.temp_min);
+            day.max = Math.max(day.max, entry.main.temp_max);
+            day.entries.push({ hour: local.getUTCHours(), weather: entry.weather[0] });
+        });
+
+        return [...days.values()].slice(0, this.forecastDays).map(day => {
+            // The reading closest to midday best describes the day
+            const midday = day.entries.reduce((best, entry) => Math.abs(entry.hour - 12) < Math.abs(best.hour - 12) ? entry : best);
+            return {
+                date: day.date,
+                min: day.min,
+                max: day.max,
+                icon: midday.weather.icon.replace(/n$/, 'd'),
+                description: midday.weather.description
+            };
+        });
+    }
+
+    /**
+     * Format a °C temperature in the chosen units
+     * @param {number} celsius - Temperature in °C
+     * @param {boolean} withUnit - Append °C/°F rather than just °
+     * @returns {string} e.g. "31°C" or "88°"
+     */
+    formatTemp(celsius, withUnit = true) {
+        const value = this.units === 'imperial' ? celsius * 9 / 5 + 32 : celsius;
+        return `${this.i18n.formatNumber(Math.round(value))}°${withUnit ? (this.units === 'imperial' ? 'F' : 'C') : ''}`;
+    }
+
+    formatDay(date) {
+        return this.i18n.formatDate(`${date}T00:00:00Z`, { weekday: 'short', timeZone: 'UTC' });
+    }
+
+    iconURL(icon) {
+        return `https://openweathermap.org/img/wn/${encodeURIComponent(icon)}@2x.png`;
+    }
+
+    toggleUnits() {
+        this.units = this.units === 'metric' ? 'imperial' : 'metric';
+        localStorage.setItem(this.unitsKey, this.units);
+        this.render();
+    }
+
+    render() {
+        const label = `<h3>${escapeHtml(this.label)}</h3>`;
+        if (!this.weather) {
+            this.container.innerHTML = `${label}<p class="weather-condition">${this.error
+                ? this.i18n.t('weather-unavailable', 'Weather unavailable')
+                : this.i18n.t('weather-loading', 'Loading weather...')}</p>`;
+            return;
+        }
+
+        const { current, forecast } = this.weather;
+        const otherUnit = this.units === 'metric' ? '°F' : '°C';
+        const unitHint = this.i18n.format('weather-show-unit', { unit: otherUnit }, 'Show temperatures in {unit}');
+        const forecastOpen = this.container.querySelector('.weather-forecast:not([hidden])') !== null;
+        this.container.innerHTML = `
+            ${label}
+            <div class="weather-now">
+                <img src="${this.iconURL(current.icon)}" alt="" width="40" height="40">
+                <p class="weather-temp">${this.formatTemp(current.temp)}</p>
+                <button type="button" class="weather-unit-toggle" title="${unitHint}" aria-label="${unitHint}">${otherUnit}</button>
+            </div>
+            <p class="weather-condition">${escapeHtml(current.description)}</p>
+            <button type="button" class="weather-forecast-toggle" aria-expanded="${forecastOpen}">${this.i18n.format('weather-forecast', { days: this.forecastDays }, '{days, number}-day forecast')}</button>
+            <ol class="weather-forecast"${forecastOpen ? '' : ' hidden'}>
+                ${forecast.map(day => `
+                    <li title="${escapeHtml(day.description)}">
+                        <span class="weather-day">${this.formatDay(day.date)}</span>
+                        <img src="${this.iconURL(day.icon)}" alt="${escapeHtml(day.description)}" width="32" height="32">
+                        <span class="weather-range">${this.formatTemp(day.max, false)} / ${this.formatTemp(day.min, false)}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+
+        this.container.querySelector('.weather-unit-toggle').addEventListener('click', () => this.toggleUnits());
+        this.container.querySelector('.weather-forecast-toggle').addEventListener('click', (e) => {
+            const list = this.container.querySelector('.weather-forecast');
+            list.hidden = !list.hidden;
+            e.currentTarget.setAttribute('aria-expanded', String(!list.hidden));
+        });
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.weatherWidgets = [...document.querySelectorAll('.weather[data-place]')].map(container => {
+            const widget = new WeatherWidget(container);
+            widget.load();
+            return widget;
+        });
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WeatherWidget };
+}
@@ -0,0 +1,177 @@
+// Builds XinEn/shared/siteSearchData.js, the prebuilt data behind the site-wide search box.
+// Collects every page's title, overview and highlights, the default blog posts in blog.html
+// and the default gallery items in gallery.js.
+// Usage: node XinEn/tools/buildSiteSearchIndex.js  (re-run after changing any of those)
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const OUTPUT = path.join(ROOT, 'XinEn', 'shared', 'siteSearchData.js');
+const SKIPPED_PAGES = ['indexblog.html']; // Unlinked draft page
+const CATEGORY_PAGES = {
+    'heritage&culture.html': 'Heritage & Culture',
+    'adventure&entertainment.html': 'Adventure & Entertainment',
+    'ecoNature.html': 'Eco & Nature',
+    'shopPing2.html': 'Shopping'
+};
+const OVERVIEW_LENGTH = 600; // Characters of body text kept for pages without an overview section
+
+function readFile(name) {
+    return fs.readFileSync(path.join(ROOT, name), 'utf8');
+}
+
+/**
+ * Plain text of an HTML fragment
+ * @param {string} html - HTML fragment
+ * @returns {string} Text with tags removed, common entities decoded and whitespace collapsed
+ */
+function textOf(html) {
+    return html
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<br\s*\/?>|<\/br>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&rsquo;/g, '\'')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function matchText(html, pattern) {
+    const match = html.match(pattern);
+    return match ? textOf(match[1]) : '';
+}
+
+function allMatches(html, pattern) {
+    return [...html.matchAll(pattern)].map(match => textOf(match[1])).filter(text => text);
+}
+
+// Attraction page -> the category page that links to it
+function findPageCategories() {
+    const categories = {};
+    Object.entries(CATEGORY_PAGES).forEach(([file, category]) => {
+        const html = readFile(file);
+        [...html.matchAll(/href="([A-Za-z]+\.html)"/g)].forEach(([, linked]) => {
+            if (!CATEGORY_PAGES[linked] && !categories[linked]) categories[linked] = category;
+        });
+    });
+    return categories;
+}
+
+/**
+ * Title, overview and highlights of every top-level page
+ * @returns {Array<Object>} Page records
+ */
+function collectPages() {
+    const categories = findPageCategories();
+
+    return fs.readdirSync(ROOT)
+        .filter(file => file.endsWith('.html') && !SKIPPED_PAGES.includes(file))
+        .sort()
+        .map(file => {
+            const html = readFile(file);
+            // Every page repeats the nav (with its weather widget) and footer, so leave them out
+            const body = html.slice(Math.max(0, html.search(/<body/i)))
+                .replace(/<nav[\s\S]*?<\/nav>/gi, ' ')
+                .replace(/<footer[\s\S]*?<\/footer>/gi, ' ');
+            const title = matchText(html, /class="(?:aNe_details_text|hNc_details-title)">\s*<h1>([\s\S]*?)<\/h1>/)
+                || CATEGORY_PAGES[file]
+                || matchText(html, /<title>([\s\S]*?)<\/title>/i);
+
+            // Attraction pages have an overview plus a highlights list (adventure) or a historical timeline (heritage);
+            // other pages fall back to their headings and opening paragraphs
+            const overviewText = matchText(html, /id="overview-text"[^>]*>([\s\S]*?)<\/p>/);
+            const highlightsBlock = (html.match(/class="aNe_attraction_overview_highlights">([\s\S]*?)<\/ul>/) || [])[1] || '';
+            const timeline = [...html.matchAll(/class="hNc_timeline_date">([\s\S]*?)<\/div>\s*<div class="hNc_timeline_content">([\s\S]*?)<\/div>/g)]
+                .map(([, date, content]) => `${textOf(date)}: ${textOf(content)}`);
+            let highlights;
+            if (highlightsBlock) {
+                highlights = allMatches(highlightsBlock, /<li>([\s\S]*?)<\/li>/g);
+            } else if (timeline.length > 0) {
+                highlights = timeline;
+            } else {
+                highlights = allMatches(body, /<h[23][^>]*>([\s\S]*?)<\/h[23]>/g).slice(0, 12);
+            }
+            const overview = overviewText
+                || allMatches(body, /<p[^>]*>([\s\S]*?)<\/p>/g).filter(text => text.length > 40).join(' ').slice(0, OVERVIEW_LENGTH);
+
+            return {
+                id: `page_${file.replace(/\.html$/, '')}`,
+                url: file,
+                title,
+                category: (overviewText && categories[file]) || CATEGORY_PAGES[file] || '',
+                overview,
+                highlights,
+                tags: allMatches(highlightsBlock, /<b>([\s\S]*?)<\/b>/g).map(tag => tag.replace(/:$/, ''))
+            };
+        })
+        .filter(page => page.title);
+}
+
+// Default posts hard-coded in blog.html's #defaultPostsContainer
+function collectDefaultPosts() {
+    const html = readFile('blog.html');
+    const container = html.slice(html.indexOf('id="defaultPostsContainer"'));
+
+    return [...container.matchAll(/<article class="blog-post" data-category="([^"]*)" data-id="([^"]*)">([\s\S]*?)<\/article>/g)]
+        .map(([, category, id, article]) => ({
+            id: `default_post_${id}`,
+            postId: id,
+            title: matchText(article, /<h3>([\s\S]*?)<\/h3>/),
+            category,
+            author: matchText(article, /<div class="post-meta">\s*<span>([\s\S]*?)<\/span>/),
+            date: matchText(article, /<div class="post-date">([\s\S]*?)<\/div>/),
+            excerpt: matchText(article, /<p class="post-excerpt">([\s\S]*?)<\/p>/),
+            tags: allMatches(article, /<span class="tag">([\s\S]*?)<\/span>/g).map(tag => tag.replace(/^#/, '')),
+            image: (article.match(/<img src="([^"]*)"/) || [])[1] || ''
+        }));
+}
+
+// Default gallery items, taken from GalleryManager.loadDefaultContent so they never drift from the gallery
+function collectDefaultMedia() {
+    const context = vm.createContext({
+        console,
+        document: { addEventListener() {} },
+        window: {}
+    });
+    const GalleryManager = vm.runInContext(`${readFile('gallery.js')}\n;GalleryManager`, context);
+    const defaults = { views: {}, likes: {} }; // loadDefaultContent applies saved stats from these
+    GalleryManager.prototype.loadDefaultContent.call(defaults);
+
+    return [...defaults.defaultPhotos, ...defaults.defaultVideos].map(item => ({
+        id: item.id,
+        title: item.title,
+        type: item.type,
+        category: item.category,
+        description: item.description,
+        location: item.location,
+        tags: item.tags,
+        thumbnail: item.thumbnail || item.url
+    }));
+}
+
+function build() {
+    const data = {
+        pages: collectPages(),
+        posts: collectDefaultPosts(),
+        media: collectDefaultMedia()
+    };
+
+    const output = `// Generated by XinEn/tools/buildSiteSearchIndex.js - do not edit by hand.
+// Re-run \`node XinEn/tools/buildSiteSearchIndex.js\` after changing page content, default blog posts or default gallery items.
+const SITE_SEARCH_DATA = ${JSON.stringify(data, null, 4)};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SITE_SEARCH_DATA };
+}
+`;
+    fs.writeFileSync(OUTPUT, output);
+    console.log(`Wrote ${path.relative(ROOT, OUTPUT)}: ${data.pages.length} pages, ${data.posts.length} posts, ${data.media.length} gallery items`);
+}
+
+build();
@@ -0,0 +1,154 @@
+// Translation coverage report for the bundles in XinEn/shared/i18n/.
+// Collects every key the site uses - data-i18n and data-i18n-attr in the pages, i18n.t()/i18n.format() calls in the scripts -
+// and lists, per language, the keys its bundle is missing and the keys nothing uses any more.
+// Also flags elements whose id is a bundle key but that carry no data-i18n, pages with no translatable markup at all,
+// and keys the scripts build at run time (i18n.t(`${theme}-link`)), which it cannot check.
+// Usage: node XinEn/tools/checkTranslations.js [language ...]  (exits with 1 when a bundle is missing keys)
+const fs = require('fs');
+const path = require('path');
+const { I18n } = require('../shared/i18n.js');
+
+const i18n = new I18n(); // For its language list and data-i18n-attr parsing
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const BUNDLE_DIR = path.join(ROOT, 'XinEn', 'shared', 'i18n');
+const SKIPPED_PAGES = ['indexblog.html']; // Unlinked draft page
+const SKIPPED_SCRIPTS = ['siteSearchData.js']; // Generated
+// Script calls that take a bundle key: i18n.t('key'), i18n.format('key', ...), setToggleLabel(button, 'key', ...),
+// and keys kept in objects to translate when drawn, e.g. { key: 'search-type-page', text: 'Page' }
+const SCRIPT_KEY_PATTERNS = [
+    /\bi18n\.(?:t|format)\(\s*'([\w-]+)'/g,
+    /\bsetToggleLabel\([^,]+,\s*'([\w-]+)'/g,
+    /[{,]\s*key:\s*'([\w-]+)'/g
+];
+// Keys put together from a template literal, e.g. i18n.t(`${theme}-link`, ...)
+const DYNAMIC_KEY_PATTERN = /\bi18n\.(?:t|format)\(\s*(`[^`]*\$\{[^`]*`)/g;
+
+function readFile(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// Site-relative paths of the .js files, outside node_modules and this folder
+function listScripts(dir = '') {
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return entry.name === 'node_modules' || entry.name.startsWith('.') || file === path.join('XinEn', 'tools') ? [] : listScripts(file);
+        }
+        return entry.name.endsWith('.js') && !SKIPPED_SCRIPTS.includes(entry.name) ? [file] : [];
+    });
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Keys each page marks for translation, and ids that look like keys but are not marked
+ * @returns {Array<{file: string, keys: Array<string>, ids: Array<string>}>} One record per top-level page
+ */
+function collectPages() {
+    return fs.readdirSync(ROOT)
+        .filter(file => file.endsWith('.html') && !SKIPPED_PAGES.includes(file))
+        .sort()
+        .map(file => {
+            const keys = [];
+            const ids = [];
+            [...readFile(file).matchAll(/<[a-zA-Z][^>]*>/g)].forEach(([tag]) => {
+                const key = attribute(tag, 'data-i18n');
+                if (key) keys.push(key);
+                i18n.parseAttributes(attribute(tag, 'data-i18n-attr')).forEach(([, attrKey]) => keys.push(attrKey));
+                const id = attribute(tag, 'id');
+                if (id && !key) ids.push(id);
+            });
+            return { file, keys, ids };
+        });
+}
+
+// Keys passed to the translation helpers in the scripts, and the ones only known at run time
+function collectScripts() {
+    return listScripts().sort().map(file => {
+        const source = readFile(file);
+        const keys = SCRIPT_KEY_PATTERNS.flatMap(pattern => [...source.matchAll(pattern)].map(match => match[1]));
+        const dynamicKeys = [...source.matchAll(DYNAMIC_KEY_PATTERN)].map(match => match[1]);
+        return { file, keys, dynamicKeys };
+    }).filter(script => script.keys.length > 0 || script.dynamicKeys.length > 0);
+}
+
+// Language code -> bundle contents, for every .json in the bundle folder
+function loadBundles() {
+    const bundles = {};
+    fs.readdirSync(BUNDLE_DIR).filter(file => file.endsWith('.json')).sort().forEach(file => {
+        bundles[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(BUNDLE_DIR, file), 'utf8'));
+    });
+    return bundles;
+}
+
+// "footer-help (blog.html, index.html +18 more)"
+function describeKey(key, files) {
+    const list = [...files];
+    const shown = list.slice(0, 3).join(', ');
+    return `${key} (${shown}${list.length > 3 ? ` +${list.length - 3} more` : ''})`;
+}
+
+function report() {
+    const pages = collectPages();
+    const scripts = collectScripts();
+    const bundles = loadBundles();
+    const languages = i18n.languages;
+    const requested = process.argv.slice(2);
+
+    // Key -> files that use it
+    const used = new Map();
+    [...pages, ...scripts].forEach(({ file, keys }) => {
+        keys.forEach(key => {
+            if (!used.has(key)) used.set(key, new Set());
+            used.get(key).add(file);
+        });
+    });
+
+    console.log(`${used.size} keys used across ${pages.filter(page => page.keys.length > 0).length} pages and ${scripts.length} scripts\n`);
+
+    let incomplete = false;
+    Object.entries(bundles)
+        .filter(([language]) => requested.length === 0 || requested.includes(language))
+        .forEach(([language, bundle]) => {
+            const missing = [...used.keys()].filter(key => !Object.prototype.hasOwnProperty.call(bundle, key)).sort();
+            const unused = Object.keys(bundle).filter(key => !used.has(key)).sort();
+            const name = languages[language] ? `${language} (${languages[language]})` : `${language} (not offered in the language selector)`;
+            if (missing.length > 0) incomplete = true;
+
+            console.log(`${name}: ${Object.keys(bundle).length} keys, ${missing.length} missing, ${unused.length} unused`);
+            missing.forEach(key => console.log(`  missing ${describeKey(key, used.get(key))}`));
+            unused.forEach(key => console.log(`  unused  ${key}`));
+        });
+
+    Object.keys(languages).filter(language => !bundles[language]).forEach(language => {
+        console.log(`${language} (${languages[language]}): no bundle - the selector offers it but every key falls back`);
+        incomplete = true;
+    });
+
+    // Ids named like a key were probably meant to be translated
+    const allKeys = new Set(Object.values(bundles).flatMap(bundle => Object.keys(bundle)));
+    const unmarked = pages
+        .map(page => ({ file: page.file, ids: page.ids.filter(id => allKeys.has(id)) }))
+        .filter(page => page.ids.length > 0);
+    if (unmarked.length > 0) {
+        console.log('\nElements with a key as their id but no data-i18n:');
+        unmarked.forEach(page => console.log(`  ${page.file}: ${page.ids.join(', ')}`));
+    }
+    const dynamic = scripts.filter(script => script.dynamicKeys.length > 0);
+    if (dynamic.length > 0) {
+        console.log('\nKeys built at run time (not checked - make sure every value they can take is in the bundles):');
+        dynamic.forEach(script => console.log(`  ${script.file}: ${script.dynamicKeys.join(', ')}`));
+    }
+    const untranslated = pages.filter(page => page.keys.length === 0).map(page => page.file);
+    if (untranslated.length > 0) {
+        console.log(`\nPages without translatable markup: ${untranslated.join(', ')}`);
+    }
+
+    if (incomplete) process.exitCode = 1;
+}
+
+report();
@@ -0,0 +1,197 @@
+// Day-by-day trip plan built on travelplan.html, saved in localStorage.
+// Items are copies of the option cards they came from (name, type, estimated cost), so a saved plan still
+// reads correctly if the cards on the page change later.
+class Itinerary {
+    /**
+     * @param {Object} options
+     * @param {string} [options.storageKey] - localStorage key
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'travelItinerary';
+        this.version = 1; // Bump when the shape of the saved plan changes
+        this.costUnits = {
+            night: 'per night',
+            day: 'per day',
+            trip: 'per trip',
+            person: 'per person'
+        };
+        this.data = this.load();
+    }
+
+    createEmpty() {
+        return { version: this.version, startDate: null, travellers: 2, days: [{ items: [] }], updatedAt: null };
+    }
+
+    /**
+     * Read the saved plan
+     * @returns {Object} { version, startDate, travellers, days: [{ items }], updatedAt }
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && saved.version === this.version && Array.isArray(saved.days) && saved.days.length > 0) return saved;
+        } catch (error) {
+            console.warn('Ignoring unreadable itinerary:', error);
+        }
+        return this.createEmpty();
+    }
+
+    save() {
+        this.data.updatedAt = new Date().toISOString();
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('Could not save itinerary:', error);
+        }
+    }
+
+    get days() {
+        return this.data.days;
+    }
+
+    generateId() {
+        return `item_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    /**
+     * Date of a day in the plan, if the trip has a start date
+     * @param {number} dayIndex - 0-based day
+     * @returns {string|null} 'YYYY-MM-DD'
+     */
+    dateOfDay(dayIndex) {
+        if (!this.data.startDate) return null;
+        const date = new Date(`${this.data.startDate}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + dayIndex);
+        return date.toISOString().slice(0, 10);
+    }
+
+    setStartDate(startDate) {
+        this.data.startDate = startDate || null;
+        this.save();
+    }
+
+    setTravellers(travellers) {
+        this.data.travellers = Math.max(1, Math.min(50, parseInt(travellers) || 1));
+        this.save();
+    }
+
+    addDay() {
+        this.data.days.push({ items: [] });
+        this.save();
+        return this.data.days.length - 1;
+    }
+
+    // Remove a day and everything planned on it (the plan always keeps at least one day)
+    removeDay(dayIndex) {
+        if (this.data.days.length <= 1) {
+            this.data.days[0].items = [];
+        } else {
+            this.data.days.splice(dayIndex, 1);
+        }
+        this.save();
+    }
+
+    /**
+     * Add a card to a day
+     * @param {Object} card - { cardId, type, name, cost, unit, url }
+     * @param {number} dayIndex - 0-based day
+     * @param {number} [position] - Index within the day (defaults to the end)
+     * @returns {Object} The new item
+     */
+    addItem(card, dayIndex, position) {
+        const item = {
+            id: this.generateId(),
+            cardId: card.cardId,
+            type: card.type,
+            name: card.name,
+            cost: Number(card.cost) || 0,
+            unit: card.unit in this.costUnits ? card.unit : 'trip',
+            url: card.url || null,
+            time: '',
+            note: ''
+        };
+        const items = this.data.days[dayIndex].items;
+        items.splice(position === undefined ? items.length : position, 0, item);
+        this.save();
+        return item;
+    }
+
+    /**
+     * Find an item and where it is
+     * @param {string} itemId - Item id
+     * @returns {{item: Object, dayIndex: number, position: number}|null} Location, or null if not planned
+     */
+    findItem(itemId) {
+        for (let dayIndex = 0; dayIndex < this.data.days.length; dayIndex++) {
+            const position = this.data.days[dayIndex].items.findIndex(item => item.id === itemId);
+            if (position !== -1) return { item: this.data.days[dayIndex].items[position], dayIndex, position };
+        }
+        return null;
+    }
+
+    /**
+     * Move an item to another place in the plan
+     * @param {string} itemId - Item id
+     * @param {number} dayIndex - Target day
+     * @param {number} position - Index in the target day, counted before the item is taken out
+     */
+    moveItem(itemId, dayIndex, position) {
+        const found = this.findItem(itemId);
+        if (!found || !this.data.days[dayIndex]) return;
+
+        this.data.days[found.dayIndex].items.splice(found.position, 1);
+        // Taking the item out shifts everything after it up by one
+        const target = found.dayIndex === dayIndex && position > found.position ? position - 1 : position;
+        const items = this.data.days[dayIndex].items;
+        items.splice(Math.max(0, Math.min(target, items.length)), 0, found.item);
+        this.save();
+    }
+
+    /**
+     * Change an item's time or note
+     * @param {string} itemId - Item id
+     * @param {Object} changes - { time: 'HH:MM', note }
+     */
+    updateItem(itemId, changes) {
+        const found = this.findItem(itemId);
+        if (!found) return;
+        ['time', 'note'].forEach(field => {
+            if (field in changes) found.item[field] = String(changes[field] || '').trim();
+        });
+        this.save();
+    }
+
+    removeItem(itemId) {
+        const found = this.findItem(itemId);
+        if (!found) return;
+        this.data.days[found.dayIndex].items.splice(found.position, 1);
+        this.save();
+    }
+
+    clear() {
+        this.data = this.createEmpty();
+        this.save();
+    }
+
+    // Per-person prices are multiplied by the number of travellers; everything else is a flat price
+    itemCost(item) {
+        return item.unit === 'person' ? item.cost * this.data.travellers : item.cost;
+    }
+
+    dayCost(dayIndex) {
+        return this.data.days[dayIndex].items.reduce((total, item) => total + this.itemCost(item), 0);
+    }
+
+    totalCost() {
+        return this.data.days.reduce((total, day, dayIndex) => total + this.dayCost(dayIndex), 0);
+    }
+
+    itemCount() {
+        return this.data.days.reduce((total, day) => total + day.items.length, 0);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Itinerary };
+}
@@ -0,0 +1,435 @@
+// Itinerary builder on travelplan.html. Option cards marked with data-item-id can be dragged (or added with
+// their button) into day slots in <section class="itinerary">; planned items can be dragged between and within days,
+// given a time and a note, and the whole plan prints as a clean day-by-day sheet with estimated costs.
+// Card markup: <div class="option-card" data-item-id="klcc" data-item-type="activity" data-cost="98" data-cost-unit="person">
+class ItineraryBuilder {
+    /**
+     * @param {HTMLElement} container - The section.itinerary element
+     * @param {Object} options
+     * @param {Itinerary} [options.itinerary] - Plan to edit (defaults to the saved one)
+     * @param {I18n} [options.i18n] - Labels, dates and costs in the visitor's language (defaults to window.i18n)
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.itinerary = options.itinerary || new Itinerary();
+        this.cards = this.readCards();
+        this.activeDay = 0; // Day the card buttons add to
+        this.dragType = 'text/plain';
+        this.i18n = options.i18n || window.i18n || new I18n();
+    }
+
+    /**
+     * Collect the option cards that can be planned
+     * @returns {Map<string, Object>} cardId -> { cardId, type, name, cost, unit, url, element }
+     */
+    readCards() {
+        const cards = new Map();
+        document.querySelectorAll('.option-card[data-item-id]').forEach(element => {
+            const link = element.querySelector('a.booking-link');
+            cards.set(element.dataset.itemId, {
+                cardId: element.dataset.itemId,
+                type: element.dataset.itemType || 'activity',
+                name: element.querySelector('h3').textContent.trim(),
+                cost: Number(element.dataset.cost) || 0,
+                unit: element.dataset.costUnit || 'trip',
+                url: link ? link.href : null,
+                element
+            });
+        });
+        return cards;
+    }
+
+    init() {
+        this.enhanceCards();
+        this.render();
+
+        // The cards' prices and buttons are drawn here too, not just the plan
+        document.addEventListener('languagechanged', () => {
+            this.cards.forEach(card => {
+                card.element.querySelector('.itinerary-card-cost').textContent = this.cardCostText(card);
+            });
+            this.updateCardButtons();
+            this.render();
+        });
+    }
+
+    // Show each card's estimated price and make it draggable into the plan
+    enhanceCards() {
+        this.cards.forEach(card => {
+            const { element } = card;
+            element.draggable = true;
+            element.classList.add('itinerary-card');
+
+            const price = document.createElement('p');
+            price.className = 'itinerary-card-cost';
+            price.textContent = this.cardCostText(card);
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'itinerary-add';
+            button.addEventListener('click', () => this.addCard(card.cardId, this.activeDay));
+
+            element.insertBefore(price, element.querySelector('a.booking-link'));
+            element.appendChild(button);
+
+            element.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData(this.dragType, `card:${card.cardId}`);
+                e.dataTransfer.effectAllowed = 'copy';
+            });
+        });
+        this.updateCardButtons();
+    }
+
+    // e.g. "Est. RM 98 per person"
+    cardCostText(card) {
+        if (card.cost === 0) return this.i18n.t('itinerary-free', 'Free');
+        return this.i18n.format('itinerary-card-cost', { cost: this.formatCost(card.cost), unit: this.unitLabel(card.unit) }, 'Est. {cost} {unit}');
+    }
+
+    unitLabel(unit) {
+        const labels = {
+            night: this.i18n.t('itinerary-per-night', 'per night'),
+            day: this.i18n.t('itinerary-per-day', 'per day'),
+            person: this.i18n.t('itinerary-per-person', 'per person'),
+            trip: this.i18n.t('itinerary-per-trip', 'per trip')
+        };
+        return labels[unit] || labels.trip;
+    }
+
+    updateCardButtons() {
+        this.cards.forEach(card => {
+            card.element.querySelector('.itinerary-add').textContent = this.i18n.format('itinerary-add-to-day', { day: this.activeDay + 1 }, '+ Add to Day {day}');
+        });
+    }
+
+    /**
+     * Plan a card on a day
+     * @param {string} cardId - Card's data-item-id
+     * @param {number} dayIndex - 0-based day
+     * @param {number} [position] - Index within the day (defaults to the end)
+     */
+    addCard(cardId, dayIndex, position) {
+        const card = this.cards.get(cardId);
+        if (!card) return;
+        this.itinerary.addItem(card, dayIndex, position);
+        this.setActiveDay(dayIndex);
+        this.announce(this.i18n.format('itinerary-added', { name: card.name, day: dayIndex + 1 }, '{name} added to Day {day}'));
+    }
+
+    setActiveDay(dayIndex) {
+        this.activeDay = Math.max(0, Math.min(dayIndex, this.itinerary.days.length - 1));
+        this.updateCardButtons();
+        this.render();
+    }
+
+    formatCost(amount) {
+        return `RM ${this.i18n.formatNumber(Math.round(amount))}`;
+    }
+
+    formatDate(dateString) {
+        return this.i18n.formatDate(`${dateString}T00:00:00Z`, {
+            weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+        });
+    }
+
+    dayTitle(dayIndex) {
+        const date = this.itinerary.dateOfDay(dayIndex);
+        const title = this.i18n.format('itinerary-day', { day: dayIndex + 1 }, 'Day {day}');
+        return `${title}${date ? ` <span class="itinerary-date">${this.formatDate(date)}</span>` : ''}`;
+    }
+
+    typeLabel(type) {
+        const labels = {
+            hotel: this.i18n.t('itinerary-type-hotel', 'Hotel'),
+            transport: this.i18n.t('itinerary-type-transport', 'Transport'),
+            activity: this.i18n.t('itinerary-type-activity', 'Activity')
+        };
+        return labels[type] || this.i18n.t('itinerary-type-other', 'Other');
+    }
+
+    // e.g. "1 day", "3 days"
+    dayCount(count) {
+        return this.i18n.format('itinerary-day-count', { count }, '{count, plural, one {# day} other {# days}}');
+    }
+
+    travellerCount(count) {
+        return this.i18n.format('itinerary-traveller-count', { count }, '{count, plural, one {# traveller} other {# travellers}}');
+    }
+
+    itemCostText(item) {
+        if (item.cost === 0) return this.i18n.t('itinerary-free', 'Free');
+        const cost = this.formatCost(this.itinerary.itemCost(item));
+        return item.unit === 'person'
+            ? `${cost} (${this.formatCost(item.cost)} × ${this.i18n.formatNumber(this.itinerary.data.travellers)})`
+            : cost;
+    }
+
+    // Screen-reader (and visible) confirmation of the last change
+    announce(message) {
+        const status = this.container.querySelector('.itinerary-status');
+        if (status) status.textContent = message;
+    }
+
+    renderItem(item, dayIndex, position) {
+        const items = this.itinerary.days[dayIndex].items;
+        const name = escapeHtml(item.name);
+        return `
+            <li class="itinerary-item" draggable="true" data-item="${item.id}">
+                <span class="itinerary-handle" aria-hidden="true">⠿</span>
+                <input type="time" class="itinerary-time" value="${item.time}" aria-label="${this.i18n.format('itinerary-time-for', { name }, 'Time for {name}')}">
+                <div class="itinerary-item-body">
+                    <span class="itinerary-type ${item.type}">${this.typeLabel(item.type)}</span>
+                    <strong>${name}</strong>
+                    <input type="text" class="itinerary-note" value="${escapeHtml(item.note)}" placeholder="${this.i18n.t('itinerary-note-placeholder', 'Add a note')}" maxlength="200" aria-label="${this.i18n.format('itinerary-note-for', { name }, 'Note for {name}')}">
+                </div>
+                <span class="itinerary-cost">${this.itemCostText(item)}</span>
+                <div class="itinerary-item-actions">
+                    <button type="button" data-action="up" aria-label="${this.i18n.t('itinerary-move-up', 'Move up')}"${position === 0 && dayIndex === 0 ? ' disabled' : ''}>▲</button>
+                    <button type="button" data-action="down" aria-label="${this.i18n.t('itinerary-move-down', 'Move down')}"${position === items.length - 1 && dayIndex === this.itinerary.days.length - 1 ? ' disabled' : ''}>▼</button>
+                    <button type="button" data-action="remove" aria-label="${this.i18n.format('itinerary-remove-item', { name }, 'Remove {name}')}">✕</button>
+                </div>
+            </li>
+        `;
+    }
+
+    renderDay(day, dayIndex) {
+        return `
+            <div class="itinerary-day${dayIndex === this.activeDay ? ' active' : ''}" data-day="${dayIndex}">
+                <header>
+                    <h3>${this.dayTitle(dayIndex)}</h3>
+                    <span class="itinerary-day-cost">${this.formatCost(this.itinerary.dayCost(dayIndex))}</span>
+                    <button type="button" class="itinerary-remove-day" data-day="${dayIndex}">${this.itinerary.days.length > 1
+                        ? this.i18n.t('itinerary-remove-day', 'Remove day')
+                        : this.i18n.t('itinerary-clear-day', 'Clear day')}</button>
+                </header>
+                <ol class="itinerary-items" data-day="${dayIndex}">
+                    ${day.items.map((item, position) => this.renderItem(item, dayIndex, position)).join('')
+                        || `<li class="itinerary-empty">${this.i18n.t('itinerary-empty-day', 'Drag options here or use "Add to Day"')}</li>`}
+                </ol>
+            </div>
+        `;
+    }
+
+    // Read-only version of the plan that replaces the editor when printing
+    renderPrintable() {
+        const { travellers } = this.itinerary.data;
+        return `
+            <h2>${this.i18n.t('itinerary-print-title', 'My Malaysia Trip')}</h2>
+            <p>${this.dayCount(this.itinerary.days.length)}, ${this.travellerCount(travellers)}</p>
+            ${this.itinerary.days.map((day, dayIndex) => `
+                <h3>${this.dayTitle(dayIndex)}</h3>
+                ${day.items.length === 0 ? `<p>${this.i18n.t('itinerary-free-day', 'Free day')}</p>` : `
+                    <table>
+                        <thead><tr>
+                            <th>${this.i18n.t('itinerary-column-time', 'Time')}</th>
+                            <th>${this.i18n.t('itinerary-column-plan', 'Plan')}</th>
+                            <th>${this.i18n.t('itinerary-column-notes', 'Notes')}</th>
+                            <th>${this.i18n.t('itinerary-column-cost', 'Est. cost')}</th>
+                        </tr></thead>
+                        <tbody>
+                            ${day.items.map(item => `
+                                <tr>
+                                    <td>${item.time || '–'}</td>
+                                    <td>${escapeHtml(item.name)} <small>(${this.typeLabel(item.type)})</small></td>
+                                    <td>${escapeHtml(item.note)}</td>
+                                    <td>${this.itemCostText(item)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                        <tfoot><tr><td colspan="3">${this.i18n.t('itinerary-day-total', 'Day total')}</td><td>${this.formatCost(this.itinerary.dayCost(dayIndex))}</td></tr></tfoot>
+                    </table>
+                `}
+            `).join('')}
+            <p class="itinerary-print-total">${this.i18n.format('itinerary-print-total', { total: this.formatCost(this.itinerary.totalCost()) }, 'Estimated total: {total}')}</p>
+            <p><small>${this.i18n.t('itinerary-cost-note', 'Costs are estimates in Malaysian Ringgit. Check current prices before booking.')}</small></p>
+        `;
+    }
+
+    render() {
+        const { startDate, travellers } = this.itinerary.data;
+        const focused = document.activeElement && this.container.contains(document.activeElement) ? this.describeFocus() : null;
+
+        this.container.innerHTML = `
+            <h2>${this.i18n.t('itinerary-title', 'My Itinerary')}</h2>
+            <div class="itinerary-editor">
+                <p class="itinerary-hint">${this.i18n.t('itinerary-hint', 'Drag hotels, transport and things to do into a day, then drag items to reorder them and set their times.')}</p>
+                <div class="itinerary-settings">
+                    <label>${this.i18n.t('itinerary-start-date', 'Start date')} <input type="date" name="startDate" value="${startDate || ''}"></label>
+                    <label>${this.i18n.t('itinerary-travellers', 'Travellers')} <input type="number" name="travellers" min="1" max="50" value="${travellers}"></label>
+                    <button type="button" data-action="add-day">${this.i18n.t('itinerary-add-day', '+ Add day')}</button>
+                    <button type="button" data-action="print"${this.itinerary.itemCount() === 0 ? ' disabled' : ''}>${this.i18n.t('itinerary-print', 'Print plan')}</button>
+                    <button type="button" data-action="clear">${this.i18n.t('itinerary-clear', 'Start over')}</button>
+                </div>
+                <p class="itinerary-status" role="status" aria-live="polite"></p>
+                <div class="itinerary-days">
+                    ${this.itinerary.days.map((day, dayIndex) => this.renderDay(day, dayIndex)).join('')}
+                </div>
+                <p class="itinerary-total">
+                    ${this.i18n.format('itinerary-total', { total: `<strong>${this.formatCost(this.itinerary.totalCost())}</strong>`, travellers: this.travellerCount(travellers) },
+                        'Estimated total: {total} for {travellers}')}
+                </p>
+            </div>
+            <div class="itinerary-print">${this.renderPrintable()}</div>
+        `;
+
+        this.bindEvents();
+        if (focused) this.restoreFocus(focused);
+    }
+
+    // Re-rendering replaces every control, so remember which one had focus
+    describeFocus() {
+        const element = document.activeElement;
+        const item = element.closest('[data-item]');
+        return {
+            item: item ? item.dataset.item : null,
+            selector: element.name ? `[name="${element.name}"]` : element.dataset.action ? `[data-action="${element.dataset.action}"]` : `.${element.classList[0]}`
+        };
+    }
+
+    restoreFocus({ item, selector }) {
+        const scope = item ? this.container.querySelector(`[data-item="${item}"]`) : this.container;
+        const element = scope && scope.querySelector(selector);
+        if (element && !element.disabled) element.focus();
+    }
+
+    bindEvents() {
+        const settings = this.container.querySelector('.itinerary-settings');
+        settings.querySelector('[name="startDate"]').addEventListener('change', (e) => {
+            this.itinerary.setStartDate(e.target.value);
+            this.render();
+        });
+        settings.querySelector('[name="travellers"]').addEventListener('change', (e) => {
+            this.itinerary.setTravellers(e.target.value);
+            this.render();
+        });
+        settings.querySelector('[data-action="add-day"]').addEventListener('click', () => {
+            this.setActiveDay(this.itinerary.addDay());
+            this.announce(this.i18n.format('itinerary-day-added', { day: this.activeDay + 1 }, 'Day {day} added'));
+        });
+        settings.querySelector('[data-action="print"]').addEventListener('click', () => window.print());
+        settings.querySelector('[data-action="clear"]').addEventListener('click', () => {
+            if (this.itinerary.itemCount() > 0 && !confirm(this.i18n.t('itinerary-confirm-clear', 'Remove every day and item from your itinerary?'))) return;
+            this.itinerary.clear();
+            this.setActiveDay(0);
+        });
+
+        this.container.querySelectorAll('.itinerary-day').forEach(dayElement => {
+            // Clicking anywhere in a day makes the card buttons add to it
+            dayElement.addEventListener('click', (e) => {
+                const dayIndex = Number(dayElement.dataset.day);
+                if (dayIndex !== this.activeDay && !e.target.closest('button, input')) this.setActiveDay(dayIndex);
+            });
+        });
+
+        this.container.querySelectorAll('.itinerary-remove-day').forEach(button => {
+            button.addEventListener('click', () => {
+                const dayIndex = Number(button.dataset.day);
+                if (this.itinerary.days[dayIndex].items.length > 0 && !confirm(this.i18n.format('itinerary-confirm-remove-day', { day: dayIndex + 1 }, 'Remove everything planned on Day {day}?'))) return;
+                this.itinerary.removeDay(dayIndex);
+                this.setActiveDay(Math.min(this.activeDay, this.itinerary.days.length - 1));
+            });
+        });
+
+        this.container.querySelectorAll('.itinerary-item').forEach(element => this.bindItem(element));
+        this.container.querySelectorAll('.itinerary-items').forEach(list => this.bindDropTarget(list));
+    }
+
+    bindItem(element) {
+        const itemId = element.dataset.item;
+
+        element.querySelector('.itinerary-time').addEventListener('change', (e) => {
+            this.itinerary.updateItem(itemId, { time: e.target.value });
+            this.render();
+        });
+        element.querySelector('.itinerary-note').addEventListener('change', (e) => {
+            this.itinerary.updateItem(itemId, { note: e.target.value });
+            this.render();
+        });
+        element.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.action === 'remove') this.itinerary.removeItem(itemId);
+                else this.step(itemId, button.dataset.action === 'up' ? -1 : 1);
+                this.render();
+            });
+        });
+
+        element.addEventListener('dragstart', (e) => {
+            // Let text in the inputs be selected instead of dragging the whole item
+            if (e.target.closest('input')) return;
+            e.dataTransfer.setData(this.dragType, `item:${itemId}`);
+            e.dataTransfer.effectAllowed = 'move';
+            element.classList.add('dragging');
+        });
+        element.addEventListener('dragend', () => element.classList.remove('dragging'));
+    }
+
+    /**
+     * Move an item one place up or down, crossing into the neighbouring day at either end
+     * @param {string} itemId - Item id
+     * @param {number} direction - -1 for up, 1 for down
+     */
+    step(itemId, direction) {
+        const found = this.itinerary.findItem(itemId);
+        if (!found) return;
+        const { dayIndex, position } = found;
+        const items = this.itinerary.days[dayIndex].items;
+
+        if (direction < 0 && position === 0) {
+            if (dayIndex > 0) this.itinerary.moveItem(itemId, dayIndex - 1, this.itinerary.days[dayIndex - 1].items.length);
+        } else if (direction > 0 && position === items.length - 1) {
+            if (dayIndex < this.itinerary.days.length - 1) this.itinerary.moveItem(itemId, dayIndex + 1, 0);
+        } else {
+            // moveItem counts positions before the item is removed, so moving down skips past the next item
+            this.itinerary.moveItem(itemId, dayIndex, direction < 0 ? position - 1 : position + 2);
+        }
+    }
+
+    bindDropTarget(list) {
+        const dayIndex = Number(list.dataset.day);
+
+        list.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            list.classList.add('drag-over');
+        });
+        list.addEventListener('dragleave', (e) => {
+            if (!list.contains(e.relatedTarget)) list.classList.remove('drag-over');
+        });
+        list.addEventListener('drop', (e) => {
+            e.preventDefault();
+            list.classList.remove('drag-over');
+            const [kind, id] = (e.dataTransfer.getData(this.dragType) || '').split(':');
+            const position = this.dropPosition(list, e.clientY);
+
+            if (kind === 'card') {
+                this.addCard(id, dayIndex, position);
+            } else if (kind === 'item') {
+                this.itinerary.moveItem(id, dayIndex, position);
+                this.setActiveDay(dayIndex);
+            }
+        });
+    }
+
+    // Index to insert at: before the first item whose middle is below the pointer
+    dropPosition(list, clientY) {
+        const items = [...list.querySelectorAll('.itinerary-item')];
+        const index = items.findIndex(item => {
+            const box = item.getBoundingClientRect();
+            return clientY < box.top + box.height / 2;
+        });
+        return index === -1 ? items.length : index;
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const container = document.querySelector('section.itinerary');
+        if (!container) return;
+        window.itineraryBuilder = new ItineraryBuilder(container);
+        window.itineraryBuilder.init();
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ItineraryBuilder };
+}
@@ -1,65 +1,153 @@
 // Unsplash API Integration for Gallery Manager
 class UnsplashImageManager {
-    constructor() {
-        // Your Unsplash API credentials - Replace with your actual keys from the dashboard
-        this.accessKey = 'N4sQoVRKOOfE9rXQO-QGU0W7Ez7XHvVdU-JMRjmxEbk'; // Replace with your Access Key from Unsplash dashboard
-        this.baseURL = 'https://api.unsplash.com';
+    /**
+     * @param {Object} options
+     * @param {Object} [options.transport] - Sends requests (see unsplashTransport.js); defaults to the API proxy
+     * @param {string} [options.baseURL] - API root, e.g. a local fixture server reached with fetch directly
+     * @param {UnsplashCache|null} [options.persistentCache] - Response cache that survives reloads; null to disable
+     */
+    constructor(options = {}) {
+        // The access key lives on the API proxy (XinEn/server/apiProxy.js), not in the page
+        this.apiURL = 'https://api.unsplash.com';
+        this.baseURL = options.baseURL || this.apiURL;
+        this.transport = options.transport || (options.baseURL ? new FetchTransport() : new ProxyTransport(API_PROXY_URL));
         this.cache = new Map(); // Cache images to avoid repeated API calls
+        this.persistentCache = options.persistentCache !== undefined
+            ? options.persistentCache
+            : (typeof UnsplashCache !== 'undefined' ? new UnsplashCache() : null);
+        // How long cached responses count as fresh
+        this.ttl = {
+            search: 24 * 60 * 60 * 1000,
+            curated: 60 * 60 * 1000
+        };
+
+        // Rate limiting: Unsplash reports the requests left this hour in X-Ratelimit-Remaining
+        this.rateLimitRemaining = null;
+        this.minRemaining = 2; // Keep a couple of requests back rather than running the limit to zero
+        this.retryAt = 0; // No API requests before this time
+        this.backoffMs = 0;
+        this.minBackoffMs = 60 * 1000;
+        this.maxBackoffMs = 60 * 60 * 1000; // The limit resets hourly, so never wait longer than that
     }
 
     /**
-     * Search for images on Unsplash based on query
-     * @param {string} query - Search query
-     * @param {number} count - Number of images to fetch (default: 12)
-     * @returns {Promise<Array>} Array of image objects
+     * GET an API path, answering from the caches when possible
+     * @param {string} path - API path including the query string, e.g. "/search/photos?query=..."
+     * @param {number} ttl - Milliseconds a cached response stays fresh
+     * @returns {Promise<*>} Parsed response body
+     * @throws {Error} When the request fails, or is held back by the rate limit, and nothing is cached
      */
-    async searchImages(query, count = 12) {
-        // Check cache first
-        const cacheKey = `${query}_${count}`;
-        if (this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
+    async request(path, ttl) {
+        const memoryEntry = this.cache.get(path);
+        if (memoryEntry && memoryEntry.expiresAt > Date.now()) return memoryEntry.data;
+
+        const stored = this.persistentCache ? await this.persistentCache.get(path) : null;
+        if (stored && stored.fresh) {
+            this.cache.set(path, stored);
+            return stored.data;
         }
+        const stale = stored || memoryEntry;
 
         try {
-            const response = await fetch(
-                `${this.baseURL}/search/photos?query=${encodeURIComponent(query)}&per_page=${count}&orientation=landscape`,
-                {
-                    headers: {
-                        'Authorization': `Client-ID ${this.accessKey}`
-                    }
-                }
-            );
+            this.checkRateLimit();
+            const response = await this.transport.request(`${this.baseURL}${path}`);
+            this.updateRateLimit(response);
 
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            const data = await response.json();
-            const images = data.results.map(photo => ({
-                id: photo.id,
-                url: photo.urls.regular,
-                thumb: photo.urls.thumb,
-                full: photo.urls.full,
-                alt: photo.alt_description || query,
-                photographer: photo.user.name,
-                photographerUrl: photo.user.links.html,
-                downloadUrl: photo.links.download_location,
-                unsplashUrl: photo.links.html,
-                width: photo.width,
-                height: photo.height,
-                color: photo.color,
-                description: photo.description || photo.alt_description || query
-            }));
+            const entry = { data: response.data, expiresAt: Date.now() + ttl };
+            this.cache.set(path, entry);
+            if (this.persistentCache) this.persistentCache.set(path, response.data, ttl);
+            return response.data;
+        } catch (error) {
+            // Offline or rate limited: expired results beat no results
+            if (stale) {
+                console.warn(`Using expired Unsplash results for ${path}:`, error.message);
+                return stale.data;
+            }
+            throw error;
+        }
+    }
+
+    // Throw instead of sending a request while backing off from the rate limit
+    checkRateLimit() {
+        if (Date.now() < this.retryAt) {
+            const minutes = Math.ceil((this.retryAt - Date.now()) / 60000);
+            throw new Error(`Unsplash rate limit reached, trying again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+        }
+    }
+
+    /**
+     * Track the rate limit headers and back off when the limit is (nearly) used up
+     * @param {Object} response - Normalised transport response
+     */
+    updateRateLimit(response) {
+        const remaining = parseInt(response.headers['x-ratelimit-remaining'], 10);
+        if (!isNaN(remaining)) this.rateLimitRemaining = remaining;
+
+        const limited = response.status === 429 || (response.status === 403 && this.rateLimitRemaining === 0);
+        if (limited || (this.rateLimitRemaining !== null && this.rateLimitRemaining < this.minRemaining)) {
+            // Double the wait each time the limit is hit again, starting at a minute
+            this.backoffMs = Math.min(this.maxBackoffMs, Math.max(this.minBackoffMs, this.backoffMs * 2));
+            this.retryAt = Date.now() + this.backoffMs;
+            const reason = limited ? 'reached' : `nearly reached (${this.rateLimitRemaining} left)`;
+            console.warn(`Unsplash rate limit ${reason}, pausing requests for ${Math.round(this.backoffMs / 1000)}s`);
+        } else if (response.ok) {
+            this.backoffMs = 0;
+        }
+    }
 
-            // Cache the results
-            this.cache.set(cacheKey, images);
-            return images;
+    /**
+     * Search for images on Unsplash based on query
+     * @param {string} query - Search query
+     * @param {number} count - Number of images to fetch (default: 12)
+     * @param {number} page - Results page to fetch (default: 1)
+     * @returns {Promise<Array>} Array of image objects
+     */
+    async searchImages(query, count = 12, page = 1) {
+        try {
+            const result = await this.searchImagesPage(query, count, page);
+            return result.images;
         } catch (error) {
             console.error('Error fetching images from Unsplash:', error);
             return [];
         }
     }
 
+    /**
+     * Fetch one page of search results, along with how many pages the query has
+     * @param {string} query - Search query
+     * @param {number} count - Images per page
+     * @param {number} page - Page to fetch, starting at 1
+     * @returns {Promise<{images: Array, totalPages: number}>} The page's images and the query's page count
+     * @throws {Error} When the request fails, so callers can tell an error from the end of the results
+     */
+    async searchImagesPage(query, count = 12, page = 1) {
+        const data = await this.request(
+            `/search/photos?query=${encodeURIComponent(query)}&per_page=${count}&page=${page}&orientation=landscape`,
+            this.ttl.search
+        );
+        const images = data.results.map(photo => ({
+            id: photo.id,
+            url: photo.urls.regular,
+            thumb: photo.urls.thumb,
+            full: photo.urls.full,
+            alt: photo.alt_description || query,
+            photographer: photo.user.name,
+            photographerUrl: photo.user.links.html,
+            downloadUrl: photo.links.download_location,
+            unsplashUrl: photo.links.html,
+            width: photo.width,
+            height: photo.height,
+            color: photo.color,
+            description: photo.description || photo.alt_description || query
+        }));
+
+        return { images, totalPages: data.total_pages || 0 };
+    }
+
     /**
      * Search for videos on Unsplash (Note: Unsplash doesn't have video API, but we can simulate or use other services)
      * For now, we'll return image results that could represent video thumbnails
@@ -87,27 +175,9 @@ class UnsplashImageManager {
      * @returns {Promise<Array>} Array of curated image objects
      */
     async getCuratedPhotos(count = 12) {
-        const cacheKey = `curated_${count}`;
-        if (this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
-        }
-
         try {
-            const response = await fetch(
-                `${this.baseURL}/photos?per_page=${count}&order_by=popular`,
-                {
-                    headers: {
-                        'Authorization': `Client-ID ${this.accessKey}`
-                    }
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            const images = data.map(photo => ({
+            const data = await this.request(`/photos?per_page=${count}&order_by=popular`, this.ttl.curated);
+            return data.map(photo => ({
                 id: photo.id,
                 url: photo.urls.regular,
                 thumb: photo.urls.thumb,
@@ -122,9 +192,6 @@ class UnsplashImageManager {
                 color: photo.color,
                 description: photo.description || photo.alt_description || 'Curated photo'
             }));
-
-            this.cache.set(cacheKey, images);
-            return images;
         } catch (error) {
             console.error('Error fetching curated photos:', error);
             return [];
@@ -136,12 +203,13 @@ class UnsplashImageManager {
      * @param {string} downloadUrl - Download URL from image object
      */
     async triggerDownload(downloadUrl) {
+        if (!downloadUrl || Date.now() < this.retryAt) return; // Tracking is best effort; don't spend a rate-limited request on it
+
         try {
-            await fetch(downloadUrl, {
-                headers: {
-                    'Authorization': `Client-ID ${this.accessKey}`
-                }
-            });
+            // Download links point at api.unsplash.com; keep them on the fixture server when one is configured
+            const url = downloadUrl.startsWith(this.apiURL) ? this.baseURL + downloadUrl.slice(this.apiURL.length) : downloadUrl;
+            const response = await this.transport.request(url);
+            this.updateRateLimit(response);
         } catch (error) {
             console.error('Error triggering download:', error);
         }
@@ -190,22 +258,69 @@ class UnsplashImageManager {
 // Enhanced Gallery Manager Class with Unsplash Integration
 class GalleryManager {
     constructor() {
-        // Safe localStorage operations with fallbacks
-        this.photos = this.loadFromStorage('galleryPhotos') || [];
-        this.videos = this.loadFromStorage('galleryVideos') || [];
-        this.likes = this.loadFromStorage('galleryLikes') || {};
-        this.views = this.loadFromStorage('galleryViews') || {};
+        // Versioned localStorage - bring saved data up to date before reading it
+        this.storage = new GalleryStorage();
+        this.storage.migrate();
+        this.photos = this.loadFromStorage(this.storage.keys.photos) || [];
+        this.videos = this.loadFromStorage(this.storage.keys.videos) || [];
+        this.likes = this.loadFromStorage(this.storage.keys.likes) || {};
+        this.views = this.loadFromStorage(this.storage.keys.views) || {};
+        this.i18n = window.i18n || new I18n(); // Dates, counts and plurals in the visitor's language
+        this.trash = new TrashBin({ retentionDays: 30, i18n: this.i18n }); // Deleted uploads can be restored until they expire
+        this.trashEntries = this.loadFromStorage(this.storage.keys.trash) || [];
+        this.albums = new GalleryAlbums(this.storage);
+        this.openAlbumId = null; // Album shown in the albums view
+        this.modalAlbumId = null; // Album the media modal navigates within
+        this.editingAlbumId = null;
+        this.slideshowTimer = null;
+        this.slideshowInterval = 5000; // Milliseconds per slide
+        this.blobStore = new GalleryBlobStore(); // Uploaded photo/video binaries live in IndexedDB
+        this.videoMetadata = new VideoMetadataExtractor();
+        this.imageProcessor = new ImageProcessor(); // Resizes, re-encodes and strips GPS data from photo uploads
+        this.exifReader = new ExifReader();
+        this.placeMatcher = new PlaceMatcher(); // Offline GPS -> Malaysian state/attraction lookup
+        this.searchIndex = new SearchIndex(); // Ranked search over titles, tags, locations and descriptions
+        this.searchMatches = null; // id -> { score, terms } for the current query, null when not searching
+        this.urlState = new GalleryUrlState(); // Filter, tab, search, sort and open media mirrored in the URL
+        this.applyingUrlState = false; // Set while restoring from the URL so the restore is not written back
+        this.autoFilledFields = {}; // Values the upload form got from EXIF, so a new photo can replace them
+        this.autofillFile = null; // Photo whose EXIF is being read; an earlier pick's slower read is ignored
+        this.pendingVideo = null; // Video currently in the upload preview: { src, duration, posterTime, ready }
+        this.selectedFile = null; // File in the single-file preview
+        this.uploadQueue = new UploadQueue(); // Files picked together are uploaded as one batch
+        this.isUploadingBatch = false;
+        this.editingMediaId = null; // Set while the upload form is editing an existing item
         this.currentMediaIndex = 0;
         this.currentFilter = 'all';
         this.currentContentType = 'all';
         this.currentUploadType = 'photo';
         this.defaultPhotos = [];
         this.defaultVideos = [];
-        this.displayCount = 6; // Start by showing 6 items
-        this.itemsPerLoad = 6; // Load 6 more items each time
+        // Only the cards near the viewport are kept in the DOM
+        this.userGrid = new VirtualGrid(document.getElementById('galleryGrid'), {
+            renderItem: (item, index) => this.createMediaCard(item, index, 'user')
+        });
+        this.defaultGrid = new VirtualGrid(document.getElementById('defaultGallery'), {
+            renderItem: (item, index) => this.createMediaCard(item, index, 'default')
+        });
+        this.isLoadingMore = false;
+        this.autoLoadPaused = false; // Set when scrolling stops fetching (error or nothing new); the Load More button resumes it
+        // Load More queries used when the search box is empty, taken in turn
+        this.unsplashQueries = [
+            'malaysia travel',
+            'malaysia culture',
+            'malaysia food',
+            'malaysia nature',
+            'malaysia architecture',
+            'malaysia landscape'
+        ];
+        this.unsplashQueryIndex = 0;
+        this.unsplashCursors = new Map(); // Query -> { nextPage, totalPages } so each click continues where the last stopped
+        this.unsplashPageSize = 6;
+        this.unsplashMaxRequests = 3; // Pages fetched per Load More at most when earlier pages were all duplicates
         
         // Unsplash Integration
-        this.unsplashManager = new UnsplashImageManager();
+        this.unsplashManager = new UnsplashImageManager(loadUnsplashDevConfig());
         this.loadingImages = new Set();
         this.selectedImageAttribution = null;
         
@@ -214,31 +329,107 @@ class GalleryManager {
 
     // Safe localStorage operations
     loadFromStorage(key) {
-        try {
-            const data = localStorage.getItem(key);
-            return data ? JSON.parse(data) : null;
-        } catch (error) {
-            console.warn(`Error loading ${key} from localStorage:`, error);
-            return null;
-        }
+        return this.storage.load(key);
     }
 
     saveToStorage(key, data) {
-        try {
-            localStorage.setItem(key, JSON.stringify(data));
-        } catch (error) {
-            console.warn(`Error saving ${key} to localStorage:`, error);
-        }
+        return this.storage.save(key, data);
     }
 
     async init() {
         this.loadDefaultContent();
+        await this.purgeExpiredTrash();
+        await this.loadUserMediaBlobs(); // Resolve uploaded files from IndexedDB
         await this.loadDynamicContent(); // Load images from Unsplash
         this.renderGallery();
         this.updateStats();
+        this.updateTrashCount();
+        this.updateAlbumCount();
         this.setupEventListeners();
         this.setupMobileMenu();
         this.setupImageSuggestion(); // Setup Unsplash suggestions
+        this.setupInfiniteScroll();
+        this.applyUrlState(this.urlState.parse(window.location.search)); // Reloads and shared links restore the same view
+    }
+
+    /**
+     * Current view as URL state
+     * @returns {Object} filter, type, q, sort, album (id of the open album, or null) and media (id of the open photo or video, or null)
+     */
+    getUrlState() {
+        const albumsView = document.getElementById('albumsView');
+        const albumsVisible = albumsView && albumsView.style.display !== 'none';
+        const photoModal = document.getElementById('photoModal');
+        return {
+            filter: this.currentFilter,
+            type: albumsVisible ? 'albums' : this.currentContentType,
+            q: document.getElementById('searchInput').value.trim(),
+            sort: document.getElementById('sortSelect').value,
+            album: albumsVisible ? this.openAlbumId : null,
+            media: photoModal.style.display === 'block' ? this.currentMediaId : null
+        };
+    }
+
+    /**
+     * Write the current view to the URL
+     * @param {boolean} push - Add a history entry (so Back returns here) instead of replacing the current one
+     */
+    syncUrl(push = false) {
+        if (this.applyingUrlState) return;
+
+        const state = this.getUrlState();
+        const url = `${window.location.pathname}${this.urlState.toSearch(state)}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+        // Remember whether this entry opened the modal, so closing it can step back instead of stacking entries
+        const historyState = { galleryMedia: state.media };
+        if (push) {
+            history.pushState(historyState, '', url);
+        } else {
+            history.replaceState(historyState, '', url);
+        }
+    }
+
+    /**
+     * Show the view described by a URL state (on load and on Back/Forward)
+     * @param {Object} state - Parsed URL state
+     */
+    applyUrlState(state) {
+        this.applyingUrlState = true;
+        try {
+            const filterBtn = document.querySelector(`.filter-btn[data-filter="${state.filter}"]`) || document.querySelector('.filter-btn[data-filter="all"]');
+            document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.toggle('active', btn === filterBtn));
+            this.currentFilter = filterBtn.dataset.filter;
+
+            const contentTab = document.querySelector(`.content-tab[data-type="${state.type}"]`) || document.querySelector('.content-tab[data-type="all"]');
+            document.querySelectorAll('.content-tab').forEach(tab => tab.classList.toggle('active', tab === contentTab));
+            const showAlbums = contentTab.dataset.type === 'albums';
+            this.setAlbumsViewVisible(showAlbums, state.album);
+            if (!showAlbums) this.currentContentType = contentTab.dataset.type;
+
+            document.getElementById('searchInput').value = state.q;
+            const sortSelect = document.getElementById('sortSelect');
+            sortSelect.value = [...sortSelect.options].some(option => option.value === state.sort) ? state.sort : 'newest';
+
+            this.autoLoadPaused = false;
+            this.renderGallery();
+
+            const photoModalOpen = document.getElementById('photoModal').style.display === 'block';
+            if (state.media && (!photoModalOpen || state.media !== this.currentMediaId)) {
+                const source = [...this.photos, ...this.videos].some(item => item.id === state.media) ? 'user' : 'default';
+                if (this.getMediaById(state.media, source)) {
+                    // Opened from an album: keep navigating (and slideshowing) within it
+                    this.modalAlbumId = showAlbums && this.openAlbumId ? this.openAlbumId : null;
+                    this.openMediaModal(state.media, source);
+                } else {
+                    this.showNotification('That photo or video is no longer in the gallery', 'info');
+                }
+            } else if (!state.media && photoModalOpen) {
+                this.closeModals();
+            }
+        } finally {
+            this.applyingUrlState = false;
+        }
     }
 
     setupMobileMenu() {
@@ -276,6 +467,22 @@ class GalleryManager {
         document.getElementById('uploadForm').onsubmit = (e) => this.handleUpload(e);
         document.getElementById('photoFile').onchange = (e) => this.handleFileSelect(e);
         document.getElementById('removePreview').onclick = () => this.removePreview();
+        const queueList = document.getElementById('uploadQueueList');
+        if (queueList) {
+            queueList.oninput = (e) => this.handleQueueInput(e);
+            queueList.onclick = (e) => {
+                const removeBtn = e.target.closest('[data-action="remove"]');
+                if (removeBtn) this.removeQueueItem(removeBtn.closest('[data-queue-id]').dataset.queueId);
+            };
+        }
+        const clearQueueBtn = document.getElementById('clearUploadQueue');
+        if (clearQueueBtn) {
+            clearQueueBtn.onclick = () => this.clearUploadQueue();
+        }
+        const posterScrubber = document.getElementById('posterScrubber');
+        if (posterScrubber) {
+            posterScrubber.oninput = (e) => this.handlePosterScrub(e);
+        }
 
         // Upload tabs within modal
         document.querySelectorAll('.upload-tab').forEach(tab => {
@@ -303,11 +510,54 @@ class GalleryManager {
         document.getElementById('searchInput').oninput = (e) => this.handleSearch(e);
         document.getElementById('sortSelect').onchange = (e) => this.handleSort(e);
 
+        // Dates and counts are written into the cards, so a language switch redraws them
+        document.addEventListener('languagechanged', () => {
+            this.renderUserContent();
+            this.renderDefaultContent();
+            this.updateStats();
+            this.updateLoadMoreButton();
+            this.renderTrash();
+            this.updateUploadModalForType();
+        });
+
+        // Back/Forward restore the view kept in the URL (and close the media modal)
+        window.addEventListener('popstate', () => this.applyUrlState(this.urlState.parse(window.location.search)));
+
         // Media modal navigation
         document.getElementById('prevPhoto').onclick = () => this.navigateMedia(-1);
         document.getElementById('nextPhoto').onclick = () => this.navigateMedia(1);
         document.getElementById('likePhoto').onclick = () => this.toggleLike();
         document.getElementById('sharePhoto').onclick = () => this.shareMedia();
+        const editPhotoBtn = document.getElementById('editPhoto');
+        if (editPhotoBtn) {
+            editPhotoBtn.onclick = () => this.editMedia(this.currentMediaId);
+        }
+
+        // Trash
+        const trashBtn = document.getElementById('trashBtn');
+        if (trashBtn) {
+            trashBtn.onclick = () => this.openTrashModal();
+        }
+        const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+        if (emptyTrashBtn) {
+            emptyTrashBtn.onclick = () => this.emptyTrash();
+        }
+
+        // Albums
+        document.getElementById('newAlbumBtn').onclick = () => this.openAlbumModal();
+        document.getElementById('albumForm').onsubmit = (e) => this.handleAlbumSubmit(e);
+        document.getElementById('albumCancelBtn').onclick = () => this.closeModals();
+        document.getElementById('albumBackBtn').onclick = () => this.showAlbumList();
+        document.getElementById('editAlbumBtn').onclick = () => this.openAlbumModal(this.openAlbumId);
+        document.getElementById('deleteAlbumBtn').onclick = () => this.deleteAlbum(this.openAlbumId);
+        document.getElementById('albumSlideshowBtn').onclick = () => this.startSlideshow(this.openAlbumId);
+        document.getElementById('albumPhoto').onclick = () => this.toggleAlbumPicker();
+        document.getElementById('slideshowToggle').onclick = () => this.setSlideshowPlaying(!this.slideshowTimer);
+        const albumPicker = document.getElementById('albumPicker');
+        albumPicker.onchange = (e) => this.handleAlbumPickerChange(e);
+        albumPicker.onclick = (e) => {
+            if (e.target.closest('#quickAlbumCreate')) this.createAlbumFromPicker();
+        };
 
         // Load more - Enhanced functionality with Unsplash (photos only)
         document.getElementById('loadMoreBtn').onclick = () => this.loadMoreFromUnsplash();
@@ -544,13 +794,63 @@ class GalleryManager {
 
         // Load stored views and likes for default content
         [...this.defaultPhotos, ...this.defaultVideos].forEach(item => {
-            const viewKey = item.id + '_views';
-            const storedViews = this.loadFromStorage(viewKey);
-            if (storedViews !== null) item.views = parseInt(storedViews) || 0;
+            item.views = this.views[item.id] || 0;
             item.likes = this.likes[item.id] || 0;
         });
     }
 
+    /**
+     * Resolve object URLs for uploaded media and move any legacy data URLs into the Blob store
+     */
+    async loadUserMediaBlobs() {
+        let migrated = false;
+
+        // Trashed items are resolved too so they can be previewed and restored
+        for (const item of [...this.photos, ...this.videos, ...this.trashEntries.map(entry => entry.item)]) {
+            try {
+                // Older uploads were saved as base64 data URLs directly in localStorage
+                if (!item.blobId && item.url && item.url.startsWith('data:')) {
+                    const blob = await this.blobStore.dataUrlToBlob(item.url);
+                    item.blobId = await this.blobStore.put(blob);
+                    if (item.thumbnail === item.url) delete item.thumbnail;
+                    migrated = true;
+                }
+
+                if (item.blobId) {
+                    item.url = await this.blobStore.getObjectURL(item.blobId) || '';
+                }
+                if (item.thumbnailBlobId) {
+                    item.thumbnail = await this.blobStore.getObjectURL(item.thumbnailBlobId) || '';
+                }
+            } catch (error) {
+                console.error(`Error loading stored file for ${item.title}:`, error);
+            }
+        }
+
+        if (migrated) this.saveData();
+    }
+
+    /**
+     * Update the storage usage meter in the upload modal
+     */
+    async updateStorageMeter() {
+        const meter = document.getElementById('storageMeter');
+        if (!meter) return;
+
+        const estimate = await this.blobStore.getUsage();
+        if (!estimate || !estimate.quota) {
+            meter.style.display = 'none';
+            return;
+        }
+
+        const percent = Math.min(100, (estimate.usage / estimate.quota) * 100);
+        meter.style.display = 'block';
+        meter.classList.toggle('warning', percent >= 80);
+        document.getElementById('storageMeterFill').style.width = `${percent.toFixed(1)}%`;
+        document.getElementById('storageMeterText').textContent =
+            `Storage: ${this.blobStore.formatBytes(estimate.usage)} of ${this.blobStore.formatBytes(estimate.quota)} used (${percent.toFixed(1)}%)`;
+    }
+
     /**
      * Load dynamic content from Unsplash based on default titles
      */
@@ -616,9 +916,18 @@ class GalleryManager {
 
     /**
      * Load more content from Unsplash - PHOTOS ONLY, NO VIDEOS
+     * @param {boolean} automatic - Triggered by infinite scroll rather than the Load More button
      */
-    async loadMoreFromUnsplash() {
+    async loadMoreFromUnsplash(automatic = false) {
         const loadMoreBtn = document.getElementById('loadMoreBtn');
+        if (this.isLoadingMore) return;
+
+        const albumsView = document.getElementById('albumsView');
+        if (automatic && (this.autoLoadPaused || this.currentContentType === 'video' || (albumsView && albumsView.style.display !== 'none'))) {
+            return;
+        }
+        if (!this.hasMoreUnsplashResults(this.getUnsplashQueries())) return; // Already at the end for this search
+        this.autoLoadPaused = false; // Clicking Load More resumes infinite scroll
         
         // Disable load more for video-only view
         if (this.currentContentType === 'video') {
@@ -626,43 +935,34 @@ class GalleryManager {
             return;
         }
         
-        const originalText = loadMoreBtn.innerHTML;
+        this.isLoadingMore = true;
         loadMoreBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading photos from Unsplash...';
         loadMoreBtn.disabled = true;
+        const visibleBefore = this.filterContent([...this.defaultPhotos, ...this.defaultVideos]).length;
 
         try {
-            // Get search term from current search input or use default Malaysia terms
-            const searchTerm = document.getElementById('searchInput').value.trim();
-            const queries = searchTerm ? [searchTerm] : [
-                'malaysia travel',
-                'malaysia culture',
-                'malaysia food',
-                'malaysia nature',
-                'malaysia architecture',
-                'malaysia landscape'
-            ];
-
-            const randomQuery = queries[Math.floor(Math.random() * queries.length)];
+            const queries = this.getUnsplashQueries();
             
             // ONLY load photos - NO videos
             if (this.currentContentType === 'all' || this.currentContentType === 'photo') {
-                const images = await this.unsplashManager.searchImages(randomQuery, 6);
+                const results = await this.fetchNewUnsplashImages(queries, this.unsplashPageSize);
                 
-                if (images.length > 0) {
-                    images.forEach((image, index) => {
+                if (results.length > 0) {
+                    results.forEach(({ image, query }) => {
+                        const id = `unsplash_photo_${image.id}`; // Stable, so a photo keeps its saved views and likes
                         const photo = {
-                            id: `unsplash_photo_${Date.now()}_${index}`,
-                            title: image.alt || `Malaysia ${randomQuery}`,
+                            id,
+                            title: image.alt || `Malaysia ${query}`,
                             url: image.url,
                             thumb: image.thumb,
                             full: image.full,
-                            category: this.getCategoryFromQuery(randomQuery),
+                            category: this.getCategoryFromQuery(query),
                             description: image.description || image.alt || 'Beautiful Malaysia photo',
                             location: 'Malaysia',
-                            tags: randomQuery.split(' '),
+                            tags: query.split(' '),
                             date: new Date().toISOString().split('T')[0],
-                            views: 0,
-                            likes: 0,
+                            views: this.views[id] || 0,
+                            likes: this.likes[id] || 0,
                             type: 'photo',
                             isFromUnsplash: true,
                             unsplashAttribution: image
@@ -674,25 +974,113 @@ class GalleryManager {
                         this.unsplashManager.triggerDownload(image.downloadUrl);
                     });
 
-                    this.showNotification(`Loaded ${images.length} new photos from Unsplash!`, 'success');
-                } else {
-                    this.showNotification('No more photos available from Unsplash', 'info');
+                    if (!automatic) this.showNotification(`Loaded ${results.length} new photos from Unsplash!`, 'success');
+                }
+
+                if (!this.hasMoreUnsplashResults(queries)) {
+                    this.showNotification(this.getUnsplashEndMessage(queries), 'info');
+                } else if (results.length === 0 && !automatic) {
+                    this.showNotification('Only photos already in the gallery came back. Try Load More again.', 'info');
                 }
             }
 
             // DO NOT LOAD VIDEOS ANYMORE
             // Video loading section completely removed
 
+            this.isLoadingMore = false;
             this.renderGallery();
             this.updateStats();
+
+            // Stop scrolling from fetching again if nothing new appeared in this view (e.g. all filtered out)
+            const visibleAfter = this.filterContent([...this.defaultPhotos, ...this.defaultVideos]).length;
+            if (visibleAfter <= visibleBefore) this.autoLoadPaused = true;
             
         } catch (error) {
             console.error('Error loading more content:', error);
             this.showNotification('Error loading more photos from Unsplash. Please try again.', 'error');
+            this.autoLoadPaused = true;
         } finally {
-            loadMoreBtn.innerHTML = originalText;
-            loadMoreBtn.disabled = false;
+            this.isLoadingMore = false;
+            this.updateLoadMoreButton();
+        }
+
+        // Re-observing reports whether the end is still in view, so a short page keeps filling the screen
+        if (this.loadMoreObserver && !this.autoLoadPaused) {
+            const sentinel = document.querySelector('.load-more-section');
+            this.loadMoreObserver.unobserve(sentinel);
+            this.loadMoreObserver.observe(sentinel);
+        }
+    }
+
+    /**
+     * Unsplash queries behind Load More for the current view
+     * @returns {Array<string>} The search box words, or the default Malaysia queries when it is empty
+     */
+    getUnsplashQueries() {
+        // Operators such as tag:beach only apply to the local index, so Unsplash gets the plain words
+        const searchTerm = this.searchIndex.parseQuery(document.getElementById('searchInput').value).terms.join(' ');
+        return searchTerm ? [searchTerm] : this.unsplashQueries;
+    }
+
+    getUnsplashCursor(query) {
+        if (!this.unsplashCursors.has(query)) {
+            this.unsplashCursors.set(query, { nextPage: 1, totalPages: null }); // totalPages is unknown until the first page arrives
+        }
+        return this.unsplashCursors.get(query);
+    }
+
+    /**
+     * Whether any of the queries still has pages left
+     * @param {Array<string>} queries - Queries from getUnsplashQueries
+     * @returns {boolean} False once every query has been read to its last page
+     */
+    hasMoreUnsplashResults(queries) {
+        return queries.some(query => {
+            const cursor = this.getUnsplashCursor(query);
+            return cursor.totalPages === null || cursor.nextPage <= cursor.totalPages;
+        });
+    }
+
+    getUnsplashEndMessage(queries) {
+        return queries === this.unsplashQueries
+            ? 'You\'ve reached the end of the Unsplash photos for Malaysia'
+            : `You've reached the end of the Unsplash photos for "${queries[0]}"`;
+    }
+
+    /**
+     * Read the next pages of the queries, in turn, until enough photos not already in the gallery turn up
+     * @param {Array<string>} queries - Queries from getUnsplashQueries
+     * @param {number} wanted - Number of new photos to stop at
+     * @returns {Promise<Array<{image: Object, query: string}>>} New images and the query that found each
+     * @throws {Error} When a request fails; cursors only advance past pages that arrived
+     */
+    async fetchNewUnsplashImages(queries, wanted) {
+        // Unsplash photo ids already shown, including the ones behind the default items' images
+        const seen = new Set([...this.defaultPhotos, ...this.defaultVideos]
+            .filter(item => item.unsplashAttribution)
+            .map(item => item.unsplashAttribution.id));
+        const results = [];
+
+        for (let request = 0; request < this.unsplashMaxRequests && results.length < wanted; request++) {
+            // Next query in the rotation that still has pages left
+            const query = queries.map((_, offset) => queries[(this.unsplashQueryIndex + offset) % queries.length])
+                .find(candidate => this.hasMoreUnsplashResults([candidate]));
+            if (!query) break;
+            this.unsplashQueryIndex = (queries.indexOf(query) + 1) % queries.length;
+
+            const cursor = this.getUnsplashCursor(query);
+            const { images, totalPages } = await this.unsplashManager.searchImagesPage(query, this.unsplashPageSize, cursor.nextPage);
+            cursor.totalPages = images.length > 0 ? totalPages : 0; // An empty page means the query is used up
+            cursor.nextPage++;
+
+            images.forEach(image => {
+                if (seen.has(image.id)) return;
+                seen.add(image.id);
+                results.push({ image, query });
+            });
         }
+
+        return results;
     }
 
     /**
@@ -751,7 +1139,7 @@ class GalleryManager {
             clearTimeout(suggestionTimeout);
             suggestionTimeout = setTimeout(async () => {
                 const title = titleInput.value.trim();
-                if (title.length > 3 && this.currentUploadType === 'photo') {
+                if (title.length > 3 && this.currentUploadType === 'photo' && !this.editingMediaId) {
                     await this.showImageSuggestions(title);
                 } else {
                     suggestionContainer.style.display = 'none';
@@ -854,6 +1242,7 @@ class GalleryManager {
         e.target.classList.add('active');
         this.currentUploadType = e.target.dataset.type;
         this.updateUploadModalForType();
+        this.revalidateUploadQueue();
     }
 
     updateUploadModalForType() {
@@ -868,48 +1257,79 @@ class GalleryManager {
 
         if (this.currentUploadType === 'video') {
             modalHeader.classList.add('video');
-            modalTitle.innerHTML = '<i class="fas fa-video"></i> Upload Video';
+            modalTitle.innerHTML = `<i class="fas fa-video"></i> ${this.i18n.t('gallery-upload-video', 'Upload Video')}`;
             uploadArea.classList.add('video');
             fileInput.accept = 'video/*';
-            uploadHint.textContent = 'Supports MP4, MOV, AVI (Max 50MB)';
-            titleLabel.textContent = 'Video Title';
+            uploadHint.textContent = this.i18n.t('gallery-video-hint', 'Supports MP4, MOV, AVI (Max 50MB)');
+            titleLabel.textContent = this.i18n.t('gallery-video-title', 'Video Title');
             uploadBtn.classList.add('video');
-            uploadButtonText.textContent = 'Upload Video';
+            uploadButtonText.textContent = this.i18n.t('gallery-upload-video', 'Upload Video');
         } else {
             modalHeader.classList.remove('video');
-            modalTitle.innerHTML = '<i class="fas fa-camera"></i> Upload Photo';
+            modalTitle.innerHTML = `<i class="fas fa-camera"></i> ${this.i18n.t('gallery-upload-photo', 'Upload Photo')}`;
             uploadArea.classList.remove('video');
             fileInput.accept = 'image/*';
-            uploadHint.textContent = 'Supports JPG, PNG, GIF (Max 5MB)';
-            titleLabel.textContent = 'Photo Title';
+            uploadHint.textContent = this.i18n.format('gallery-photo-hint', { size: this.imageProcessor.getMaxInputSizeLabel() },
+                'Supports JPG, PNG, GIF (Max {size})');
+            titleLabel.textContent = this.i18n.t('gallery-photo-title', 'Photo Title');
             uploadBtn.classList.remove('video');
-            uploadButtonText.textContent = 'Upload Photo';
+            uploadButtonText.textContent = this.i18n.t('gallery-upload-photo', 'Upload Photo');
+        }
+        uploadHint.textContent += ` - ${this.i18n.t('gallery-batch-select', 'select several files to upload a batch')}`;
+        this.updateQueueSummary();
+
+        if (this.editingMediaId) {
+            modalTitle.innerHTML = `<i class="fas fa-pen"></i> ${this.currentUploadType === 'video'
+                ? this.i18n.t('gallery-edit-video', 'Edit Video')
+                : this.i18n.t('gallery-edit-photo', 'Edit Photo')}`;
+            uploadButtonText.textContent = this.i18n.t('gallery-save-changes', 'Save Changes');
         }
     }
 
     handleContentTab(e) {
+        const selectedTab = e.target.closest('.content-tab');
         document.querySelectorAll('.content-tab').forEach(tab => tab.classList.remove('active'));
-        e.target.classList.add('active');
-        this.currentContentType = e.target.dataset.type;
-        this.displayCount = 6; // Reset display count when switching tabs
-        this.renderGallery();
+        selectedTab.classList.add('active');
+
+        const showAlbums = selectedTab.dataset.type === 'albums';
+        this.setAlbumsViewVisible(showAlbums);
+        if (!showAlbums) {
+            this.currentContentType = selectedTab.dataset.type;
+            this.autoLoadPaused = false; // A new view may still want more photos
+            this.renderGallery();
+        }
+        this.syncUrl(true);
     }
 
     openUploadModal(type) {
+        if (this.editingMediaId) this.resetUploadForm(); // Leave a closed, unsaved edit behind
         this.currentUploadType = type;
         this.updateUploadModalForType();
         document.getElementById('uploadModal').style.display = 'block';
         document.body.style.overflow = 'hidden';
+        this.updateStorageMeter();
         
         // Setup image suggestions after modal is shown
         setTimeout(() => this.setupImageSuggestion(), 100);
     }
 
     closeModals() {
+        const photoModalOpen = document.getElementById('photoModal').style.display === 'block';
         document.querySelectorAll('.modal').forEach(modal => {
             modal.style.display = 'none';
         });
         document.body.style.overflow = 'auto';
+        this.setSlideshowPlaying(false);
+        this.modalAlbumId = null;
+
+        // Drop the open media from the URL; step back if opening it added the history entry
+        if (photoModalOpen && !this.applyingUrlState) {
+            if (history.state && history.state.galleryMedia) {
+                history.back();
+            } else {
+                this.syncUrl();
+            }
+        }
         
         // Hide image suggestions when closing modals
         const suggestionContainer = document.getElementById('imageSuggestions');
@@ -919,21 +1339,56 @@ class GalleryManager {
     }
 
     handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) this.previewFile(file);
+        this.handleFiles(Array.from(e.target.files));
+        e.target.value = ''; // Allow picking the same files again after removing them
     }
 
     handleDrop(e) {
         e.preventDefault();
         document.getElementById('uploadArea').classList.remove('drag-over');
-        const file = e.dataTransfer.files[0];
-        if (file) {
-            this.previewFile(file);
+        this.handleFiles(Array.from(e.dataTransfer.files));
+    }
+
+    /**
+     * Route picked or dropped files: one file gets the detailed preview, several go to the batch queue
+     * @param {Array<File>} files - Selected files
+     */
+    handleFiles(files) {
+        if (files.length === 0 || this.isUploadingBatch) return;
+
+        if (files.length === 1 && this.uploadQueue.length === 0 && !this.selectedFile) {
+            this.previewFile(files[0]);
+            return;
+        }
+
+        // Adding to a single previewed file turns it into a batch
+        if (this.selectedFile) {
+            files = [this.selectedFile, ...files];
+            this.removePreview();
         }
+        this.queueFiles(files);
     }
 
     previewFile(file) {
         if (!this.validateFile(file)) return;
+        this.selectedFile = file;
+
+        // Videos are previewed straight from the file so their metadata and frames can be read
+        if (file.type.startsWith('video/')) {
+            document.querySelector('.upload-content').style.display = 'none';
+            document.getElementById('imagePreview').style.display = 'block';
+            document.getElementById('previewImg').style.display = 'none';
+            const suggestionContainer = document.getElementById('imageSuggestions');
+            if (suggestionContainer) {
+                suggestionContainer.style.display = 'none';
+            }
+            this.autofillFile = null;
+            this.clearAutoFilledFields();
+            this.prepareVideoPreview(file);
+            return;
+        }
+
+        this.autofillFromExif(file);
 
         const reader = new FileReader();
         reader.onload = (e) => {
@@ -966,112 +1421,740 @@ class GalleryManager {
         reader.readAsDataURL(file);
     }
 
-    validateFile(file) {
-        const expectedType = this.currentUploadType === 'video' ? 'video' : 'image';
-        
-        if (!file.type.startsWith(expectedType)) {
-            this.showError(`Please upload a valid ${expectedType} file`);
-            return false;
+    /**
+     * Prefill date, location and tags in the upload form from a photo's EXIF capture date and GPS position
+     * @param {File} file - Photo being uploaded
+     */
+    async autofillFromExif(file) {
+        this.autofillFile = file;
+        const details = await this.readPhotoDetails(file);
+
+        // Another photo was picked (or the form reset) while this one was being read
+        if (this.autofillFile !== file) return;
+        // Whatever the previous photo filled in does not describe this one, even when this one has no EXIF
+        this.clearAutoFilledFields();
+        if (!details) return;
+
+        const filled = [];
+        if (details.captureDate && this.setAutoFillValue('photoDate', details.captureDate)) {
+            filled.push('date');
         }
-        
-        const maxSize = expectedType === 'video' ? 50 * 1024 * 1024 : 5 * 1024 * 1024; // 50MB for videos, 5MB for images
-        
-        if (file.size > maxSize) {
-            this.showError(`File size must be less than ${expectedType === 'video' ? '50MB' : '5MB'}`);
-            return false;
+
+        const { place } = details;
+        if (place) {
+            if (this.setAutoFillValue('photoLocation', place.location)) filled.push('location');
+            if (this.mergeAutoFillTags(place.tags)) filled.push('tags');
         }
 
-        return true;
+        if (filled.length > 0) {
+            this.showNotification(`Filled in ${filled.join(', ')} from the photo's details`, 'info');
+        }
     }
 
-    removePreview() {
-        document.getElementById('imagePreview').style.display = 'none';
-        document.querySelector('.upload-content').style.display = 'block';
-        document.getElementById('photoFile').value = '';
-        document.getElementById('previewImg').src = '';
-        const previewVideo = document.getElementById('previewVideo');
-        if (previewVideo) previewVideo.src = '';
-        this.selectedImageAttribution = null;
+    // Empty the fields that still hold values filled in from an earlier photo, keeping anything the user typed
+    clearAutoFilledFields() {
+        ['photoDate', 'photoLocation'].forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field && this.autoFilledFields[fieldId] !== undefined && field.value === this.autoFilledFields[fieldId]) {
+                field.value = '';
+            }
+        });
+        const tagsField = document.getElementById('photoTags');
+        const previousTags = this.autoFilledFields.photoTags || [];
+        if (tagsField && previousTags.length > 0) {
+            tagsField.value = tagsField.value.split(',').map(tag => tag.trim())
+                .filter(tag => tag && !previousTags.includes(tag))
+                .join(', ');
+        }
+        this.autoFilledFields = {};
     }
 
-    handleUpload(e) {
-        e.preventDefault();
-        const file = document.getElementById('photoFile').files[0];
+    /**
+     * Read a photo's capture date and match its GPS position to a Malaysian place
+     * @param {File} file - Photo being uploaded
+     * @returns {Promise<{captureDate: string|null, place: Object|null}|null>} Details, or null if the file has no readable EXIF
+     */
+    async readPhotoDetails(file) {
+        if (file.type !== 'image/jpeg') return null;
 
-        if (!file) {
-            this.showError('Please select a file to upload');
-            return;
+        let metadata;
+        try {
+            metadata = this.exifReader.readMetadata(await file.arrayBuffer());
+        } catch (error) {
+            console.warn('Could not read photo metadata:', error);
+            return null;
         }
 
-        if (!this.validateForm()) return;
-
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const mediaData = {
-                id: `user_${this.currentUploadType}_${Date.now()}`,
-                title: document.getElementById('photoTitle').value.trim(),
-                url: e.target.result,
-                category: document.getElementById('photoCategory').value,
-                description: document.getElementById('photoDescription').value.trim(),
-                location: document.getElementById('photoLocation').value.trim(),
-                tags: document.getElementById('photoTags').value.split(',').map(tag => tag.trim()).filter(tag => tag),
-                date: new Date().toISOString().split('T')[0],
-                views: 0,
-                likes: 0,
-                type: this.currentUploadType,
-                isUserContent: true
-            };
-
-            // Add video-specific properties
-            if (this.currentUploadType === 'video') {
-                mediaData.thumbnail = e.target.result; // For now, use video as thumbnail
-                mediaData.duration = '0:00'; // Would need video processing for real duration
-            }
-
-            // Add attribution if image was selected from Unsplash
-            if (this.selectedImageAttribution) {
-                mediaData.unsplashAttribution = this.selectedImageAttribution;
-                this.selectedImageAttribution = null; // Clear after use
-            }
-
-            this.addMedia(mediaData);
-            this.closeModals();
-            this.resetUploadForm();
+        return {
+            captureDate: metadata.captureDate,
+            place: metadata.latitude !== null ? this.placeMatcher.match(metadata.latitude, metadata.longitude) : null
         };
-        reader.readAsDataURL(file);
     }
 
-    validateForm() {
-        const title = document.getElementById('photoTitle').value.trim();
-        const category = document.getElementById('photoCategory').value;
+    // Only overwrite a field that is empty or still holds the value we filled in earlier
+    setAutoFillValue(fieldId, value) {
+        const field = document.getElementById(fieldId);
+        if (!field) return false;
+        if (field.value.trim() && field.value !== this.autoFilledFields[fieldId]) return false;
 
-        if (!title) {
-            this.showError(`${this.currentUploadType === 'video' ? 'Video' : 'Photo'} title is required`);
-            return false;
-        }
+        field.value = value;
+        this.autoFilledFields[fieldId] = value;
+        return true;
+    }
 
-        if (!category) {
-            this.showError('Please select a category');
-            return false;
-        }
+    // Add place tags alongside the user's own, replacing tags added for a previous photo
+    mergeAutoFillTags(tags) {
+        const field = document.getElementById('photoTags');
+        if (!field) return false;
 
-        return true;
+        const previous = this.autoFilledFields.photoTags || [];
+        const ownTags = field.value.split(',').map(tag => tag.trim()).filter(tag => tag && !previous.includes(tag));
+        const added = tags.filter(tag => !ownTags.includes(tag));
+
+        field.value = [...ownTags, ...added].join(', ');
+        this.autoFilledFields.photoTags = added;
+        return added.length > 0;
     }
 
-    addMedia(mediaData) {
-        if (mediaData.type === 'video') {
-            this.videos.unshift(mediaData);
+    /**
+     * Load a video into the upload preview, read its duration and set up the poster frame picker
+     * @param {File} file - Video file being uploaded
+     */
+    async prepareVideoPreview(file) {
+        const previewVideo = document.getElementById('previewVideo');
+        if (!previewVideo) return;
+
+        this.releaseVideoPreview();
+        const src = URL.createObjectURL(file);
+        const pending = { src, duration: 0, posterTime: 0, ready: false };
+        this.pendingVideo = pending;
+        previewVideo.style.display = 'block';
+
+        try {
+            const metadata = await this.videoMetadata.loadMetadata(previewVideo, src);
+            if (this.pendingVideo !== pending) return; // Another file was picked meanwhile
+
+            pending.duration = metadata.duration;
+            pending.posterTime = this.videoMetadata.getDefaultPosterTime(metadata.duration);
+            await this.videoMetadata.seekTo(previewVideo, pending.posterTime);
+            pending.ready = true;
+
+            const scrubber = document.getElementById('posterScrubber');
+            const posterPicker = document.getElementById('posterPicker');
+            if (scrubber && posterPicker) {
+                scrubber.max = metadata.duration;
+                scrubber.value = pending.posterTime;
+                posterPicker.style.display = 'block';
+            }
+            this.updatePosterTimeLabel();
+        } catch (error) {
+            console.error('Error reading video metadata:', error);
+            this.showError(error.message);
+        }
+    }
+
+    handlePosterScrub(e) {
+        if (!this.pendingVideo || !this.pendingVideo.ready) return;
+
+        const previewVideo = document.getElementById('previewVideo');
+        this.pendingVideo.posterTime = parseFloat(e.target.value) || 0;
+        previewVideo.pause();
+        previewVideo.currentTime = this.pendingVideo.posterTime;
+        this.updatePosterTimeLabel();
+    }
+
+    updatePosterTimeLabel() {
+        const label = document.getElementById('posterTimeLabel');
+        if (label && this.pendingVideo) {
+            label.textContent = `${this.formatVideoDuration(this.pendingVideo.posterTime)} / ${this.formatVideoDuration(this.pendingVideo.duration)}`;
+        }
+    }
+
+    releaseVideoPreview() {
+        if (this.pendingVideo) {
+            URL.revokeObjectURL(this.pendingVideo.src);
+            this.pendingVideo = null;
+        }
+        const posterPicker = document.getElementById('posterPicker');
+        if (posterPicker) posterPicker.style.display = 'none';
+    }
+
+    /**
+     * Read the real duration and capture the chosen poster frame for the video in the upload preview
+     * @returns {Promise<{duration: string, thumbnailBlobId: string|null}>} Formatted duration and stored poster id
+     */
+    async captureVideoDetails() {
+        const details = { duration: this.formatVideoDuration(0), thumbnailBlobId: null };
+        if (!this.pendingVideo || !this.pendingVideo.ready) return details;
+
+        details.duration = this.formatVideoDuration(this.pendingVideo.duration);
+        try {
+            const poster = await this.videoMetadata.captureFrame(document.getElementById('previewVideo'), this.pendingVideo.posterTime);
+            details.thumbnailBlobId = await this.blobStore.put(poster);
+        } catch (error) {
+            // The upload still works without a poster; the card falls back to the video itself
+            console.error('Error capturing video poster frame:', error);
+        }
+        return details;
+    }
+
+    formatVideoDuration(seconds) {
+        return this.unsplashManager.formatDuration(Math.round(seconds || 0));
+    }
+
+    validateFile(file) {
+        const error = this.getFileValidationError(file);
+        if (error) {
+            this.showError(error);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check a file against the current upload type and size limit
+     * @param {File} file - Selected file
+     * @returns {string|null} Why the file cannot be uploaded, or null if it can
+     */
+    getFileValidationError(file) {
+        const expectedType = this.currentUploadType === 'video' ? 'video' : 'image';
+        
+        if (!file.type.startsWith(expectedType)) {
+            return `Please upload a valid ${expectedType} file`;
+        }
+        
+        // Images are compressed before storage, so they may start out larger than videos' raw limit suggests
+        const maxSize = expectedType === 'video' ? 50 * 1024 * 1024 : this.imageProcessor.options.maxInputSize;
+        
+        if (file.size > maxSize) {
+            return `File size must be less than ${expectedType === 'video' ? '50MB' : this.imageProcessor.getMaxInputSizeLabel()}`;
+        }
+
+        return null;
+    }
+
+    removePreview() {
+        document.getElementById('imagePreview').style.display = 'none';
+        document.querySelector('.upload-content').style.display = 'block';
+        document.getElementById('photoFile').value = '';
+        document.getElementById('previewImg').src = '';
+        const previewVideo = document.getElementById('previewVideo');
+        this.releaseVideoPreview();
+        if (previewVideo) previewVideo.removeAttribute('src');
+        this.selectedImageAttribution = null;
+        this.selectedFile = null;
+    }
+
+    async handleUpload(e) {
+        e.preventDefault();
+        if (this.editingMediaId) {
+            this.saveMediaEdits();
+            return;
+        }
+        if (this.uploadQueue.length > 0) {
+            await this.handleBatchUpload();
+            return;
+        }
+        const file = this.selectedFile;
+
+        if (!file) {
+            this.showError('Please select a file to upload');
+            return;
+        }
+
+        if (!this.validateForm()) return;
+
+        let storedFile;
+        try {
+            storedFile = await this.storeUploadedFile(file, this.currentUploadType);
+        } catch (error) {
+            this.showError(error.message);
+            this.updateStorageMeter();
+            return;
+        }
+
+        const mediaData = {
+            id: `user_${this.currentUploadType}_${Date.now()}`,
+            title: document.getElementById('photoTitle').value.trim(),
+            ...storedFile,
+            category: document.getElementById('photoCategory').value,
+            description: document.getElementById('photoDescription').value.trim(),
+            location: document.getElementById('photoLocation').value.trim(),
+            tags: document.getElementById('photoTags').value.split(',').map(tag => tag.trim()).filter(tag => tag),
+            // When the photo was taken (from EXIF or the form), falling back to today
+            date: document.getElementById('photoDate').value || new Date().toISOString().split('T')[0],
+            uploadedAt: new Date().toISOString(),
+            views: 0,
+            likes: 0,
+            type: this.currentUploadType,
+            isUserContent: true
+        };
+
+        // Add video-specific properties
+        if (this.currentUploadType === 'video') {
+            const { duration, thumbnailBlobId } = await this.captureVideoDetails();
+            mediaData.duration = duration;
+            if (thumbnailBlobId) {
+                mediaData.thumbnailBlobId = thumbnailBlobId;
+                mediaData.thumbnail = await this.blobStore.getObjectURL(thumbnailBlobId);
+            }
+        }
+
+        // Add attribution if image was selected from Unsplash
+        if (this.selectedImageAttribution) {
+            mediaData.unsplashAttribution = this.selectedImageAttribution;
+            this.selectedImageAttribution = null; // Clear after use
+        }
+
+        if (!this.addMedia(mediaData)) {
+            await this.deleteStoredFiles(mediaData);
+            return;
+        }
+        this.closeModals();
+        this.resetUploadForm();
+    }
+
+    deleteStoredFiles(media) {
+        return Promise.all([media.blobId, media.thumbnailBlobId].filter(id => id).map(id =>
+            this.blobStore.delete(id).catch(error => console.error('Error deleting stored file:', error))
+        ));
+    }
+
+    /**
+     * Process an uploaded file and save its binaries to the Blob store
+     * @param {File} file - Uploaded file
+     * @param {string} type - 'photo' or 'video'
+     * @returns {Promise<Object>} Fields for the media record: blobId, url, size and, for photos, thumbnailBlobId/thumbnail
+     * @throws {Error} With a message that can be shown in the upload modal
+     */
+    async storeUploadedFile(file, type) {
+        // Photos are downscaled, re-encoded and stripped of GPS data before being stored
+        let upload = { blob: file, thumbnail: null };
+        if (type === 'photo') {
+            try {
+                upload = await this.imageProcessor.process(file);
+            } catch (error) {
+                console.error('Error processing image:', error);
+                throw new Error('Could not process this image. Please try another file.');
+            }
+        }
+
+        // Refuse up front if the file would not fit in the browser's storage quota
+        const requiredBytes = upload.blob.size + (upload.thumbnail ? upload.thumbnail.size : 0);
+        const quota = await this.blobStore.checkQuota(requiredBytes);
+        if (!quota.ok) {
+            throw new Error(`Not enough browser storage: this file needs ${this.blobStore.formatBytes(requiredBytes)} but only ${this.blobStore.formatBytes(quota.free)} is free. Delete some uploads and try again.`);
+        }
+
+        const stored = { size: upload.blob.size };
+        try {
+            stored.blobId = await this.blobStore.put(upload.blob);
+            stored.url = await this.blobStore.getObjectURL(stored.blobId);
+            if (upload.thumbnail) {
+                stored.thumbnailBlobId = await this.blobStore.put(upload.thumbnail);
+                stored.thumbnail = await this.blobStore.getObjectURL(stored.thumbnailBlobId);
+            }
+        } catch (error) {
+            console.error('Error storing upload in IndexedDB:', error);
+            if (stored.blobId) await this.blobStore.delete(stored.blobId).catch(() => {});
+            throw new Error(error && error.name === 'QuotaExceededError'
+                ? 'Browser storage is full. Delete some uploads and try again.'
+                : 'Could not save this file. Please try again.');
+        }
+        return stored;
+    }
+
+    /**
+     * Add several files to the batch queue, validating each one separately
+     * @param {Array<File>} files - Selected files
+     */
+    queueFiles(files) {
+        document.getElementById('uploadError').textContent = '';
+        const added = this.uploadQueue.add(files, file => this.getFileValidationError(file));
+        this.renderUploadQueue();
+        added.filter(item => item.status === 'waiting' && item.type === 'photo')
+            .forEach(item => this.detectQueueItemDetails(item));
+    }
+
+    // Read date, place and tags from a queued photo's EXIF so each file keeps its own
+    async detectQueueItemDetails(item) {
+        const details = await this.readPhotoDetails(item.file);
+        if (!details || !this.uploadQueue.get(item.id)) return;
+
+        item.detected = {
+            date: details.captureDate,
+            location: details.place ? details.place.location : '',
+            tags: details.place ? details.place.tags : []
+        };
+        this.updateQueueItemRow(item);
+    }
+
+    renderUploadQueue() {
+        const queue = document.getElementById('uploadQueue');
+        const list = document.getElementById('uploadQueueList');
+        if (!queue || !list) return;
+
+        const isBatch = this.uploadQueue.length > 0;
+        queue.style.display = isBatch ? 'block' : 'none';
+        // Titles are set per file in a batch, so the single title field steps aside
+        const titleInput = document.getElementById('photoTitle');
+        titleInput.required = !isBatch;
+        titleInput.closest('.form-group').style.display = isBatch ? 'none' : '';
+        if (isBatch) {
+            const suggestionContainer = document.getElementById('imageSuggestions');
+            if (suggestionContainer) suggestionContainer.style.display = 'none';
+        }
+
+        list.innerHTML = this.uploadQueue.items.map(item => this.createQueueItemRow(item)).join('');
+        this.uploadQueue.items.forEach(item => this.updateQueueItemRow(item));
+        this.updateQueueSummary();
+    }
+
+    createQueueItemRow(item) {
+        const categories = Array.from(document.getElementById('photoCategory').options)
+            .filter(option => option.value)
+            .map(option => `<option value="${option.value}" ${item.overrides.category === option.value ? 'selected' : ''}>${option.textContent}</option>`)
+            .join('');
+        const canEdit = item.status !== 'invalid';
+
+        return `
+            <li class="upload-queue-item" data-queue-id="${item.id}">
+                <div class="queue-thumb">
+                    ${item.previewUrl ? `<img src="${item.previewUrl}" alt="">` : `<i class="fas fa-${item.type === 'video' ? 'video' : 'image'}"></i>`}
+                </div>
+                <div class="queue-main">
+                    ${canEdit ? `<input type="text" class="queue-title" data-field="title" value="${escapeHtml(item.title)}" placeholder="Title">` : ''}
+                    <div class="queue-meta">
+                        <span class="queue-file">${escapeHtml(item.file.name)} &middot; ${this.blobStore.formatBytes(item.file.size)}</span>
+                        <span class="queue-detected"></span>
+                    </div>
+                    <div class="queue-progress"><div class="queue-progress-fill"></div></div>
+                    <span class="queue-status"></span>
+                    ${canEdit ? `
+                        <details class="queue-overrides">
+                            <summary>Override batch details</summary>
+                            <select data-field="category">
+                                <option value="">Batch category</option>
+                                ${categories}
+                            </select>
+                            <input type="text" data-field="location" value="${escapeHtml(item.overrides.location)}" placeholder="Batch location">
+                            <input type="text" data-field="tags" value="${escapeHtml(item.overrides.tags)}" placeholder="Extra tags for this file">
+                        </details>
+                    ` : ''}
+                </div>
+                <button type="button" class="queue-remove" data-action="remove" title="Remove from batch">&times;</button>
+            </li>
+        `;
+    }
+
+    // Refresh one row's status, progress and detected details without re-rendering its inputs
+    updateQueueItemRow(item) {
+        const row = document.querySelector(`.upload-queue-item[data-queue-id="${item.id}"]`);
+        if (!row) return;
+
+        const statusLabels = {
+            waiting: 'Ready to upload',
+            processing: 'Processing...',
+            saving: 'Saving...',
+            done: 'Uploaded'
+        };
+        row.className = `upload-queue-item ${item.status}`;
+        row.querySelector('.queue-status').textContent = item.error || statusLabels[item.status];
+        row.querySelector('.queue-progress-fill').style.width = `${item.progress}%`;
+
+        const detected = [item.detected.location, item.detected.date].filter(value => value);
+        row.querySelector('.queue-detected').innerHTML = detected.length > 0
+            ? `<i class="fas fa-map-marker-alt"></i> ${escapeHtml(detected.join(' · '))}`
+            : '';
+    }
+
+    updateQueueSummary() {
+        const summary = document.getElementById('uploadQueueSummary');
+        if (!summary || this.uploadQueue.length === 0) return;
+
+        const pending = this.uploadQueue.getPending().length;
+        const invalid = this.uploadQueue.items.filter(item => item.status === 'invalid').length;
+        summary.textContent = this.i18n.format('gallery-files-selected', { count: this.uploadQueue.length },
+            '{count, plural, one {# file selected} other {# files selected}}') +
+            (invalid > 0 ? ` · ${this.i18n.format('gallery-files-invalid', { count: invalid }, "{count, number} can't be uploaded")}` : '');
+
+        document.getElementById('uploadButtonText').textContent = this.i18n.format('gallery-upload-count', { type: this.currentUploadType, count: pending },
+            '{type, select, video {Upload {count, plural, one {# Video} other {# Videos}}} other {Upload {count, plural, one {# Photo} other {# Photos}}}}');
+    }
+
+    handleQueueInput(e) {
+        const field = e.target.dataset.field;
+        const row = e.target.closest('[data-queue-id]');
+        const item = row ? this.uploadQueue.get(row.dataset.queueId) : null;
+        if (!field || !item) return;
+
+        if (field === 'title') {
+            item.title = e.target.value;
         } else {
-            this.photos.unshift(mediaData);
+            item.overrides[field] = e.target.value;
+        }
+    }
+
+    removeQueueItem(id) {
+        if (this.isUploadingBatch) return;
+        this.uploadQueue.remove(id);
+        this.renderUploadQueue();
+        if (this.uploadQueue.length === 0) this.updateUploadModalForType();
+    }
+
+    clearUploadQueue() {
+        if (this.isUploadingBatch) return;
+        this.uploadQueue.clear();
+        this.renderUploadQueue();
+        this.updateUploadModalForType();
+    }
+
+    // Switching between photo and video changes which queued files are acceptable
+    revalidateUploadQueue() {
+        if (this.uploadQueue.length === 0) return;
+        this.uploadQueue.items.forEach(item => {
+            const error = this.getFileValidationError(item.file);
+            this.uploadQueue.setStatus(item, error ? 'invalid' : 'waiting', 0, error);
+        });
+        this.renderUploadQueue();
+    }
+
+    /**
+     * Store every queued file, then add them all to the gallery with a single save.
+     * Files that fail stay in the queue with their error so they can be retried or removed.
+     */
+    async handleBatchUpload() {
+        if (this.isUploadingBatch) return;
+        const pending = this.uploadQueue.getPending();
+        if (pending.length === 0) {
+            this.showError('None of the selected files can be uploaded');
+            return;
+        }
+
+        const shared = {
+            category: document.getElementById('photoCategory').value,
+            location: document.getElementById('photoLocation').value.trim(),
+            tags: document.getElementById('photoTags').value.split(',').map(tag => tag.trim()).filter(tag => tag),
+            date: document.getElementById('photoDate').value || new Date().toISOString().split('T')[0]
+        };
+        const description = document.getElementById('photoDescription').value.trim();
+
+        // Check the whole batch before storing anything
+        const untitled = pending.find(item => !item.title.trim());
+        if (untitled) {
+            this.showError(`Please give "${untitled.file.name}" a title`);
+            return;
+        }
+        if (!shared.category && pending.some(item => !item.overrides.category)) {
+            this.showError('Please select a category for the batch or for each file');
+            return;
+        }
+
+        document.getElementById('uploadError').textContent = '';
+        this.setBatchUploading(true);
+        const batchTime = Date.now();
+        const uploaded = [];
+
+        for (const [index, item] of pending.entries()) {
+            this.uploadQueue.setStatus(item, 'processing', 15);
+            this.updateQueueItemRow(item);
+            try {
+                const storedFile = await this.storeUploadedFile(item.file, item.type);
+                this.uploadQueue.setStatus(item, 'saving', 70);
+                this.updateQueueItemRow(item);
+
+                const mediaData = {
+                    id: `user_${item.type}_${batchTime}_${index}`,
+                    ...storedFile,
+                    ...this.uploadQueue.resolveFields(item, shared),
+                    description,
+                    uploadedAt: new Date().toISOString(),
+                    views: 0,
+                    likes: 0,
+                    type: item.type,
+                    isUserContent: true
+                };
+                if (item.type === 'video') {
+                    Object.assign(mediaData, await this.captureQueuedVideoDetails(item.file));
+                }
+
+                uploaded.push({ item, mediaData });
+                this.uploadQueue.setStatus(item, 'done', 100);
+            } catch (error) {
+                this.uploadQueue.setStatus(item, 'failed', 0, error.message);
+            }
+            this.updateQueueItemRow(item);
+        }
+
+        if (uploaded.length > 0 && !this.addMedia(uploaded.map(entry => entry.mediaData))) {
+            // Nothing was saved, so free the stored files and leave the batch ready to retry
+            await Promise.all(uploaded.map(entry => this.deleteStoredFiles(entry.mediaData)));
+            uploaded.forEach(entry => this.uploadQueue.setStatus(entry.item, 'waiting', 0));
+            this.setBatchUploading(false);
+            this.renderUploadQueue();
+            return;
+        }
+        this.setBatchUploading(false);
+
+        const failed = pending.length - uploaded.length;
+        if (failed === 0) {
+            this.closeModals();
+            this.resetUploadForm();
+            return;
         }
+
+        uploaded.forEach(entry => this.uploadQueue.remove(entry.item.id));
+        this.renderUploadQueue();
+        this.updateStorageMeter();
+        this.showError(`${failed} of ${pending.length} files could not be uploaded. Fix or remove them and try again.`);
+    }
+
+    /**
+     * Read the duration of a queued video and store a poster frame, without using the preview player
+     * @param {File} file - Video file
+     * @returns {Promise<{duration: string, thumbnailBlobId?: string, thumbnail?: string}>} Fields for the media record
+     */
+    async captureQueuedVideoDetails(file) {
+        const video = document.createElement('video');
+        const src = URL.createObjectURL(file);
+        const details = { duration: this.formatVideoDuration(0) };
+        try {
+            const { duration } = await this.videoMetadata.loadMetadata(video, src);
+            details.duration = this.formatVideoDuration(duration);
+            const poster = await this.videoMetadata.captureFrame(video, this.videoMetadata.getDefaultPosterTime(duration));
+            details.thumbnailBlobId = await this.blobStore.put(poster);
+            details.thumbnail = await this.blobStore.getObjectURL(details.thumbnailBlobId);
+        } catch (error) {
+            // As with single uploads, the video still works without a poster
+            console.error('Error reading queued video:', error);
+        } finally {
+            video.removeAttribute('src');
+            URL.revokeObjectURL(src);
+        }
+        return details;
+    }
+
+    setBatchUploading(isUploading) {
+        this.isUploadingBatch = isUploading;
+        document.getElementById('uploadSubmitBtn').disabled = isUploading;
+        const queue = document.getElementById('uploadQueue');
+        if (queue) queue.classList.toggle('busy', isUploading);
+    }
+
+    /**
+     * Reopen the upload form pre-filled with an uploaded item's details
+     * @param {string} mediaId - Id of a user photo or video
+     */
+    editMedia(mediaId) {
+        const media = [...this.photos, ...this.videos].find(item => item.id === mediaId);
+        if (!media) return;
+
+        this.closeModals();
+        this.resetUploadForm();
+        this.currentUploadType = media.type;
+        this.setEditMode(media.id);
+
+        document.getElementById('photoTitle').value = media.title;
+        document.getElementById('photoCategory').value = media.category;
+        document.getElementById('photoDescription').value = media.description || '';
+        document.getElementById('photoLocation').value = media.location || '';
+        document.getElementById('photoDate').value = media.date || '';
+        document.getElementById('photoTags').value = (media.tags || []).join(', ');
+
+        document.getElementById('uploadModal').style.display = 'block';
+        document.body.style.overflow = 'hidden';
+    }
+
+    // The file itself cannot be swapped while editing, so the file picker and type tabs are hidden
+    setEditMode(mediaId) {
+        this.editingMediaId = mediaId;
+        const isEditing = mediaId !== null;
+        document.querySelector('.upload-tabs').style.display = isEditing ? 'none' : '';
+        document.getElementById('uploadArea').style.display = isEditing ? 'none' : '';
+        this.updateUploadModalForType();
+    }
+
+    /**
+     * Apply the edit form to the item being edited, keeping its id, files, likes and views
+     */
+    saveMediaEdits() {
+        const collection = this.currentUploadType === 'video' ? this.videos : this.photos;
+        const index = collection.findIndex(item => item.id === this.editingMediaId);
+        if (index === -1) {
+            this.showError('This item no longer exists');
+            return;
+        }
+        if (!this.validateForm()) return;
+
+        const original = collection[index];
+        collection[index] = {
+            ...original,
+            title: document.getElementById('photoTitle').value.trim(),
+            category: document.getElementById('photoCategory').value,
+            description: document.getElementById('photoDescription').value.trim(),
+            location: document.getElementById('photoLocation').value.trim(),
+            tags: document.getElementById('photoTags').value.split(',').map(tag => tag.trim()).filter(tag => tag),
+            date: document.getElementById('photoDate').value || original.date,
+            editedAt: new Date().toISOString()
+        };
+
+        if (!this.saveData()) {
+            collection[index] = original;
+            this.showError('Browser storage is full. Your changes could not be saved.');
+            return;
+        }
+
+        this.renderGallery();
+        this.closeModals();
+        this.resetUploadForm();
+        this.showNotification(`${original.type === 'video' ? 'Video' : 'Photo'} updated successfully!`, 'success');
+    }
+
+    validateForm() {
+        const title = document.getElementById('photoTitle').value.trim();
+        const category = document.getElementById('photoCategory').value;
+
+        if (!title) {
+            this.showError(`${this.currentUploadType === 'video' ? 'Video' : 'Photo'} title is required`);
+            return false;
+        }
+
+        if (!category) {
+            this.showError('Please select a category');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Add uploaded media to the gallery and save it
+     * @param {Object|Array<Object>} mediaData - One media record, or a whole batch saved in a single write
+     * @returns {boolean} False if saving failed (nothing is added in that case)
+     */
+    addMedia(mediaData) {
+        const items = Array.isArray(mediaData) ? mediaData : [mediaData];
+        const collectionFor = item => item.type === 'video' ? this.videos : this.photos;
+        // Newest first, keeping a batch in the order it was queued
+        [...items].reverse().forEach(item => collectionFor(item).unshift(item));
         
-        this.saveData();
+        if (!this.saveData()) {
+            // Roll back so what is shown matches what was actually saved
+            items.forEach(item => collectionFor(item).splice(collectionFor(item).indexOf(item), 1));
+            this.showError('Browser storage is full. Delete some uploads and try again.');
+            return false;
+        }
         this.renderGallery();
         this.updateStats();
-        this.showNotification(`${mediaData.type === 'video' ? 'Video' : 'Photo'} uploaded successfully!`, 'success');
+        const noun = items[0].type === 'video' ? 'Video' : 'Photo';
+        this.showNotification(items.length === 1
+            ? `${noun} uploaded successfully!`
+            : `${items.length} ${noun.toLowerCase()}s uploaded successfully!`, 'success');
+        return true;
     }
 
     renderGallery() {
+        this.updateSearchMatches();
         this.renderUserContent();
         this.renderDefaultContent();
         this.updateFeaturedContent();
@@ -1079,32 +2162,41 @@ class GalleryManager {
     }
 
     renderUserContent() {
-        const container = document.getElementById('galleryGrid');
-        
-        const allUserContent = [...this.photos, ...this.videos];
-        if (allUserContent.length === 0) {
-            container.innerHTML = '';
-            return;
-        }
-
-        const filteredContent = this.filterContent(allUserContent);
-        container.innerHTML = filteredContent.map((item, index) => this.createMediaCard(item, index, 'user')).join('');
+        this.userGrid.setItems(this.filterContent([...this.photos, ...this.videos]));
     }
 
     renderDefaultContent() {
-        const container = document.getElementById('defaultGallery');
-        const allDefaultContent = [...this.defaultPhotos, ...this.defaultVideos];
-        const filteredContent = this.filterContent(allDefaultContent);
-        
-        // Show only displayCount items
-        const itemsToShow = filteredContent.slice(0, this.displayCount);
-        container.innerHTML = itemsToShow.map((item, index) => this.createMediaCard(item, index, 'default')).join('');
+        this.defaultGrid.setItems(this.filterContent([...this.defaultPhotos, ...this.defaultVideos]));
+    }
+
+    /**
+     * Refresh one card's counts and like button in place instead of re-rendering the grids
+     * @param {Object} media - Item whose views or likes changed
+     */
+    updateMediaCard(media) {
+        document.querySelectorAll('.media-card').forEach(card => {
+            if (card.dataset.id !== media.id) return;
+
+            const [viewsStat, likesStat] = card.querySelectorAll('.media-stats span');
+            if (viewsStat) viewsStat.innerHTML = `<i class="fas fa-eye"></i> ${this.i18n.formatNumber(media.views)}`;
+            if (likesStat) likesStat.innerHTML = `<i class="fas fa-heart"></i> ${this.i18n.formatNumber(media.likes)}`;
+            const likeBtn = card.querySelector('.like-btn');
+            if (likeBtn) {
+                likeBtn.classList.toggle('liked', this.likes[media.id] > 0);
+                likeBtn.innerHTML = `<i class="fas fa-heart"></i> ${this.i18n.formatNumber(media.likes)}`;
+            }
+        });
     }
 
     createMediaCard(item, index, source) {
         const isLiked = this.likes[item.id] > 0;
         const isVideo = item.type === 'video';
-        const mediaUrl = isVideo ? (item.thumbnail || item.url) : item.url;
+        // Uploaded photos carry a small thumbnail for the grid; the modal still shows the full image
+        const mediaUrl = item.thumbnail || item.url;
+        
+        // Highlight the words that matched the current search
+        const matchedTerms = this.searchMatches && this.searchMatches.has(item.id) ? this.searchMatches.get(item.id).terms : null;
+        const snippet = matchedTerms ? this.searchIndex.snippet(item.description, matchedTerms) : '';
         
         // Add Unsplash attribution if available
         const attribution = item.unsplashAttribution ? 
@@ -1118,7 +2210,7 @@ class GalleryManager {
                             <source src="${item.url}" type="video/mp4">
                             Your browser does not support the video tag.
                         </video>` : 
-                        `<img src="${item.url}" alt="${item.title}" loading="lazy">`
+                        `<img src="${mediaUrl}" alt="${escapeHtml(item.title)}" loading="lazy">`
                     }
                     <div class="media-type-indicator ${item.type}">
                         <i class="fas fa-${isVideo ? 'video' : 'camera'}"></i> ${isVideo ? 'Video' : 'Photo'}
@@ -1126,8 +2218,8 @@ class GalleryManager {
                     ${isVideo ? `<div class="video-duration">${item.duration}</div>` : ''}
                     <div class="media-overlay">
                         <div class="media-stats">
-                            <span><i class="fas fa-eye"></i> ${item.views}</span>
-                            <span><i class="fas fa-heart"></i> ${item.likes}</span>
+                            <span><i class="fas fa-eye"></i> ${this.i18n.formatNumber(item.views)}</span>
+                            <span><i class="fas fa-heart"></i> ${this.i18n.formatNumber(item.likes)}</span>
                         </div>
                         <button class="view-btn ${isVideo ? 'video' : ''}">
                             <i class="fas fa-${isVideo ? 'play' : 'expand'}"></i>
@@ -1135,19 +2227,21 @@ class GalleryManager {
                     </div>
                 </div>
                 <div class="media-info">
-                    <h3>${item.title}</h3>
+                    <h3>${this.searchIndex.highlight(item.title, matchedTerms)}</h3>
                     <div class="media-meta">
-                        <span><i class="fas fa-map-marker-alt"></i> ${item.location || 'Unknown'}</span>
+                        <span><i class="fas fa-map-marker-alt"></i> ${this.searchIndex.highlight(item.location, matchedTerms) || 'Unknown'}</span>
                         <span class="photo-date">${this.formatDate(item.date)}</span>
                     </div>
+                    ${snippet ? `<p class="search-snippet">${snippet}</p>` : ''}
                     ${attribution}
                     <div class="media-actions">
-                        <button class="like-btn ${isLiked ? 'liked' : ''}" onclick="galleryManager.toggleMediaLike('${item.id}', this)">
-                            <i class="fas fa-heart"></i> ${item.likes}
+                        <button class="like-btn ${isLiked ? 'liked' : ''}" onclick="galleryManager.toggleMediaLike('${item.id}')">
+                            <i class="fas fa-heart"></i> ${this.i18n.formatNumber(item.likes)}
                         </button>
                         <button class="share-btn" onclick="galleryManager.shareMedia('${item.id}')">
                             <i class="fas fa-share"></i>
                         </button>
+                        ${item.isUserContent ? `<button class="edit-btn" onclick="galleryManager.editMedia('${item.id}')" title="Edit"><i class="fas fa-pen"></i></button>` : ''}
                         ${item.isUserContent ? `<button class="delete-btn" onclick="galleryManager.deleteMedia('${item.id}')"><i class="fas fa-trash"></i></button>` : ''}
                     </div>
                 </div>
@@ -1168,15 +2262,9 @@ class GalleryManager {
             filtered = filtered.filter(item => item.category === this.currentFilter);
         }
 
-        // Filter by search term
-        const searchTerm = document.getElementById('searchInput').value.toLowerCase();
-        if (searchTerm) {
-            filtered = filtered.filter(item => 
-                item.title.toLowerCase().includes(searchTerm) ||
-                item.description.toLowerCase().includes(searchTerm) ||
-                item.location.toLowerCase().includes(searchTerm) ||
-                item.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-            );
+        // Filter by search query (ranked, typo tolerant, supports tag:/location:/type:/category: operators)
+        if (this.searchMatches) {
+            filtered = filtered.filter(item => this.searchMatches.has(item.id));
         }
 
         // Sort content
@@ -1188,6 +2276,9 @@ class GalleryManager {
                 case 'views': return b.views - a.views;
                 case 'likes': return b.likes - a.likes;
                 case 'title': return a.title.localeCompare(b.title);
+                case 'relevance': return this.searchMatches
+                    ? this.searchMatches.get(b.id).score - this.searchMatches.get(a.id).score
+                    : new Date(b.date) - new Date(a.date);
                 default: return 0;
             }
         });
@@ -1199,17 +2290,46 @@ class GalleryManager {
         document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
         e.target.classList.add('active');
         this.currentFilter = e.target.dataset.filter;
-        this.displayCount = 6; // Reset display count when filtering
+        this.autoLoadPaused = false; // A new view may still want more photos
         this.renderGallery();
+        this.syncUrl(true);
     }
 
     handleSearch(e) {
-        this.displayCount = 6; // Reset display count when searching
+        // Rank by relevance while searching, unless the user picked another order
+        const sortSelect = document.getElementById('sortSelect');
+        const hasQuery = e.target.value.trim() !== '';
+        if (hasQuery && sortSelect.value === 'newest') {
+            sortSelect.value = 'relevance';
+        } else if (!hasQuery && sortSelect.value === 'relevance') {
+            sortSelect.value = 'newest';
+        }
+
+        this.autoLoadPaused = false; // A new view may still want more photos
         this.renderGallery();
+        this.syncUrl(); // Replace rather than push, so Back does not step through every keystroke
+    }
+
+    // Bring the search index in line with the current items; only new or edited items are re-indexed
+    syncSearchIndex() {
+        const allContent = [...this.photos, ...this.videos, ...this.defaultPhotos, ...this.defaultVideos];
+        this.searchIndex.sync(allContent, item => item.editedAt || '');
+    }
+
+    updateSearchMatches() {
+        const query = document.getElementById('searchInput').value.trim();
+        if (!query) {
+            this.searchMatches = null;
+            return;
+        }
+
+        this.syncSearchIndex();
+        this.searchMatches = new Map(this.searchIndex.search(query).map(result => [result.id, result]));
     }
 
     handleSort(e) {
         this.renderGallery();
+        this.syncUrl(true);
     }
 
     openMediaModal(mediaId, source) {
@@ -1219,6 +2339,7 @@ class GalleryManager {
         // Increment view count
         media.views++;
         this.saveMediaStats(media);
+        this.updateMediaCard(media);
 
         // Update modal content
         const modalHeader = document.getElementById('photoModalHeader');
@@ -1247,12 +2368,15 @@ class GalleryManager {
 
         // Update modal info with correct element IDs
         document.getElementById('modalPhotoTitle').textContent = media.title;
-        document.getElementById('modalPhotoDate').innerHTML = `<i class="fas fa-calendar"></i> ${this.formatDate(media.date)}`;
+        const editedNote = media.editedAt
+            ? ` <span class="edited-note" title="${this.i18n.format('edited-on', { date: this.formatDate(media.editedAt) }, 'Edited {date}')}">${this.i18n.t('edited', '(edited)')}</span>`
+            : '';
+        document.getElementById('modalPhotoDate').innerHTML = `<i class="fas fa-calendar"></i> ${this.formatDate(media.date)}${editedNote}`;
         document.getElementById('modalPhotoLocation').innerHTML = `<i class="fas fa-map-marker-alt"></i> ${media.location || 'Unknown Location'}`;
-        document.getElementById('modalPhotoViews').innerHTML = `<i class="fas fa-eye"></i> <span id="viewCount">${media.views}</span> views`;
+        document.getElementById('modalPhotoViews').innerHTML = `<i class="fas fa-eye"></i> <span id="viewCount">${this.i18n.format('views-count', { count: media.views }, '{count, plural, one {# view} other {# views}}')}</span>`;
         document.getElementById('modalPhotoDescription').textContent = media.description || 'No description available';
         document.getElementById('modalPhotoTags').innerHTML = media.tags.map(tag => `<span class="tag">#${tag}</span>`).join('');
-        document.getElementById('likeCount').textContent = media.likes;
+        document.getElementById('likeCount').textContent = this.i18n.formatNumber(media.likes);
         
         // Show attribution if it exists
         const photoInfo = document.querySelector('.photo-info');
@@ -1270,6 +2394,14 @@ class GalleryManager {
             attributionContainer.style.display = 'none';
         }
         
+        // Only uploaded items can be edited
+        const editBtn = document.getElementById('editPhoto');
+        if (editBtn) editBtn.style.display = media.isUserContent ? '' : 'none';
+        const slideshowToggle = document.getElementById('slideshowToggle');
+        if (slideshowToggle) slideshowToggle.style.display = this.modalAlbumId ? '' : 'none';
+        const albumPicker = document.getElementById('albumPicker');
+        if (albumPicker) albumPicker.style.display = 'none';
+
         // Update like button state
         const likeBtn = document.getElementById('likePhoto');
         likeBtn.classList.toggle('liked', this.likes[media.id] > 0);
@@ -1278,8 +2410,11 @@ class GalleryManager {
         this.currentMediaId = mediaId;
         this.currentMediaSource = source;
 
-        document.getElementById('photoModal').style.display = 'block';
+        const photoModal = document.getElementById('photoModal');
+        const wasOpen = photoModal.style.display === 'block';
+        photoModal.style.display = 'block';
         document.body.style.overflow = 'hidden';
+        this.syncUrl(!wasOpen); // Opening adds a history entry so Back closes it; prev/next just update it
     }
 
     getMediaById(id, source) {
@@ -1294,7 +2429,10 @@ class GalleryManager {
     }
 
     navigateMedia(direction) {
-        const allContent = [...this.photos, ...this.videos, ...this.defaultPhotos, ...this.defaultVideos];
+        // Inside an album, stay within its items in the album's order
+        const album = this.modalAlbumId ? this.albums.get(this.modalAlbumId) : null;
+        const allContent = album ? this.getAlbumItems(album) : [...this.photos, ...this.videos, ...this.defaultPhotos, ...this.defaultVideos];
+        if (allContent.length === 0) return;
         const currentIndex = allContent.findIndex(item => item.id === this.currentMediaId);
         const newIndex = (currentIndex + direction + allContent.length) % allContent.length;
         const newMedia = allContent[newIndex];
@@ -1303,7 +2441,7 @@ class GalleryManager {
         this.openMediaModal(newMedia.id, source);
     }
 
-    toggleMediaLike(mediaId, element) {
+    toggleMediaLike(mediaId) {
         const media = this.getMediaById(mediaId, this.currentMediaSource) || 
                      [...this.photos, ...this.videos, ...this.defaultPhotos, ...this.defaultVideos]
                      .find(item => item.id === mediaId);
@@ -1320,37 +2458,416 @@ class GalleryManager {
 
         this.saveData();
         this.saveMediaStats(media);
-        
-        // Update UI
-        if (element) {
-            element.classList.toggle('liked', this.likes[mediaId] > 0);
-            element.innerHTML = `<i class="fas fa-heart"></i> ${media.likes}`;
-        }
+        this.updateMediaCard(media);
 
         // Update modal if open
         const likeCountElement = document.getElementById('likeCount');
         if (likeCountElement) {
-            likeCountElement.textContent = media.likes;
+            likeCountElement.textContent = this.i18n.formatNumber(media.likes);
             document.getElementById('likePhoto').classList.toggle('liked', this.likes[mediaId] > 0);
         }
-
-        this.renderGallery(); // Refresh to show updated stats
     }
 
     toggleLike() {
         this.toggleMediaLike(this.currentMediaId);
     }
 
+    /**
+     * Move an uploaded item to the trash; its files are kept until it is purged
+     * @param {string} mediaId - Id of a user photo or video
+     */
     deleteMedia(mediaId) {
-        if (confirm('Are you sure you want to delete this content? This action cannot be undone.')) {
-            this.photos = this.photos.filter(item => item.id !== mediaId);
-            this.videos = this.videos.filter(item => item.id !== mediaId);
-            delete this.likes[mediaId];
-            delete this.views[mediaId];
-            this.saveData();
-            this.renderGallery();
-            this.updateStats();
-            this.showNotification('Content deleted successfully', 'success');
+        const media = [...this.photos, ...this.videos].find(item => item.id === mediaId);
+        if (!media) return;
+
+        this.photos = this.photos.filter(item => item.id !== mediaId);
+        this.videos = this.videos.filter(item => item.id !== mediaId);
+        this.trashEntries.unshift(this.trash.createEntry(media));
+        this.saveData();
+        this.renderGallery();
+        this.updateStats();
+        this.updateTrashCount();
+        this.showNotification(`"${escapeHtml(media.title)}" moved to trash`, 'info', {
+            label: 'Undo',
+            onClick: () => this.restoreMedia(mediaId)
+        });
+    }
+
+    /**
+     * Put a trashed item back in the gallery
+     * @param {string} mediaId - Id of the trashed item
+     */
+    restoreMedia(mediaId) {
+        const entry = this.trashEntries.find(trashed => trashed.id === mediaId);
+        if (!entry) return;
+
+        this.trashEntries = this.trashEntries.filter(trashed => trashed !== entry);
+        (entry.item.type === 'video' ? this.videos : this.photos).unshift(entry.item);
+        this.saveData();
+        this.renderGallery();
+        this.updateStats();
+        this.updateTrashCount();
+        this.renderTrash();
+        this.showNotification(`"${escapeHtml(entry.item.title)}" restored`, 'success');
+    }
+
+    /**
+     * Permanently delete trashed items and their stored files
+     * @param {Array<Object>} entries - Trash entries to purge
+     */
+    async purgeTrashEntries(entries) {
+        if (entries.length === 0) return;
+
+        this.trashEntries = this.trashEntries.filter(entry => !entries.includes(entry));
+        entries.forEach(entry => {
+            delete this.likes[entry.id];
+            delete this.views[entry.id];
+            this.albums.removeItemEverywhere(entry.id);
+        });
+        this.saveData();
+        this.updateTrashCount();
+        await Promise.all(entries.map(entry => this.deleteStoredFiles(entry.item)));
+    }
+
+    async purgeMedia(mediaId) {
+        const entry = this.trashEntries.find(trashed => trashed.id === mediaId);
+        if (!entry || !confirm(`Permanently delete "${entry.item.title}"? This cannot be undone.`)) return;
+
+        await this.purgeTrashEntries([entry]);
+        this.renderTrash();
+        this.showNotification('Deleted permanently', 'success');
+    }
+
+    async emptyTrash() {
+        const count = this.trashEntries.length;
+        if (count === 0 || !confirm(`Permanently delete ${count} item${count === 1 ? '' : 's'} in the trash? This cannot be undone.`)) return;
+
+        await this.purgeTrashEntries([...this.trashEntries]);
+        this.renderTrash();
+        this.showNotification('Trash emptied', 'success');
+    }
+
+    // Drop items that have been in the trash longer than the retention period
+    async purgeExpiredTrash() {
+        const { expired } = this.trash.partition(this.trashEntries);
+        if (expired.length > 0) {
+            console.log(`Purging ${expired.length} expired item(s) from the gallery trash`);
+            await this.purgeTrashEntries(expired);
+        }
+    }
+
+    async openTrashModal() {
+        await this.purgeExpiredTrash();
+        this.renderTrash();
+        document.getElementById('trashModal').style.display = 'block';
+        document.body.style.overflow = 'hidden';
+    }
+
+    renderTrash() {
+        const list = document.getElementById('trashList');
+        if (!list) return;
+
+        document.getElementById('trashHint').textContent = this.trashEntries.length > 0
+            ? this.i18n.format('gallery-trash-hint', { days: this.trash.retentionDays },
+                'Deleted items are kept for {days, plural, one {# day} other {# days}}, then removed automatically.')
+            : this.i18n.t('trash-hint-empty', 'The trash is empty.');
+        document.getElementById('emptyTrashBtn').disabled = this.trashEntries.length === 0;
+
+        list.innerHTML = this.trashEntries.map(entry => {
+            const item = entry.item;
+            const isVideo = item.type === 'video';
+            const preview = item.thumbnail || (!isVideo && item.url);
+            return `
+                <li class="trash-item">
+                    <div class="queue-thumb">
+                        ${preview ? `<img src="${preview}" alt="">` : `<i class="fas fa-${isVideo ? 'video' : 'image'}"></i>`}
+                    </div>
+                    <div class="trash-item-info">
+                        <strong>${escapeHtml(item.title)}</strong>
+                        <span title="${this.formatDate(entry.deletedAt)}">${this.i18n.format('trash-deleted', { when: this.i18n.formatRelativeTime(entry.deletedAt) }, 'Deleted {when}')} &middot; ${this.trash.describeExpiry(entry)}</span>
+                    </div>
+                    <div class="trash-item-actions">
+                        <button type="button" class="edit-btn" onclick="galleryManager.restoreMedia('${item.id}')" title="Restore"><i class="fas fa-undo"></i> Restore</button>
+                        <button type="button" class="delete-btn" onclick="galleryManager.purgeMedia('${item.id}')" title="Delete forever"><i class="fas fa-trash"></i></button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    updateTrashCount() {
+        const trashCount = document.getElementById('trashCount');
+        if (trashCount) trashCount.textContent = this.trashEntries.length;
+    }
+
+    // ===== Albums =====
+
+    findMediaAnywhere(id) {
+        return [...this.photos, ...this.videos, ...this.defaultPhotos, ...this.defaultVideos].find(item => item.id === id);
+    }
+
+    /**
+     * Items of an album in album order, skipping any that are trashed or no longer loaded
+     * @param {Object} album - Album
+     * @returns {Array<Object>} Media items
+     */
+    getAlbumItems(album) {
+        return album.itemIds.map(id => this.findMediaAnywhere(id)).filter(item => item);
+    }
+
+    getAlbumCoverUrl(album) {
+        const coverId = this.albums.getCoverId(album, id => !!this.findMediaAnywhere(id));
+        const cover = coverId ? this.findMediaAnywhere(coverId) : null;
+        if (!cover) return '';
+        return cover.thumbnail || (cover.type === 'video' ? '' : cover.url);
+    }
+
+    // Show or hide the albums view; albumId (e.g. from the URL) opens that album instead of the list
+    setAlbumsViewVisible(visible, albumId = null) {
+        document.getElementById('albumsView').style.display = visible ? 'block' : 'none';
+        ['.gallery-search-container', '#galleryGrid', '#defaultGallery', '.load-more-section'].forEach(selector => {
+            const element = document.querySelector(selector);
+            if (element) element.style.display = visible ? 'none' : '';
+        });
+        if (!visible) return;
+        if (albumId && this.albums.get(albumId)) {
+            this.openAlbum(albumId);
+        } else {
+            this.showAlbumList();
+        }
+    }
+
+    showAlbumList() {
+        this.openAlbumId = null;
+        document.getElementById('albumList').style.display = 'block';
+        document.getElementById('albumDetail').style.display = 'none';
+        this.renderAlbumList();
+        this.syncUrl(true);
+    }
+
+    renderAlbumList() {
+        const grid = document.getElementById('albumGrid');
+        if (this.albums.albums.length === 0) {
+            grid.innerHTML = '<p class="albums-empty">No albums yet. Create one, then add photos and videos from their detail view.</p>';
+            return;
+        }
+
+        grid.innerHTML = this.albums.albums.map(album => {
+            const coverUrl = this.getAlbumCoverUrl(album);
+            const count = this.getAlbumItems(album).length;
+            return `
+                <div class="album-card" onclick="galleryManager.openAlbum('${album.id}')">
+                    <div class="album-cover">
+                        ${coverUrl ? `<img src="${coverUrl}" alt="" loading="lazy">` : '<i class="fas fa-images"></i>'}
+                    </div>
+                    <div class="album-card-info">
+                        <h3>${escapeHtml(album.name)}</h3>
+                        <span>${count} item${count === 1 ? '' : 's'}</span>
+                        ${album.description ? `<p>${escapeHtml(album.description)}</p>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    openAlbum(albumId) {
+        this.openAlbumId = albumId;
+        document.getElementById('albumList').style.display = 'none';
+        document.getElementById('albumDetail').style.display = 'block';
+        this.renderAlbumDetail();
+        this.syncUrl(true); // Back from the album (or from a photo opened in it) returns here, not to the list
+    }
+
+    renderAlbumDetail() {
+        const album = this.albums.get(this.openAlbumId);
+        if (!album) {
+            this.showAlbumList();
+            return;
+        }
+
+        document.getElementById('albumDetailName').textContent = album.name;
+        document.getElementById('albumDetailDescription').textContent = album.description;
+
+        const items = this.getAlbumItems(album);
+        const coverId = this.albums.getCoverId(album, id => !!this.findMediaAnywhere(id));
+        document.getElementById('albumSlideshowBtn').disabled = items.length === 0;
+        document.getElementById('albumItemsGrid').innerHTML = items.length === 0
+            ? '<p class="albums-empty">This album is empty. Open any photo or video and use "Albums" to add it here.</p>'
+            : items.map((item, index) => this.createAlbumItemCard(album, item, index, items.length, item.id === coverId)).join('');
+    }
+
+    createAlbumItemCard(album, item, index, total, isCover) {
+        const isVideo = item.type === 'video';
+        return `
+            <div class="media-card album-item" data-id="${item.id}">
+                <div class="media-content" onclick="galleryManager.openAlbumItem('${album.id}', '${item.id}')">
+                    ${isVideo ?
+                        `<video muted preload="metadata" poster="${item.thumbnail || ''}">
+                            <source src="${item.url}" type="video/mp4">
+                        </video>` :
+                        `<img src="${item.thumbnail || item.url}" alt="${escapeHtml(item.title)}" loading="lazy">`
+                    }
+                    ${isCover ? '<div class="album-cover-badge"><i class="fas fa-star"></i> Cover</div>' : ''}
+                </div>
+                <div class="media-info">
+                    <h3>${escapeHtml(item.title)}</h3>
+                    <div class="media-actions">
+                        <button class="edit-btn" onclick="galleryManager.moveAlbumItem('${item.id}', -1)" title="Move earlier" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-left"></i></button>
+                        <button class="edit-btn" onclick="galleryManager.moveAlbumItem('${item.id}', 1)" title="Move later" ${index === total - 1 ? 'disabled' : ''}><i class="fas fa-arrow-right"></i></button>
+                        <button class="edit-btn" onclick="galleryManager.setAlbumCover('${item.id}')" title="Use as cover"><i class="fas fa-star"></i></button>
+                        <button class="delete-btn" onclick="galleryManager.removeFromOpenAlbum('${item.id}')" title="Remove from album"><i class="fas fa-times"></i></button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Open an item in the media modal, navigating within its album
+    openAlbumItem(albumId, itemId) {
+        const item = this.findMediaAnywhere(itemId);
+        if (!item) return;
+        this.modalAlbumId = albumId;
+        this.openMediaModal(itemId, item.isUserContent ? 'user' : 'default');
+    }
+
+    moveAlbumItem(itemId, direction) {
+        this.albums.moveItem(this.openAlbumId, itemId, direction);
+        this.renderAlbumDetail();
+    }
+
+    setAlbumCover(itemId) {
+        this.albums.update(this.openAlbumId, { coverId: itemId });
+        this.renderAlbumDetail();
+        this.showNotification('Album cover updated', 'success');
+    }
+
+    removeFromOpenAlbum(itemId) {
+        this.albums.toggleItem(this.openAlbumId, itemId);
+        this.renderAlbumDetail();
+    }
+
+    // Re-render whichever part of the albums view is showing after album data changes
+    refreshAlbumsView() {
+        this.updateAlbumCount();
+        if (document.getElementById('albumsView').style.display === 'none') return;
+        if (this.openAlbumId) {
+            this.renderAlbumDetail();
+        } else {
+            this.renderAlbumList();
+        }
+    }
+
+    updateAlbumCount() {
+        const albumCount = document.getElementById('albumCount');
+        if (albumCount) albumCount.textContent = this.albums.albums.length;
+    }
+
+    openAlbumModal(albumId = null) {
+        const album = albumId ? this.albums.get(albumId) : null;
+        this.editingAlbumId = album ? album.id : null;
+
+        document.getElementById('albumModalTitle').innerHTML = album
+            ? '<i class="fas fa-pen"></i> Edit Album'
+            : '<i class="fas fa-images"></i> New Album';
+        document.getElementById('albumName').value = album ? album.name : '';
+        document.getElementById('albumDescription').value = album ? album.description : '';
+        document.getElementById('albumError').textContent = '';
+
+        document.getElementById('albumModal').style.display = 'block';
+        document.body.style.overflow = 'hidden';
+    }
+
+    handleAlbumSubmit(e) {
+        e.preventDefault();
+        const name = document.getElementById('albumName').value.trim();
+        const description = document.getElementById('albumDescription').value.trim();
+        if (!name) {
+            document.getElementById('albumError').textContent = 'Album name is required';
+            return;
+        }
+
+        if (this.editingAlbumId) {
+            this.albums.update(this.editingAlbumId, { name, description });
+        } else {
+            this.albums.create({ name, description });
+        }
+        this.showNotification(`Album "${escapeHtml(name)}" saved`, 'success');
+        this.editingAlbumId = null;
+        this.closeModals();
+        this.refreshAlbumsView();
+    }
+
+    deleteAlbum(albumId) {
+        const album = this.albums.get(albumId);
+        if (!album || !confirm(`Delete the album "${album.name}"? The photos and videos in it are kept.`)) return;
+
+        this.albums.remove(albumId);
+        this.updateAlbumCount();
+        this.showAlbumList();
+        this.showNotification('Album deleted', 'success');
+    }
+
+    toggleAlbumPicker() {
+        const picker = document.getElementById('albumPicker');
+        const isOpen = picker.style.display !== 'none';
+        if (!isOpen) this.renderAlbumPicker();
+        picker.style.display = isOpen ? 'none' : 'block';
+    }
+
+    // Checkbox list of albums for the item open in the media modal
+    renderAlbumPicker() {
+        const memberOf = this.albums.getAlbumsFor(this.currentMediaId).map(album => album.id);
+        const options = this.albums.albums.map(album => `
+            <label class="album-picker-option">
+                <input type="checkbox" data-album-id="${album.id}" ${memberOf.includes(album.id) ? 'checked' : ''}>
+                ${escapeHtml(album.name)}
+            </label>
+        `).join('');
+
+        document.getElementById('albumPicker').innerHTML = `
+            <div class="album-picker-title">Add to albums</div>
+            ${options || '<p class="album-picker-empty">No albums yet.</p>'}
+            <div class="album-picker-new">
+                <input type="text" id="quickAlbumName" placeholder="New album name">
+                <button type="button" id="quickAlbumCreate"><i class="fas fa-plus"></i> Create</button>
+            </div>
+        `;
+    }
+
+    handleAlbumPickerChange(e) {
+        const albumId = e.target.dataset.albumId;
+        if (!albumId) return;
+        this.albums.toggleItem(albumId, this.currentMediaId);
+        this.refreshAlbumsView();
+    }
+
+    createAlbumFromPicker() {
+        const name = document.getElementById('quickAlbumName').value.trim();
+        if (!name) return;
+
+        const album = this.albums.create({ name });
+        this.albums.toggleItem(album.id, this.currentMediaId);
+        this.renderAlbumPicker();
+        this.refreshAlbumsView();
+        this.showNotification(`Added to "${escapeHtml(name)}"`, 'success');
+    }
+
+    startSlideshow(albumId) {
+        const album = this.albums.get(albumId);
+        const items = album ? this.getAlbumItems(album) : [];
+        if (items.length === 0) return;
+
+        this.openAlbumItem(albumId, items[0].id);
+        this.setSlideshowPlaying(true);
+    }
+
+    setSlideshowPlaying(playing) {
+        clearInterval(this.slideshowTimer);
+        this.slideshowTimer = playing ? setInterval(() => this.navigateMedia(1), this.slideshowInterval) : null;
+
+        const toggle = document.getElementById('slideshowToggle');
+        if (toggle) {
+            toggle.innerHTML = playing ? '<i class="fas fa-pause"></i> Pause' : '<i class="fas fa-play"></i> Play';
         }
     }
 
@@ -1376,57 +2893,45 @@ class GalleryManager {
         const totalViews = [...this.photos, ...this.videos, ...this.defaultPhotos, ...this.defaultVideos]
                           .reduce((sum, item) => sum + item.views, 0);
         
-        document.getElementById('totalPhotos').textContent = totalPhotos;
-        document.getElementById('totalVideos').textContent = totalVideos;
-        document.getElementById('totalViews').textContent = totalViews;
+        document.getElementById('totalPhotos').textContent = this.i18n.formatNumber(totalPhotos);
+        document.getElementById('totalVideos').textContent = this.i18n.formatNumber(totalVideos);
+        document.getElementById('totalViews').textContent = this.i18n.formatNumber(totalViews);
         
         // Update tab counts
-        document.getElementById('allCount').textContent = totalPhotos + totalVideos;
-        document.getElementById('photoCount').textContent = totalPhotos;
-        document.getElementById('videoCount').textContent = totalVideos;
-    }
-
-    // Enhanced Load More functionality
-    loadMore() {
-        const allDefaultContent = [...this.defaultPhotos, ...this.defaultVideos];
-        const filteredContent = this.filterContent(allDefaultContent);
-        
-        if (this.displayCount >= filteredContent.length) {
-            // If no more local content, try to load from Unsplash (photos only)
-            this.loadMoreFromUnsplash();
-            return;
-        }
-        
-        this.displayCount += this.itemsPerLoad;
-        this.renderGallery();
-        this.showNotification(`Loaded ${this.itemsPerLoad} more items`, 'success');
+        document.getElementById('allCount').textContent = this.i18n.formatNumber(totalPhotos + totalVideos);
+        document.getElementById('photoCount').textContent = this.i18n.formatNumber(totalPhotos);
+        document.getElementById('videoCount').textContent = this.i18n.formatNumber(totalVideos);
     }
 
-    // Update Load More button visibility and text - Modified for video restriction
+    // Show the Load More button unless there is nothing more to fetch for this view
     updateLoadMoreButton() {
         const loadMoreBtn = document.getElementById('loadMoreBtn');
-        const allDefaultContent = [...this.defaultPhotos, ...this.defaultVideos];
-        const filteredContent = this.filterContent(allDefaultContent);
-        
-        // Hide load more button when viewing videos only
+        if (this.isLoadingMore) return; // Keeps its spinner until the request finishes
+
+        // Only photos come from Unsplash, so the video tab has nothing more to load
         if (this.currentContentType === 'video') {
-            if (this.displayCount >= filteredContent.length) {
-                loadMoreBtn.style.display = 'none';
-            } else {
-                const remaining = filteredContent.length - this.displayCount;
-                loadMoreBtn.innerHTML = `<i class="fas fa-plus"></i> Load More (${remaining} remaining)`;
-                loadMoreBtn.style.display = 'block';
-            }
-        } else {
-            // For 'all' or 'photo' views, show load more button
-            if (this.displayCount >= filteredContent.length) {
-                loadMoreBtn.innerHTML = '<i class="fas fa-cloud-download-alt"></i> Load More Photos from Unsplash';
-            } else {
-                const remaining = filteredContent.length - this.displayCount;
-                loadMoreBtn.innerHTML = `<i class="fas fa-plus"></i> Load More (${remaining} remaining)`;
-            }
-            loadMoreBtn.style.display = 'block';
+            loadMoreBtn.style.display = 'none';
+            return;
+        }
+        loadMoreBtn.style.display = 'block';
+        if (!this.hasMoreUnsplashResults(this.getUnsplashQueries())) {
+            loadMoreBtn.innerHTML = `<i class="fas fa-check"></i> ${this.i18n.t('gallery-no-more', 'No more photos from Unsplash')}`;
+            loadMoreBtn.disabled = true;
+            return;
         }
+        loadMoreBtn.innerHTML = `<i class="fas fa-cloud-download-alt"></i> ${this.i18n.t('gallery-load-more', 'Load More Photos from Unsplash')}`;
+        loadMoreBtn.disabled = false;
+    }
+
+    // Fetch the next photos automatically when the end of the grid scrolls into view
+    setupInfiniteScroll() {
+        const sentinel = document.querySelector('.load-more-section');
+        if (!sentinel || typeof IntersectionObserver === 'undefined') return; // The Load More button still works
+
+        this.loadMoreObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) this.loadMoreFromUnsplash(true);
+        }, { rootMargin: '600px 0px' }); // Start fetching a little before the end is reached
+        this.loadMoreObserver.observe(sentinel);
     }
 
     handleKeyboard(e) {
@@ -1462,7 +2967,8 @@ class GalleryManager {
         }
 
         const shareText = `Check out this amazing ${media.type} from Malaysia: "${media.title}" - ${media.description}`;
-        const shareUrl = window.location.href;
+        // Link straight to this item rather than to whatever view the gallery is in
+        const shareUrl = `${window.location.origin}${window.location.pathname}${this.urlState.toSearch({ media: media.id })}`;
 
         // Show share options modal
         this.showShareOptions(media, shareText, shareUrl);
@@ -1624,10 +3130,21 @@ class GalleryManager {
     }
 
     saveData() {
-        this.saveToStorage('galleryPhotos', this.photos);
-        this.saveToStorage('galleryVideos', this.videos);
-        this.saveToStorage('galleryLikes', this.likes);
-        this.saveToStorage('galleryViews', this.views);
+        return [
+            this.saveToStorage(this.storage.keys.photos, this.photos.map(item => this.toStoredMedia(item))),
+            this.saveToStorage(this.storage.keys.videos, this.videos.map(item => this.toStoredMedia(item))),
+            this.saveToStorage(this.storage.keys.trash, this.trashEntries.map(entry => ({ ...entry, item: this.toStoredMedia(entry.item) }))),
+            this.saveToStorage(this.storage.keys.likes, this.likes),
+            this.saveToStorage(this.storage.keys.views, this.views)
+        ].every(saved => saved);
+    }
+
+    // Object URLs only live as long as the page, so media backed by a blob is saved without its urls
+    toStoredMedia(item) {
+        const stored = { ...item };
+        if (stored.blobId) delete stored.url;
+        if (stored.thumbnailBlobId) delete stored.thumbnail;
+        return stored;
     }
 
     saveMediaStats(media) {
@@ -1636,9 +3153,10 @@ class GalleryManager {
             this.saveData();
         } else {
             // Default content stats saved separately
-            this.saveToStorage(media.id + '_views', media.views);
+            this.views[media.id] = media.views;
+            this.saveToStorage(this.storage.keys.views, this.views);
             this.likes[media.id] = media.likes;
-            this.saveToStorage('galleryLikes', this.likes);
+            this.saveToStorage(this.storage.keys.likes, this.likes);
         }
     }
 
@@ -1650,12 +3168,17 @@ class GalleryManager {
         document.querySelectorAll('.upload-tab').forEach(tab => tab.classList.remove('active'));
         document.querySelector('.upload-tab[data-type="photo"]').classList.add('active');
         this.currentUploadType = 'photo';
-        this.updateUploadModalForType();
+        this.uploadQueue.clear();
+        this.renderUploadQueue();
+        this.setEditMode(null); // Also refreshes the modal for the photo type
         this.selectedImageAttribution = null;
+        this.autoFilledFields = {};
+        this.autofillFile = null;
     }
 
+    // "Aug 16, 2024" in the visitor's locale
     formatDate(dateString) {
-        return new Date(dateString).toLocaleDateString('en-US', {
+        return this.i18n.formatDate(dateString, {
             year: 'numeric',
             month: 'short',
             day: 'numeric'
@@ -1669,20 +3192,37 @@ class GalleryManager {
         }
     }
 
-    showNotification(message, type) {
+    /**
+     * Show a toast message
+     * @param {string} message - Message (may contain HTML)
+     * @param {string} type - 'success', 'error' or 'info'
+     * @param {{label: string, onClick: Function}} [action] - Optional button, e.g. Undo; the toast stays up longer
+     */
+    showNotification(message, type, action = null) {
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
         notification.innerHTML = `
             <i class="fas ${type === 'success' ? 'fa-check-circle' : type === 'error' ? 'fa-exclamation-circle' : 'fa-info-circle'}"></i> 
             ${message}
         `;
+        const dismiss = () => {
+            notification.classList.remove('show');
+            setTimeout(() => notification.remove(), 300);
+        };
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'notification-action';
+            actionBtn.textContent = action.label;
+            actionBtn.onclick = () => {
+                action.onClick();
+                dismiss();
+            };
+            notification.appendChild(actionBtn);
+        }
         document.body.appendChild(notification);
         
         setTimeout(() => notification.classList.add('show'), 100);
-        setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => notification.remove(), 300);
-        }, 3000);
+        setTimeout(dismiss, action ? 6000 : 3000);
     }
 }
 